@@ -2,16 +2,48 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const routes = require('./routes');
+const env = require('./config/env');
 const { notFound, errorHandler } = require('./middlewares/errorHandler');
 
 const app = express();
+app.set('trust proxy', env.TRUST_PROXY);
 
-app.use(cors());
-app.use(express.json());
+app.use(
+  cors({
+    exposedHeaders: [
+      'X-Cart-Token', // guest cart token
+      'Retry-After',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+    ],
+  }),
+);
+// Keep the raw bytes around: Stripe webhook signatures are computed over them
+app.use(
+  express.json({
+    limit: '5mb', // bulk catalog imports
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(morgan('dev'));
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
+// Uploaded images (local storage driver; S3 serves its own)
+if (env.STORAGE_DRIVER === 'local')
+  app.use(
+    '/uploads',
+    express.static(env.UPLOAD_DIR, {
+      immutable: true, // keys are never reused
+      maxAge: '1y',
+      index: false,
+      setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+    }),
+  );
+
 app.use('/api', routes);
 
 app.use(notFound);
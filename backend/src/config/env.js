@@ -6,6 +6,99 @@ const env = {
   PORT: process.env.PORT || 4000,
   MONGO_URI: process.env.MONGO_URI || '',
   JWT_SECRET: process.env.JWT_SECRET || '',
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+  // Stripe (card payments). STRIPE_API_* let you point the SDK at a local stub.
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || '',
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET || '',
+  STRIPE_API_HOST: process.env.STRIPE_API_HOST || '',
+  STRIPE_API_PORT: process.env.STRIPE_API_PORT || '',
+  STRIPE_API_PROTOCOL: process.env.STRIPE_API_PROTOCOL || '',
+
+  // Money: amounts are integer minor units (see money.service.js).
+  // CURRENCY is the base currency of Product.price; CURRENCIES are the ones
+  // the storefront sells in (products/zones/coupons can be priced in each).
+  CURRENCY: (process.env.CURRENCY || 'USD').toUpperCase(),
+  CURRENCIES: (process.env.CURRENCIES || 'USD,PKR,EUR')
+    .split(',')
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean),
+
+  // Tax: true = catalog prices already include tax (tax is extracted, not added)
+  PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX === 'true',
+
+  // Anonymous carts are removed after this many days without activity
+  GUEST_CART_TTL_DAYS: Number(process.env.GUEST_CART_TTL_DAYS) || 7,
+
+  // Checkout sessions hold cart stock for this long
+  CHECKOUT_RESERVATION_TTL_MINUTES:
+    Number(process.env.CHECKOUT_RESERVATION_TTL_MINUTES) || 15,
+
+  // Low-stock alerts: default threshold (Product.lowStockThreshold overrides)
+  // and recipient(s); without LOW_STOCK_ALERT_EMAIL all admins are emailed
+  LOW_STOCK_THRESHOLD: Number(process.env.LOW_STOCK_THRESHOLD) || 5,
+  LOW_STOCK_ALERT_EMAIL: process.env.LOW_STOCK_ALERT_EMAIL || '',
+
+  // Uploaded images: STORAGE_DRIVER = local | s3. Local files live in
+  // UPLOAD_DIR and are served by the API at /uploads.
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  UPLOAD_PUBLIC_URL:
+    process.env.UPLOAD_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 4000}/uploads`,
+  UPLOAD_MAX_BYTES: Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024,
+  // S3-compatible storage (AWS, MinIO, R2, ...). S3_PUBLIC_URL is the bucket
+  // or CDN base URL that objects are served from.
+  S3_BUCKET: process.env.S3_BUCKET || '',
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || '',
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || '',
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  S3_PUBLIC_URL: process.env.S3_PUBLIC_URL || '',
+
+  // Rate limiting / login lockout (limits live in config/rate-limits.js).
+  // RATE_LIMIT_STORE = memory (per process) | mongo (shared by instances).
+  // TRUST_PROXY is Express's "trust proxy": a hop count (1 behind one
+  // proxy) or addresses ('loopback, 10.0.0.0/8'), so req.ip is the client's
+  // address rather than the proxy's.
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  TRUST_PROXY: Number.isInteger(Number(process.env.TRUST_PROXY))
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY || false,
+
+  // Returns can be requested this many days after delivery
+  RETURN_WINDOW_DAYS: Number(process.env.RETURN_WINDOW_DAYS) || 14,
+
+  // Storefront base URL used in emailed links
+  APP_URL: process.env.APP_URL || 'http://localhost:3000',
+
+  // Mail: MAIL_DRIVER = smtp | file | console. Required in production, where
+  // the console default would log reset and verification links.
+  MAIL_DRIVER: process.env.MAIL_DRIVER || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'Qtends <no-reply@qtends.com>',
+  MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  SMTP_HOST: process.env.SMTP_HOST || '',
+  SMTP_PORT: Number(process.env.SMTP_PORT) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER || '',
+  SMTP_PASS: process.env.SMTP_PASS || '',
+
+  // Account emails
+  PASSWORD_RESET_TTL_MINUTES:
+    Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  EMAIL_VERIFICATION_TTL_HOURS:
+    Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+  REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT:
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true',
+
+  // Sales reports bucket days/weeks/months in this IANA time zone by default
+  ANALYTICS_TIMEZONE: process.env.ANALYTICS_TIMEZONE || 'UTC',
 };
 
+if (env.NODE_ENV === 'production' && !process.env.MAIL_DRIVER)
+  throw new Error('MAIL_DRIVER missing (required in production)');
+
 module.exports = env;
@@ -0,0 +1,33 @@
+/**
+ * Request limits per route group, applied with rateLimit('<group>').
+ * Each group counts requests in a fixed window, per client IP or (`by:
+ * 'user'`, after requireAuth) per account.
+ */
+const MINUTE = 60 * 1000;
+
+const RATE_LIMITS = {
+  // Every /api request; a ceiling against scraping and floods
+  api: { windowMs: MINUTE, max: 600, by: 'ip' },
+  // Sign-up, sign-in and token-consuming endpoints
+  auth: { windowMs: 15 * MINUTE, max: 30, by: 'ip' },
+  // Endpoints that send email (password reset, verification links)
+  email: { windowMs: 60 * MINUTE, max: 5, by: 'ip' },
+  // Placing orders and reserving stock (card testing, stock hoarding)
+  checkout: { windowMs: 15 * MINUTE, max: 20, by: 'user' },
+};
+
+/**
+ * Progressive login lockout. Failed sign-ins are counted per account and
+ * per IP for `failureWindowMs`; from `threshold` failures on, each further
+ * failure locks that account / IP for baseLockMs, doubling every time, up
+ * to maxLockMs. A successful sign-in clears the account's count.
+ */
+const LOGIN_LOCKOUT = {
+  account: { threshold: 5 },
+  ip: { threshold: 20 }, // higher: many customers can share one IP
+  failureWindowMs: 60 * MINUTE,
+  baseLockMs: MINUTE,
+  maxLockMs: 60 * MINUTE,
+};
+
+module.exports = { RATE_LIMITS, LOGIN_LOCKOUT };
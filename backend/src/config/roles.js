@@ -0,0 +1,64 @@
+/**
+ * Role-based access control. Routes ask for a permission with
+ * requirePermission('products:write'); a role grants a fixed set of them.
+ * Self-registered accounts are always `customer` (no permissions); staff
+ * roles are assigned by an owner via PATCH /api/users/:id/role.
+ */
+const PERMISSIONS = {
+  'products:write':
+    'Create/edit products, categories, images; catalog import/export',
+  'inventory:read': 'View stock movements and low-stock alerts',
+  'inventory:write': 'Adjust stock',
+  'orders:read': 'View any order and its payment',
+  'orders:write': 'Move orders along their lifecycle, cancel orders',
+  'orders:refund': 'Refund returns',
+  'returns:manage': 'View, approve, reject and receive returns',
+  'reviews:moderate': 'Hide, approve and delete any review',
+  'coupons:manage': 'Manage coupons',
+  'settings:manage': 'Manage shipping zones and tax rates',
+  'users:read': 'View customer accounts',
+  'users:write': 'Disable / re-enable accounts',
+  'roles:assign': 'Change account roles',
+  'analytics:read': 'View sales reports and export them as CSV',
+};
+
+const ROLES = {
+  customer: [],
+  support: [
+    'orders:read',
+    'orders:write',
+    'orders:refund',
+    'returns:manage',
+    'reviews:moderate',
+    'users:read',
+  ],
+  catalog_manager: [
+    'products:write',
+    'inventory:read',
+    'inventory:write',
+    'coupons:manage',
+    'reviews:moderate',
+  ],
+  fulfilment: [
+    'orders:read',
+    'orders:write',
+    'inventory:read',
+    'inventory:write',
+    'returns:manage',
+  ],
+  owner: Object.keys(PERMISSIONS),
+};
+
+const DEFAULT_ROLE = 'customer';
+
+/** Does `role` grant `permission`? */
+function roleCan(role, permission) {
+  return ROLES[role]?.includes(permission) ?? false;
+}
+
+/** Roles that grant `permission` (e.g. to email everyone who can act on it) */
+function rolesWith(permission) {
+  return Object.keys(ROLES).filter((role) => roleCan(role, permission));
+}
+
+module.exports = { PERMISSIONS, ROLES, DEFAULT_ROLE, roleCan, rolesWith };
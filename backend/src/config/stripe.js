@@ -0,0 +1,29 @@
+const Stripe = require('stripe');
+const env = require('./env');
+
+let client = null;
+
+function isStripeConfigured() {
+  return Boolean(env.STRIPE_SECRET_KEY);
+}
+
+/**
+ * Lazily build the shared Stripe client.
+ * For offline runs set STRIPE_API_HOST=localhost, STRIPE_API_PORT=12111,
+ * STRIPE_API_PROTOCOL=http to talk to a local stub such as stripe-mock.
+ */
+function getStripe() {
+  if (!isStripeConfigured()) throw new Error('STRIPE_SECRET_KEY missing');
+  if (!client) {
+    const config = {};
+    if (env.STRIPE_API_HOST) config.host = env.STRIPE_API_HOST;
+    if (env.STRIPE_API_PORT) config.port = Number(env.STRIPE_API_PORT);
+    if (env.STRIPE_API_PROTOCOL) config.protocol = env.STRIPE_API_PROTOCOL;
+    client = new Stripe(env.STRIPE_SECRET_KEY, config);
+  }
+  return client;
+}
+
+// Amounts go to Stripe as-is: they are already minor units (see money.service.js)
+
+module.exports = { getStripe, isStripeConfigured };
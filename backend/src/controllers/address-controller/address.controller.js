@@ -0,0 +1,127 @@
+const { z } = require('zod');
+const Address = require('../../models/address.model');
+const { countryInput } = require('../../services/country.service');
+const { NotFoundError } = require('../../errors');
+
+/** Schemas */
+const createSchema = z.object({
+  label: z.string().max(50).optional(),
+  fullName: z.string().min(2),
+  phone: z.string().min(6),
+  address1: z.string().min(3),
+  address2: z.string().optional(),
+  city: z.string().min(2),
+  state: z.string().optional(),
+  postalCode: z.string().min(3),
+  country: countryInput, // stored as the ISO alpha-2 code
+  isDefaultShipping: z.boolean().optional(),
+  isDefaultBilling: z.boolean().optional(),
+});
+
+const updateSchema = createSchema.partial();
+
+/** Clear a default flag on the user's other addresses */
+async function clearDefault(userId, flag, exceptId) {
+  await Address.updateMany(
+    { user: userId, _id: { $ne: exceptId }, [flag]: true },
+    { [flag]: false },
+  );
+}
+
+/** GET /api/addresses (auth) — defaults first */
+async function listAddresses(req, res) {
+  const items = await Address.find({ user: req.user.id }).sort({
+    isDefaultShipping: -1,
+    isDefaultBilling: -1,
+    createdAt: -1,
+  });
+  res.json({ items });
+}
+
+/** GET /api/addresses/:id (auth) */
+async function getAddress(req, res) {
+  const item = await Address.findOne({ _id: req.params.id, user: req.user.id });
+  if (!item) throw new NotFoundError();
+  res.json({ item });
+}
+
+/**
+ * POST /api/addresses (auth)
+ * The first saved address becomes both default shipping and default billing.
+ */
+async function createAddress(req, res) {
+  const data = req.body;
+  const isFirst = !(await Address.exists({ user: req.user.id }));
+
+  const item = await Address.create({
+    ...data,
+    user: req.user.id,
+    isDefaultShipping: isFirst || !!data.isDefaultShipping,
+    isDefaultBilling: isFirst || !!data.isDefaultBilling,
+  });
+
+  if (item.isDefaultShipping)
+    await clearDefault(req.user.id, 'isDefaultShipping', item._id);
+  if (item.isDefaultBilling)
+    await clearDefault(req.user.id, 'isDefaultBilling', item._id);
+
+  res.status(201).json({ item });
+}
+
+/** PATCH /api/addresses/:id (auth) — edit fields or make default */
+async function updateAddress(req, res) {
+  const data = req.body;
+  const item = await Address.findOne({ _id: req.params.id, user: req.user.id });
+  if (!item) throw new NotFoundError();
+
+  // Unsetting a default is done by making another address the default
+  if (data.isDefaultShipping === false && item.isDefaultShipping)
+    delete data.isDefaultShipping;
+  if (data.isDefaultBilling === false && item.isDefaultBilling)
+    delete data.isDefaultBilling;
+
+  item.set(data);
+  await item.save();
+
+  if (data.isDefaultShipping)
+    await clearDefault(req.user.id, 'isDefaultShipping', item._id);
+  if (data.isDefaultBilling)
+    await clearDefault(req.user.id, 'isDefaultBilling', item._id);
+
+  res.json({ item });
+}
+
+/**
+ * DELETE /api/addresses/:id (auth)
+ * If a default is removed, the most recent remaining address takes over.
+ */
+async function deleteAddress(req, res) {
+  const item = await Address.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+  if (!item) throw new NotFoundError();
+
+  if (item.isDefaultShipping || item.isDefaultBilling) {
+    const next = await Address.findOne({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+    if (next) {
+      if (item.isDefaultShipping) next.isDefaultShipping = true;
+      if (item.isDefaultBilling) next.isDefaultBilling = true;
+      await next.save();
+    }
+  }
+
+  res.json({ ok: true });
+}
+
+module.exports = {
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  createSchema,
+  updateSchema,
+};
@@ -0,0 +1,179 @@
+const { z } = require('zod');
+const { stringify } = require('csv-stringify/sync');
+const env = require('../../config/env');
+const {
+  salesReport,
+  topProducts,
+  topCategories,
+  customerReport,
+  cancellationReport,
+} = require('../../services/analytics.service');
+const { BadRequestError } = require('../../errors');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Common to every report: orders placed in [from, to) (default: the last
+ * 30 days), optionally in one currency; ?format=csv sends the rows as a
+ * CSV download instead of JSON.
+ */
+const rangeQuerySchema = z.object({
+  from: z.coerce.date().optional().describe('Inclusive; default to - 30 days'),
+  to: z.coerce.date().optional().describe('Exclusive; default now'),
+  currency: z
+    .string()
+    .trim()
+    .length(3)
+    .transform((s) => s.toUpperCase())
+    .optional(),
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+const seriesQuerySchema = rangeQuerySchema.extend({
+  groupBy: z.enum(['day', 'week', 'month']).default('day'),
+  tz: z
+    .string()
+    .refine(isTimeZone, 'Unknown time zone')
+    .default(env.ANALYTICS_TIMEZONE)
+    .describe('IANA time zone the periods are bucketed in'),
+});
+
+const topQuerySchema = rangeQuerySchema.extend({
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  sort: z.enum(['revenue', 'units']).default('revenue'),
+});
+
+// CSV headers, in the order the service builds each row
+const SALES_COLUMNS = [
+  'period',
+  'currency',
+  'orders',
+  'units',
+  'revenue',
+  'refunded',
+  'netRevenue',
+  'averageOrderValue',
+];
+const PRODUCT_COLUMNS = [
+  'currency',
+  'rank',
+  'product',
+  'slug',
+  'title',
+  'units',
+  'orders',
+  'revenue',
+];
+const CATEGORY_COLUMNS = [
+  'currency',
+  'rank',
+  'category',
+  'slug',
+  'name',
+  'products',
+  'units',
+  'orders',
+  'revenue',
+];
+const CUSTOMER_COLUMNS = [
+  'period',
+  'customers',
+  'newCustomers',
+  'returningCustomers',
+  'orders',
+  'newCustomerOrders',
+  'returningCustomerOrders',
+];
+const CANCELLATION_COLUMNS = [
+  'period',
+  'currency',
+  'orders',
+  'cancelled',
+  'returned',
+  'paidOrders',
+  'refundedOrders',
+  'sales',
+  'refunded',
+  'cancellationRate',
+  'refundRate',
+  'refundedShare',
+];
+
+/** Report params from the parsed query, with the default range filled in */
+function paramsOf(query) {
+  const { format: _format, ...params } = query;
+  params.to ??= new Date();
+  params.from ??= new Date(
+    params.to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000,
+  );
+  if (params.from >= params.to)
+    throw new BadRequestError('from must be before to');
+  return params;
+}
+
+/** Answer with the report as JSON, or its rows as a CSV download */
+function send(req, res, name, columns, params, report) {
+  const range = { from: params.from, to: params.to };
+  if (req.query.format !== 'csv') return res.json({ ...range, ...report });
+
+  const day = (d) => d.toISOString().slice(0, 10);
+  res.attachment(`${name}-${day(params.from)}-${day(params.to)}.csv`);
+  res.type('text/csv').send(stringify(report.rows, { header: true, columns }));
+}
+
+/** ADMIN: GET /api/analytics/sales?from&to&groupBy&tz&currency&format */
+async function getSales(req, res) {
+  const params = paramsOf(req.query);
+  const report = await salesReport(params);
+  send(req, res, 'sales', SALES_COLUMNS, params, report);
+}
+
+/** ADMIN: GET /api/analytics/top-products?from&to&limit&sort&currency&format */
+async function getTopProducts(req, res) {
+  const params = paramsOf(req.query);
+  const report = await topProducts(params);
+  send(req, res, 'top-products', PRODUCT_COLUMNS, params, report);
+}
+
+/** ADMIN: GET /api/analytics/top-categories?from&to&limit&sort&currency&format */
+async function getTopCategories(req, res) {
+  const params = paramsOf(req.query);
+  const report = await topCategories(params);
+  send(req, res, 'top-categories', CATEGORY_COLUMNS, params, report);
+}
+
+/**
+ * ADMIN: GET /api/analytics/customers?from&to&groupBy&tz&currency&format
+ * New vs returning customers per period.
+ */
+async function getCustomers(req, res) {
+  const params = paramsOf(req.query);
+  const report = await customerReport(params);
+  send(req, res, 'customers', CUSTOMER_COLUMNS, params, report);
+}
+
+/** ADMIN: GET /api/analytics/cancellations-refunds?from&to&groupBy&tz&currency&format */
+async function getCancellationsRefunds(req, res) {
+  const params = paramsOf(req.query);
+  const report = await cancellationReport(params);
+  send(req, res, 'cancellations-refunds', CANCELLATION_COLUMNS, params, report);
+}
+
+module.exports = {
+  getSales,
+  getTopProducts,
+  getTopCategories,
+  getCustomers,
+  getCancellationsRefunds,
+  seriesQuerySchema,
+  topQuerySchema,
+};
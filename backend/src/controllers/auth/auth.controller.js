@@ -1,50 +1,234 @@
 const { z } = require('zod');
-const jwt = require('jsonwebtoken');
 const User = require('../../models/user.model');
-const env = require('../../config/env');
+const { DEFAULT_ROLE } = require('../../config/roles');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require('../../services/token.service');
+const { consumeUserToken } = require('../../services/user-token.service');
+const { mergeGuestCart } = require('../../services/cart.service');
+const {
+  loginLockedUntil,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../../services/login-guard.service');
+const { secondsUntil } = require('../../middlewares/rate-limit');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require('../../services/account-mail.service');
+const {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+} = require('../../errors');
 
-const signToken = (id, role) =>
-  jwt.sign({ id, role }, env.JWT_SECRET, { expiresIn: '7d' });
+const publicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+});
+
+/**
+ * Fold the visitor's guest cart (body.cartToken or X-Cart-Token header)
+ * into their account cart. Never blocks sign-in.
+ */
+async function adoptGuestCart(req, userId) {
+  const token = req.body.cartToken || req.get('X-Cart-Token');
+  if (!token) return;
+  await mergeGuestCart(token, userId).catch((err) =>
+    console.error('Guest cart merge failed:', err.message),
+  );
+}
+
+const cartToken = z.string().optional().describe('Guest cart to merge');
 
 const registerSchema = z.object({
   name: z.string().min(2),
   email: z.string().email(),
   password: z.string().min(6),
+  cartToken,
 });
 
 async function register(req, res) {
-  const data = registerSchema.parse(req.body);
-  const exists = await User.findOne({ email: data.email });
-  if (exists) return res.status(409).json({ message: 'Email already in use' });
-  const user = await User.create(data);
-  const token = signToken(user.id, user.role);
-  res.status(201).json({
-    token,
-    user: {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-    },
-  });
+  const { name, email, password } = req.body;
+  const exists = await User.findOne({ email });
+  if (exists) throw new ConflictError('Email already in use');
+  // Self sign-ups never choose their role; staff roles are assigned later
+  const user = await User.create({ name, email, password, role: DEFAULT_ROLE });
+  // A mail outage shouldn't block sign-up; the user can request another link
+  await sendVerificationEmail(user).catch((err) =>
+    console.error('Verification email failed:', err.message),
+  );
+  await adoptGuestCart(req, user._id);
+  const { token, refreshToken } = await createSession(user, req);
+  res.status(201).json({ token, refreshToken, user: publicUser(user) });
 }
 
 const loginSchema = z.object({
   email: z.string().email(),
   password: z.string().min(6),
+  cartToken,
 });
 
+/**
+ * POST /api/auth/login (public)
+ * Repeated failures lock the account and the IP for a growing while (429).
+ */
 async function login(req, res) {
-  const { email, password } = loginSchema.parse(req.body);
+  const { email, password } = req.body;
+  const lockedUntil = await loginLockedUntil(email, req.ip);
+  if (lockedUntil)
+    throw new RateLimitError(
+      secondsUntil(lockedUntil),
+      'Too many failed sign-in attempts, try again later',
+      'LOGIN_LOCKED',
+    );
+
   const user = await User.findOne({ email });
   if (!user || !(await user.comparePassword(password))) {
-    return res.status(401).json({ message: 'Invalid credentials' });
+    await recordLoginFailure(email, req.ip);
+    throw new AuthenticationError('Invalid credentials', 'INVALID_CREDENTIALS');
   }
-  const token = signToken(user.id, user.role);
+  await clearLoginFailures(email);
+  if (user.isDisabled)
+    throw new ForbiddenError('Account disabled', 'ACCOUNT_DISABLED');
+  await adoptGuestCart(req, user._id);
+  const { token, refreshToken } = await createSession(user, req);
+  res.json({ token, refreshToken, user: publicUser(user) });
+}
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+/** POST /api/auth/refresh (public) — rotate refresh token, new access token */
+async function refresh(req, res) {
+  const { refreshToken } = req.body;
+  const result = await rotateRefreshToken(refreshToken, req);
   res.json({
-    token,
-    user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    token: result.token,
+    refreshToken: result.refreshToken,
+    user: publicUser(result.user),
   });
 }
 
-module.exports = { register, login };
+/** POST /api/auth/logout (public) — end the session of this refresh token */
+async function logout(req, res) {
+  const { refreshToken } = req.body;
+  await revokeRefreshToken(refreshToken);
+  res.json({ ok: true });
+}
+
+/** POST /api/auth/logout-all (auth) — end every session on every device */
+async function logoutAll(req, res) {
+  await revokeAllSessions(req.user.id, 'logout_all');
+  res.json({ ok: true });
+}
+
+const forgotSchema = z.object({
+  email: z.string().email(),
+});
+
+/**
+ * POST /api/auth/forgot-password (public)
+ * Always answers 200 so the endpoint can't be used to probe for accounts;
+ * the mail goes out in the background so timing and mail failures don't
+ * tell existing accounts apart either.
+ */
+async function forgotPassword(req, res) {
+  const { email } = req.body;
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (user && !user.isDisabled)
+    sendPasswordResetEmail(user).catch((err) =>
+      console.error('Password reset email failed:', err.message),
+    );
+  res.json({ ok: true });
+}
+
+const resetSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(6),
+});
+
+/**
+ * POST /api/auth/reset-password (public)
+ * Consumes the emailed token, sets the new password and ends all sessions.
+ */
+async function resetPassword(req, res) {
+  const { token, password } = req.body;
+  const record = await consumeUserToken(token, 'password_reset');
+  if (!record)
+    throw new BadRequestError('Invalid or expired token', 'INVALID_TOKEN');
+
+  const user = await User.findById(record.user);
+  if (!user)
+    throw new BadRequestError('Invalid or expired token', 'INVALID_TOKEN');
+
+  user.password = password; // hashed by the pre-save hook
+  // Receiving the reset mail proves the address is theirs
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, 'password_change');
+
+  res.json({ ok: true });
+}
+
+/** POST /api/auth/verify-email/request (auth) — (re)send verification link */
+async function requestEmailVerification(req, res) {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError();
+  if (user.emailVerified) throw new BadRequestError('Email already verified');
+  await sendVerificationEmail(user);
+  res.json({ ok: true });
+}
+
+const verifySchema = z.object({
+  token: z.string().min(1),
+});
+
+/** POST /api/auth/verify-email (public) — consume the emailed token */
+async function verifyEmail(req, res) {
+  const { token } = req.body;
+  const record = await consumeUserToken(token, 'email_verification');
+  if (!record)
+    throw new BadRequestError('Invalid or expired token', 'INVALID_TOKEN');
+
+  const user = await User.findByIdAndUpdate(
+    record.user,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true },
+  );
+  if (!user)
+    throw new BadRequestError('Invalid or expired token', 'INVALID_TOKEN');
+
+  res.json({ ok: true, user: publicUser(user) });
+}
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotSchema,
+  resetSchema,
+  verifySchema,
+};
@@ -1,140 +1,267 @@
 const { z } = require('zod');
-const Cart = require('../../models/cart.model');
 const Product = require('../../models/product.model');
+const Coupon = require('../../models/coupon.model');
+const { evaluateCoupon } = require('../../services/coupon.service');
+const Cart = require('../../models/cart.model');
+const {
+  PRODUCT_FIELDS,
+  sameLine,
+  getOrCreateCart,
+  findGuestCart,
+  createGuestCart,
+  priceLines,
+  couponLines,
+  computeTotals,
+} = require('../../services/cart.service');
+const {
+  reservedQuantities,
+  availableQty,
+  releaseSession,
+} = require('../../services/reservation.service');
+const { currencyInput } = require('../../services/money.service');
+const { BadRequestError, NotFoundError } = require('../../errors');
 
-/** Ensure a cart exists for a user */
-async function getOrCreateCart(userId) {
-  let cart = await Cart.findOne({ user: userId }).populate(
-    'items.product',
-    'title slug price stock',
-  );
-  if (!cart) {
-    cart = await Cart.create({ user: userId, items: [] });
-    cart = await cart.populate('items.product', 'title slug price stock');
+/** Standard cart payload returned by every cart endpoint */
+async function cartPayload(cart) {
+  const { items, ...totals } = await computeTotals(cart);
+  return { cart: { items }, ...totals };
+}
+
+/**
+ * Resolve the variant for a cart operation.
+ * Products with variants require a sku; products without must not get one.
+ */
+function resolveVariant(product, sku) {
+  if (product.variants.length === 0) {
+    if (sku) return { error: 'This product has no variants' };
+    return { variant: null };
   }
-  return cart;
+  if (!sku) return { error: 'sku is required for this product' };
+  const variant = product.findVariant(sku);
+  if (!variant || !variant.isActive) return { error: 'Variant not found' };
+  return { variant };
+}
+
+/**
+ * The caller's cart: the user's when logged in, else the guest cart named
+ * by the X-Cart-Token header. With `create`, a missing guest cart is
+ * created and its token sent back in the X-Cart-Token response header.
+ */
+async function loadCart(req, res, { create = false } = {}) {
+  if (req.user) return getOrCreateCart(req.user.id);
+
+  const cart = await findGuestCart(req.get('X-Cart-Token'));
+  if (cart || !create) return cart;
+  const guest = await createGuestCart();
+  res.set('X-Cart-Token', guest.token);
+  return guest.cart;
+}
+
+/** Stock the caller can still add: other shoppers' checkout holds excluded */
+async function availableFor(req, product, variant) {
+  const reserved = await reservedQuantities([product._id], {
+    excludeUser: req.user?.id,
+  });
+  return availableQty(product, variant, reserved);
 }
 
-/** Compute totals using *current* product prices */
-function computeTotals(cart) {
-  const items = cart.items.map((i) => ({
-    slug: i.product.slug,
-    title: i.product.title,
-    price: i.product.price,
-    stock: i.product.stock,
-    qty: i.qty,
-    lineTotal: +(i.product.price * i.qty).toFixed(2),
-  }));
-  const subtotal = +items.reduce((s, i) => s + i.lineTotal, 0).toFixed(2);
-  return { items, subtotal };
+/**
+ * Save a changed cart. Changing the cart abandons any checkout in progress,
+ * so its stock hold is released.
+ */
+async function saveCart(cart) {
+  cart.updatedAt = new Date();
+  await cart.save();
+  if (cart.user) await releaseSession(cart.user);
 }
 
-/** GET /api/cart (auth) */
+/** GET /api/cart (auth or X-Cart-Token) — empty cart if there is none yet */
 async function getCart(req, res) {
-  const cart = await getOrCreateCart(req.user.id);
-  const totals = computeTotals(cart);
-  res.json({ cart: { items: totals.items }, subtotal: totals.subtotal });
+  const cart = (await loadCart(req, res)) ?? new Cart({ items: [] });
+  res.json(await cartPayload(cart));
 }
 
-/** POST /api/cart/items (auth)  body: { productSlug, qty } */
+/** POST /api/cart/items (auth or guest)  body: { productSlug, sku?, qty } */
 const addSchema = z.object({
   productSlug: z.string().min(1),
+  sku: z.string().min(1).optional(), // required when the product has variants
   qty: z.number().int().min(1).max(999),
 });
 
 async function addItem(req, res) {
-  const { productSlug, qty } = addSchema.parse(req.body);
+  const { productSlug, sku, qty } = req.body;
 
   const product = await Product.findOne({ slug: productSlug, isActive: true });
-  if (!product) return res.status(404).json({ message: 'Product not found' });
-  if (product.stock < 1)
-    return res.status(400).json({ message: 'Out of stock' });
+  if (!product) throw new NotFoundError('Product not found');
+  const { variant, error } = resolveVariant(product, sku);
+  if (error) throw new BadRequestError(error);
+
+  const stock = await availableFor(req, product, variant);
+  if (stock < 1) throw new BadRequestError('Out of stock', 'OUT_OF_STOCK');
 
-  const cart = await getOrCreateCart(req.user.id);
+  const cart = await loadCart(req, res, { create: true });
+  if (product.unitPrice(variant, cart.currency) === null)
+    throw new BadRequestError(
+      `${product.title} is not sold in ${cart.currency}`,
+    );
 
-  const idx = cart.items.findIndex(
-    (i) => String(i.product._id) === String(product._id),
+  const idx = cart.items.findIndex((i) =>
+    sameLine(i, product._id, variant?._id),
   );
   if (idx >= 0) {
     const newQty = cart.items[idx].qty + qty;
-    if (newQty > product.stock)
-      return res.status(400).json({ message: 'Exceeds available stock' });
+    if (newQty > stock)
+      throw new BadRequestError('Exceeds available stock', 'OUT_OF_STOCK');
     cart.items[idx].qty = newQty;
   } else {
-    if (qty > product.stock)
-      return res.status(400).json({ message: 'Exceeds available stock' });
-    cart.items.push({ product: product._id, qty });
+    if (qty > stock)
+      throw new BadRequestError('Exceeds available stock', 'OUT_OF_STOCK');
+    cart.items.push({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      qty,
+    });
   }
 
-  cart.updatedAt = new Date();
-  await cart.save();
-  await cart.populate('items.product', 'title slug price stock');
+  await saveCart(cart);
+  await cart.populate('items.product', PRODUCT_FIELDS);
 
-  const totals = computeTotals(cart);
-  res
-    .status(201)
-    .json({ cart: { items: totals.items }, subtotal: totals.subtotal });
+  res.status(201).json(await cartPayload(cart));
 }
 
-/** PATCH /api/cart/items/:productSlug (auth)  body: { qty } */
+/** PATCH /api/cart/items/:productSlug?sku= (auth or guest)  body: { qty } */
 const updateSchema = z.object({
   qty: z.number().int().min(1).max(999),
 });
 
+const skuQuerySchema = z.object({ sku: z.string().optional() });
+
 async function updateItem(req, res) {
-  const { qty } = updateSchema.parse(req.body);
+  const { qty } = req.body;
   const { productSlug } = req.params;
 
   const product = await Product.findOne({ slug: productSlug, isActive: true });
-  if (!product) return res.status(404).json({ message: 'Product not found' });
-  if (qty > product.stock)
-    return res.status(400).json({ message: 'Exceeds available stock' });
+  if (!product) throw new NotFoundError('Product not found');
+  const { variant, error } = resolveVariant(product, req.query.sku);
+  if (error) throw new BadRequestError(error);
+  if (qty > (await availableFor(req, product, variant)))
+    throw new BadRequestError('Exceeds available stock', 'OUT_OF_STOCK');
 
-  const cart = await getOrCreateCart(req.user.id);
-  const idx = cart.items.findIndex(
-    (i) => String(i.product._id) === String(product._id),
-  );
-  if (idx < 0) return res.status(404).json({ message: 'Item not in cart' });
+  const cart = await loadCart(req, res);
+  const idx = cart
+    ? cart.items.findIndex((i) => sameLine(i, product._id, variant?._id))
+    : -1;
+  if (idx < 0) throw new NotFoundError('Item not in cart');
 
   cart.items[idx].qty = qty;
-  cart.updatedAt = new Date();
-  await cart.save();
-  await cart.populate('items.product', 'title slug price stock');
+  await saveCart(cart);
+  await cart.populate('items.product', PRODUCT_FIELDS);
 
-  const totals = computeTotals(cart);
-  res.json({ cart: { items: totals.items }, subtotal: totals.subtotal });
+  res.json(await cartPayload(cart));
 }
 
-/** DELETE /api/cart/items/:productSlug (auth) */
+/**
+ * DELETE /api/cart/items/:productSlug?sku= (auth or guest)
+ * Without ?sku every line of that product is removed.
+ */
 async function removeItem(req, res) {
   const { productSlug } = req.params;
+  const { sku } = req.query;
 
   const product = await Product.findOne({ slug: productSlug });
-  if (!product) return res.status(404).json({ message: 'Product not found' });
+  if (!product) throw new NotFoundError('Product not found');
+  const variant = sku ? product.findVariant(sku) : null;
+  if (sku && !variant) throw new NotFoundError('Variant not found');
 
-  const cart = await getOrCreateCart(req.user.id);
+  const cart = await loadCart(req, res);
+  if (!cart) throw new NotFoundError('Item not in cart');
   const before = cart.items.length;
-  cart.items = cart.items.filter(
-    (i) => String(i.product._id) !== String(product._id),
+  cart.items = cart.items.filter((i) =>
+    variant
+      ? !sameLine(i, product._id, variant._id)
+      : String(i.product._id) !== String(product._id),
   );
-  if (cart.items.length === before)
-    return res.status(404).json({ message: 'Item not in cart' });
+  if (cart.items.length === before) throw new NotFoundError('Item not in cart');
 
-  cart.updatedAt = new Date();
-  await cart.save();
-  await cart.populate('items.product', 'title slug price stock');
+  await saveCart(cart);
+  await cart.populate('items.product', PRODUCT_FIELDS);
 
-  const totals = computeTotals(cart);
-  res.json({ cart: { items: totals.items }, subtotal: totals.subtotal });
+  res.json(await cartPayload(cart));
 }
 
-/** DELETE /api/cart (auth) — clear cart */
+/** DELETE /api/cart (auth or guest) — clear cart */
 async function clearCart(req, res) {
-  const cart = await getOrCreateCart(req.user.id);
-  cart.items = [];
+  const cart = await loadCart(req, res);
+  if (cart) {
+    cart.items = [];
+    cart.coupon = null;
+    await saveCart(cart);
+  }
+  res.json({ ok: true });
+}
+
+/** POST /api/cart/coupon (auth or guest)  body: { code } */
+const couponSchema = z.object({
+  code: z.string().min(1),
+});
+
+async function applyCoupon(req, res) {
+  const { code } = req.body;
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) throw new NotFoundError('Coupon not found');
+
+  const cart = await loadCart(req, res);
+  if (!cart || cart.items.length === 0)
+    throw new BadRequestError('Cart is empty');
+
+  // Validate now so the customer gets the reason straight away
+  await evaluateCoupon(
+    coupon,
+    await couponLines(cart, priceLines(cart)),
+    cart.user, // per-user limits are checked again once a guest logs in
+    cart.currency,
+  );
+
+  cart.coupon = coupon._id;
   cart.updatedAt = new Date();
   await cart.save();
-  res.json({ ok: true });
+  res.json(await cartPayload(cart));
+}
+
+/** DELETE /api/cart/coupon (auth or guest) */
+async function removeCoupon(req, res) {
+  const cart = (await loadCart(req, res)) ?? new Cart({ items: [] });
+  if (!cart.isNew) {
+    cart.coupon = null;
+    cart.updatedAt = new Date();
+    await cart.save();
+  }
+  res.json(await cartPayload(cart));
+}
+
+/**
+ * PUT /api/cart/currency (auth or guest)  body: { currency }
+ * Every line must have a price in the new currency.
+ */
+const currencySchema = z.object({ currency: currencyInput });
+
+async function setCurrency(req, res) {
+  const { currency } = req.body;
+  const cart = await loadCart(req, res, { create: true });
+  if (cart.currency !== currency) {
+    const missing = cart.items.find(
+      (i) =>
+        i.product.unitPrice(i.product.findVariant(i.variant), currency) ===
+        null,
+    );
+    if (missing)
+      throw new BadRequestError(
+        `${missing.product.title} is not sold in ${currency}`,
+      );
+    cart.currency = currency;
+    await saveCart(cart);
+  }
+  res.json(await cartPayload(cart));
 }
 
 module.exports = {
@@ -143,4 +270,12 @@ module.exports = {
   updateItem,
   removeItem,
   clearCart,
+  applyCoupon,
+  removeCoupon,
+  setCurrency,
+  addSchema,
+  updateSchema,
+  skuQuerySchema,
+  couponSchema,
+  currencySchema,
 };
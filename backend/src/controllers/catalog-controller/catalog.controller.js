@@ -0,0 +1,84 @@
+const { z } = require('zod');
+const {
+  entriesFromCsv,
+  entriesFromJson,
+  validateImport,
+  applyImport,
+  exportJson,
+  exportCsv,
+} = require('../../services/catalog.service');
+const { BadRequestError } = require('../../errors');
+
+/**
+ * ADMIN: POST /api/catalog/import?dryRun=true
+ * Body: CSV (Content-Type: text/csv) or JSON (an array of products, or
+ * { products: [...] }). See catalog.service.js for the formats.
+ * Nothing is written if any product has errors; dryRun only reports.
+ */
+const importQuery = z.object({
+  dryRun: z
+    .enum(['true', 'false', '1', '0'])
+    .optional()
+    .transform((v) => v === 'true' || v === '1'),
+});
+
+async function importCatalog(req, res) {
+  const { dryRun } = req.query;
+
+  let entries;
+  if (typeof req.body === 'string') {
+    try {
+      entries = entriesFromCsv(req.body);
+    } catch (err) {
+      throw new BadRequestError(`Invalid CSV: ${err.message}`);
+    }
+  } else {
+    entries = entriesFromJson(req.body);
+  }
+  if (!entries)
+    throw new BadRequestError('Send CSV, or JSON with an array of products');
+  if (entries.length === 0) throw new BadRequestError('No products to import');
+
+  const results = await validateImport(entries);
+  const failed = results.filter((r) => r.errors.length > 0).length;
+  const ok = failed === 0;
+  if (ok && !dryRun) await applyImport(results, req.user.id);
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  const report = {
+    dryRun,
+    ok,
+    summary: {
+      products: results.length,
+      created: count('create'),
+      updated: count('update'),
+      failed,
+    },
+    results: results.map(({ plan, ...r }) => r),
+  };
+  if (!ok && !dryRun)
+    throw new BadRequestError(
+      `${failed} product(s) failed validation; nothing was imported`,
+      'IMPORT_FAILED',
+      report,
+    );
+  res.json(report);
+}
+
+/**
+ * ADMIN: GET /api/catalog/export?format=csv|json
+ * Same formats import accepts, so an export can be edited and re-imported.
+ */
+const exportQuery = z.object({
+  format: z.enum(['csv', 'json']).default('csv'),
+});
+
+async function exportCatalog(req, res) {
+  const { format } = req.query;
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`catalog-${stamp}.${format}`);
+  if (format === 'json') return res.json({ products: await exportJson() });
+  res.type('text/csv').send(await exportCsv());
+}
+
+module.exports = { importCatalog, exportCatalog, importQuery, exportQuery };
@@ -1,6 +1,13 @@
 const { z } = require('zod');
 const slugify = require('slugify');
 const Category = require('../../models/category.model');
+const {
+  pathUnder,
+  breadcrumbs,
+  moveCategory,
+  deactivateCategory,
+} = require('../../services/category.service');
+const { BadRequestError, NotFoundError } = require('../../errors');
 
 /** slug helpers (same style you used for products/categories) */
 function toSlug(input) {
@@ -34,22 +41,25 @@ const updateSchema = z.object({
   isActive: z.boolean().optional(),
   regenerateSlug: z.boolean().optional(),
   parentSlug: z.string().nullable().optional(), // set null/"" to move to top-level
+  children: z.enum(['cascade', 'reparent']).optional(), // required to deactivate a category with active children
+});
+
+const deleteQuerySchema = z.object({
+  children: z.enum(['cascade', 'reparent']).optional(),
 });
 
 /** POST /api/categories (admin) — create category OR subcategory */
 async function createCategory(req, res) {
-  const data = createSchema.parse(req.body);
+  const data = req.body;
 
-  // If parentSlug provided -> find parent
-  let parentId = null;
+  // If parentSlug provided -> find parent (any depth)
+  let parent = null;
   if (data.parentSlug) {
-    const parent = await Category.findOne({
+    parent = await Category.findOne({
       slug: data.parentSlug,
       isActive: true,
     });
-    if (!parent)
-      return res.status(400).json({ message: 'Parent category not found' });
-    parentId = parent._id;
+    if (!parent) throw new BadRequestError('Parent category not found');
   }
 
   // auto/unique slug
@@ -59,7 +69,8 @@ async function createCategory(req, res) {
   const cat = await Category.create({
     name: data.name,
     slug: finalSlug,
-    parent: parentId,
+    parent: parent ? parent._id : null,
+    ancestors: pathUnder(parent),
   });
 
   return res.status(201).json({ item: cat });
@@ -88,14 +99,17 @@ async function tree(_req, res) {
   return res.json({ items: roots });
 }
 
-/** GET /api/categories/:slug (public) — single active category */
+/**
+ * GET /api/categories/:slug (public) — single active category
+ * breadcrumbs: [{ name, slug }] from the top-level category down to this one
+ */
 async function getCategory(req, res) {
   const item = await Category.findOne({
     slug: req.params.slug,
     isActive: true,
   });
-  if (!item) return res.status(404).json({ message: 'Not found' });
-  return res.json({ item });
+  if (!item) throw new NotFoundError();
+  return res.json({ item, breadcrumbs: await breadcrumbs(item) });
 }
 
 /** GET /api/categories/:slug/subcategories (public) — list children */
@@ -104,7 +118,7 @@ async function listSubcategories(req, res) {
     slug: req.params.slug,
     isActive: true,
   });
-  if (!parent) return res.status(404).json({ message: 'Parent not found' });
+  if (!parent) throw new NotFoundError('Parent not found');
   const items = await Category.find({
     parent: parent._id,
     isActive: true,
@@ -112,32 +126,30 @@ async function listSubcategories(req, res) {
   return res.json({ items });
 }
 
-/** PATCH /api/categories/:slug (admin) — update, move under parent, or make top-level */
+/**
+ * PATCH /api/categories/:slug (admin) — update, move under any parent, or make top-level.
+ * Moves that would create a cycle are rejected. Deactivating a category
+ * with active children needs children=cascade|reparent.
+ */
 async function updateCategory(req, res) {
-  const data = updateSchema.parse(req.body);
+  const data = req.body;
   const current = await Category.findOne({ slug: req.params.slug });
-  if (!current) return res.status(404).json({ message: 'Not found' });
+  if (!current) throw new NotFoundError();
 
   // name
   if (data.name !== undefined) current.name = data.name;
 
-  // move under parent / or make top-level
+  // move under parent / or make top-level (applied below)
+  let parent;
   if (data.parentSlug !== undefined) {
     if (data.parentSlug === null || data.parentSlug === '') {
-      current.parent = null; // move to top-level
+      parent = null; // move to top-level
     } else {
-      const parent = await Category.findOne({
+      parent = await Category.findOne({
         slug: data.parentSlug,
         isActive: true,
       });
-      if (!parent)
-        return res.status(400).json({ message: 'Parent category not found' });
-      if (String(parent._id) === String(current._id)) {
-        return res
-          .status(400)
-          .json({ message: 'Category cannot be its own parent' });
-      }
-      current.parent = parent._id;
+      if (!parent) throw new BadRequestError('Parent category not found');
     }
   }
 
@@ -148,20 +160,24 @@ async function updateCategory(req, res) {
     current.slug = await uniqueSlug(data.name, current._id);
   }
 
-  if (typeof data.isActive === 'boolean') current.isActive = data.isActive;
+  if (data.isActive === true) current.isActive = true;
 
-  await current.save();
+  if (data.isActive === false && current.isActive)
+    await deactivateCategory(current, data.children);
+  if (parent !== undefined) await moveCategory(current, parent);
+  else await current.save();
   return res.json({ item: current });
 }
 
-/** DELETE /api/categories/:slug (admin) — soft delete */
+/**
+ * DELETE /api/categories/:slug?children=cascade|reparent (admin) — soft delete.
+ * children is required when the category has active subcategories.
+ */
 async function deleteCategory(req, res) {
-  const item = await Category.findOneAndUpdate(
-    { slug: req.params.slug },
-    { isActive: false },
-    { new: true },
-  );
-  if (!item) return res.status(404).json({ message: 'Not found' });
+  const item = await Category.findOne({ slug: req.params.slug });
+  if (!item) throw new NotFoundError();
+
+  await deactivateCategory(item, req.query.children);
   return res.json({ ok: true });
 }
 
@@ -173,4 +189,7 @@ module.exports = {
   listSubcategories,
   updateCategory,
   deleteCategory,
+  createSchema,
+  updateSchema,
+  deleteQuerySchema,
 };
@@ -0,0 +1,46 @@
+const { getOrCreateCart } = require('../../services/cart.service');
+const {
+  getActiveSession,
+  releaseSession,
+  reserveCart,
+} = require('../../services/reservation.service');
+const { BadRequestError, NotFoundError } = require('../../errors');
+
+/** Public shape of a checkout session */
+function sessionPayload(checkout) {
+  return {
+    id: checkout._id,
+    items: checkout.items,
+    expiresAt: checkout.expiresAt,
+  };
+}
+
+/**
+ * POST /api/checkout/session (auth)
+ * Hold the cart's quantities for CHECKOUT_RESERVATION_TTL_MINUTES.
+ * Calling it again restarts the hold with the current cart.
+ */
+async function startCheckout(req, res) {
+  const cart = await getOrCreateCart(req.user.id);
+  if (cart.items.length === 0) throw new BadRequestError('Cart is empty');
+  if (cart.items.some((i) => !i.product.isActive))
+    throw new BadRequestError('Product unavailable in cart');
+
+  const checkout = await reserveCart(req.user.id, cart);
+  res.status(201).json({ session: sessionPayload(checkout) });
+}
+
+/** GET /api/checkout/session (auth) — the active hold, if any */
+async function getCheckout(req, res) {
+  const checkout = await getActiveSession(req.user.id);
+  if (!checkout) throw new NotFoundError('No active checkout session');
+  res.json({ session: sessionPayload(checkout) });
+}
+
+/** DELETE /api/checkout/session (auth) — give the held stock back */
+async function cancelCheckout(req, res) {
+  await releaseSession(req.user.id);
+  res.json({ ok: true });
+}
+
+module.exports = { startCheckout, getCheckout, cancelCheckout };
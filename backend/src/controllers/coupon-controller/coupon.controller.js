@@ -0,0 +1,152 @@
+const { z } = require('zod');
+const Coupon = require('../../models/coupon.model');
+const Product = require('../../models/product.model');
+const Category = require('../../models/category.model');
+const { currencyInput, amountInput } = require('../../services/money.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../errors');
+
+/** Schemas */
+const baseSchema = z.object({
+  code: z
+    .string()
+    .min(3)
+    .max(40)
+    .regex(/^[A-Za-z0-9_-]+$/, 'Only letters, digits, - and _'),
+  description: z.string().optional(),
+  type: z.enum(['percentage', 'fixed', 'free_shipping']),
+  value: z.number().nonnegative().optional(), // percent, or minor units (fixed)
+  currency: currencyInput.optional(), // of the amounts; default: base currency
+  maxDiscount: amountInput.nullable().optional(),
+  minSubtotal: amountInput.optional(),
+  startsAt: z.coerce.date().nullable().optional(),
+  endsAt: z.coerce.date().nullable().optional(),
+  usageLimit: z.number().int().min(1).nullable().optional(),
+  perUserLimit: z.number().int().min(1).nullable().optional(),
+  productSlugs: z.array(z.string()).optional(), // scope to products
+  categorySlugs: z.array(z.string()).optional(), // scope to categories/subcategories
+  isActive: z.boolean().optional(),
+});
+
+/** Cross-field rules, applied to the merged (current + patch) coupon */
+function checkRules(c) {
+  if (c.type === 'percentage' && !(c.value > 0 && c.value <= 100))
+    return 'Percentage coupons need a value between 0 and 100';
+  if (c.type === 'fixed' && !(c.value > 0 && Number.isInteger(c.value)))
+    return 'Fixed coupons need a positive value in minor units';
+  if (c.startsAt && c.endsAt && c.endsAt <= c.startsAt)
+    return 'endsAt must be after startsAt';
+  return null;
+}
+
+/** Resolve scope slugs to ObjectIds; throws on unknown slugs */
+async function resolveScope(data) {
+  const out = {};
+  if (data.productSlugs !== undefined) {
+    const found = await Product.find({ slug: { $in: data.productSlugs } });
+    if (found.length !== new Set(data.productSlugs).size)
+      throw new Error('Unknown product in productSlugs');
+    out.products = found.map((p) => p._id);
+  }
+  if (data.categorySlugs !== undefined) {
+    const found = await Category.find({ slug: { $in: data.categorySlugs } });
+    if (found.length !== new Set(data.categorySlugs).size)
+      throw new Error('Unknown category in categorySlugs');
+    out.categories = found.map((c) => c._id);
+  }
+  return out;
+}
+
+function withoutSlugs({ productSlugs, categorySlugs, ...rest }) {
+  return rest;
+}
+
+const listQuerySchema = z.object({
+  active: z.enum(['true', 'false']).optional(),
+});
+
+/** ADMIN: GET /api/coupons — optional ?active=true|false */
+async function listCoupons(req, res) {
+  const filter = {};
+  if (req.query.active === 'true') filter.isActive = true;
+  if (req.query.active === 'false') filter.isActive = false;
+  const items = await Coupon.find(filter).sort({ createdAt: -1 });
+  res.json({ items });
+}
+
+/** ADMIN: GET /api/coupons/:code */
+async function getCoupon(req, res) {
+  const item = await Coupon.findOne({ code: req.params.code.toUpperCase() })
+    .populate('products', 'title slug')
+    .populate('categories', 'name slug');
+  if (!item) throw new NotFoundError();
+  res.json({ item });
+}
+
+/** ADMIN: POST /api/coupons */
+async function createCoupon(req, res) {
+  const data = req.body;
+  const rule = checkRules(data);
+  if (rule) throw new BadRequestError(rule);
+
+  const exists = await Coupon.exists({ code: data.code.toUpperCase() });
+  if (exists) throw new ConflictError('Code already exists');
+
+  let scope;
+  try {
+    scope = await resolveScope(data);
+  } catch (e) {
+    throw new BadRequestError(e.message);
+  }
+
+  const item = await Coupon.create({ ...withoutSlugs(data), ...scope });
+  res.status(201).json({ item });
+}
+
+/** ADMIN: PATCH /api/coupons/:code — code itself can't change */
+const updateSchema = baseSchema.omit({ code: true }).partial();
+
+async function updateCoupon(req, res) {
+  const data = req.body;
+  const item = await Coupon.findOne({ code: req.params.code.toUpperCase() });
+  if (!item) throw new NotFoundError();
+
+  const rule = checkRules({ ...item.toObject(), ...data });
+  if (rule) throw new BadRequestError(rule);
+
+  let scope;
+  try {
+    scope = await resolveScope(data);
+  } catch (e) {
+    throw new BadRequestError(e.message);
+  }
+
+  item.set({ ...withoutSlugs(data), ...scope });
+  await item.save();
+  res.json({ item });
+}
+
+/** ADMIN: DELETE /api/coupons/:code — soft delete (isActive=false) */
+async function deleteCoupon(req, res) {
+  const item = await Coupon.findOneAndUpdate(
+    { code: req.params.code.toUpperCase() },
+    { isActive: false },
+    { new: true },
+  );
+  if (!item) throw new NotFoundError();
+  res.json({ ok: true });
+}
+
+module.exports = {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  listQuerySchema,
+  baseSchema,
+  updateSchema,
+};
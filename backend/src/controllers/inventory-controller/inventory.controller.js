@@ -0,0 +1,111 @@
+const { z } = require('zod');
+const Product = require('../../models/product.model');
+const StockMovement = require('../../models/stock-movement.model');
+const StockAlert = require('../../models/stock-alert.model');
+const {
+  adjustStock,
+  sendLowStockAlerts,
+} = require('../../services/inventory.service');
+const { BadRequestError, NotFoundError } = require('../../errors');
+
+/** Find the product + variant named by :slug and ?sku / body.sku */
+async function findStockItem(slug, sku) {
+  const product = await Product.findOne({ slug });
+  if (!product) throw new NotFoundError('Product not found');
+  if (product.variants.length > 0 && !sku)
+    throw new BadRequestError('sku is required for this product');
+  if (product.variants.length === 0 && sku)
+    throw new BadRequestError('This product has no variants');
+  const variant = sku ? product.findVariant(sku) : null;
+  if (sku && !variant) throw new NotFoundError('Variant not found');
+  return { product, variant };
+}
+
+/**
+ * ADMIN: POST /api/inventory/:slug/adjustments
+ * body: { sku?, delta, reason, note? } — delta is signed (+restock, -shrinkage)
+ */
+const adjustSchema = z.object({
+  sku: z.string().min(1).optional(),
+  delta: z
+    .number()
+    .int()
+    .refine((n) => n !== 0, 'delta cannot be 0'),
+  reason: z.enum(['restock', 'damaged', 'lost', 'correction', 'other']),
+  note: z.string().max(500).optional(),
+});
+
+async function createAdjustment(req, res) {
+  const data = req.body;
+  const { product, variant } = await findStockItem(req.params.slug, data.sku);
+
+  const movement = await adjustStock(
+    { product: product._id, variant: variant?._id, delta: data.delta },
+    { reason: data.reason, user: req.user.id, note: data.note },
+  );
+  sendLowStockAlerts().catch((err) =>
+    console.error('Low stock alerts failed:', err.message),
+  ); // best effort
+
+  res.status(201).json({ item: movement });
+}
+
+/**
+ * ADMIN: GET /api/inventory/:slug/movements
+ * Newest first. Optional ?sku=, ?reason=, ?page=1&limit=50
+ */
+const movementsQuerySchema = z.object({
+  sku: z.string().optional(),
+  reason: z.enum(StockMovement.REASONS).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+async function listMovements(req, res) {
+  const query = req.query;
+  const product = await Product.findOne({ slug: req.params.slug });
+  if (!product) throw new NotFoundError('Product not found');
+
+  const filter = { product: product._id };
+  if (query.sku) filter.sku = query.sku;
+  if (query.reason) filter.reason = query.reason;
+
+  const [items, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((query.page - 1) * query.limit)
+      .limit(query.limit)
+      .populate('user', 'name email'),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  res.json({
+    product: { slug: product.slug, title: product.title, stock: product.stock },
+    items,
+    total,
+    page: query.page,
+    limit: query.limit,
+    pages: Math.ceil(total / query.limit),
+  });
+}
+
+const alertsQuerySchema = z.object({
+  status: z.enum(['open', 'resolved']).default('open'),
+});
+
+/** ADMIN: GET /api/inventory/alerts — ?status=open (default) | resolved */
+async function listAlerts(req, res) {
+  const items = await StockAlert.find({ status: req.query.status })
+    .sort({ createdAt: -1 })
+    .populate('product', 'title slug stock lowStockThreshold');
+  res.json({ items });
+}
+
+module.exports = {
+  createAdjustment,
+  listMovements,
+  listAlerts,
+  adjustSchema,
+  movementsQuerySchema,
+  alertsQuerySchema,
+};
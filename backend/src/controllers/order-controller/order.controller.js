@@ -1,21 +1,50 @@
 const { z } = require('zod');
 const mongoose = require('mongoose');
 const Cart = require('../../models/cart.model');
-const Product = require('../../models/product.model');
+const {
+  decrementStock,
+  restoreStock,
+  sendLowStockAlerts,
+} = require('../../services/inventory.service');
+const {
+  toCouponLine,
+  withCategoryAncestors,
+  evaluateCoupon,
+  allocateDiscount,
+  redeemCoupon,
+  releaseCoupon,
+} = require('../../services/coupon.service');
 const Order = require('../../models/order.model');
+const Address = require('../../models/address.model');
+const Coupon = require('../../models/coupon.model');
+const Payment = require('../../models/payment.model');
+const { selectShipping } = require('../../services/shipping.service');
+const { refundOrder } = require('../../services/refund.service');
+const { findTaxRate, computeTax } = require('../../services/tax.service');
+const { countryInput } = require('../../services/country.service');
+const {
+  reservedQuantities,
+  availableQty,
+  releaseSession,
+} = require('../../services/reservation.service');
+const { getStripe, isStripeConfigured } = require('../../config/stripe');
+const { can } = require('../../middlewares/auth');
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../errors');
 
-/** Simple helpers — customize as needed */
-function calcShipping(subtotal) {
-  // flat 0 for now; e.g., return subtotal > 100 ? 0 : 5;
-  return 0;
-}
-function calcTax(subtotal) {
-  // e.g., 0% for now; plug in your region logic later
-  return 0;
-}
-
-/** Zod: minimal shipping address + method */
+/**
+ * Zod: shipping address + method.
+ * Shipping: addressId (saved) > inline shippingAddress > default shipping address.
+ * Billing: billingAddressId > default billing address > shipping address.
+ */
 const createOrderSchema = z.object({
+  addressId: z.string().optional(),
+  billingAddressId: z.string().optional(),
   shippingAddress: z
     .object({
       fullName: z.string().min(2),
@@ -25,113 +54,311 @@ const createOrderSchema = z.object({
       city: z.string().min(2),
       state: z.string().optional(),
       postalCode: z.string().min(3),
-      country: z.string().min(2),
+      country: countryInput,
     })
     .optional(),
-  paymentMethod: z.enum(['cod']).optional(), // extend later when you add Stripe/PayPal
+  shippingMethod: z.enum(['standard', 'express']).optional(), // default: cheapest offered
+  paymentMethod: z.enum(['cod', 'card']).optional(), // card = Stripe PaymentIntent
 });
 
+/** Load one of the user's saved addresses by id, or their default for `flag` */
+function findUserAddress(userId, id, flag) {
+  if (id) return Address.findOne({ _id: id, user: userId });
+  return Address.findOne({ user: userId, [flag]: true });
+}
+
 /**
  * POST /api/orders
  * Create an order from the user's cart:
- * - reload products, verify stock
- * - compute totals
+ * - resolve + snapshot shipping/billing addresses (address book or inline)
+ * - reload products, verify stock (less other shoppers' checkout holds)
+ * - compute totals in the cart currency, in integer minor units (incl. the
+ *   cart's coupon, if any); the currency is snapshotted onto the order
+ * - price the chosen shipping method for the address zone (see shipping.service)
+ * - tax each line by region + product tax class (see tax.service)
+ * - for card payments, create a Stripe PaymentIntent (client confirms it with clientSecret)
  * - use a MongoDB transaction to decrement stock & create the order atomically
- * - clear cart on success
+ * - clear cart + release the user's checkout hold on success
  */
 async function createOrder(req, res) {
-  const body = createOrderSchema.parse(req.body);
+  const body = req.body;
+
+  // Resolve addresses up-front: an order must never ship to an empty address
+  let shippingAddress = body.shippingAddress;
+  if (body.addressId || !shippingAddress) {
+    const saved = await findUserAddress(
+      req.user.id,
+      body.addressId,
+      'isDefaultShipping',
+    );
+    if (!saved) {
+      throw new BadRequestError(
+        body.addressId
+          ? 'Address not found'
+          : 'Shipping address required (addressId, shippingAddress or a default address)',
+      );
+    }
+    shippingAddress = saved.toSnapshot();
+  }
+
+  let billingAddress = shippingAddress;
+  const savedBilling = await findUserAddress(
+    req.user.id,
+    body.billingAddressId,
+    'isDefaultBilling',
+  );
+  if (savedBilling) billingAddress = savedBilling.toSnapshot();
+  else if (body.billingAddressId)
+    throw new BadRequestError('Billing address not found');
 
   // Load cart with product refs
   let cart = await Cart.findOne({ user: req.user.id }).populate(
     'items.product',
   );
   if (!cart || cart.items.length === 0) {
-    return res.status(400).json({ message: 'Cart is empty' });
+    throw new BadRequestError('Cart is empty');
   }
 
-  // Build snapshot and compute subtotal using *current* product prices
+  // Stock held by other shoppers' checkout sessions isn't ours to sell
+  const reserved = await reservedQuantities(
+    cart.items.filter((i) => i.product).map((i) => i.product._id),
+    { excludeUser: req.user.id },
+  );
+
+  // Build snapshot and compute subtotal using *current* product/variant prices
+  const { currency } = cart;
   let subtotal = 0;
+  let weight = 0;
   const itemsSnapshot = [];
+  let couponLines = [];
 
   for (const it of cart.items) {
     const p = it.product;
     if (!p || !p.isActive) {
-      return res.status(400).json({ message: `Product unavailable in cart` });
+      throw new BadRequestError(`Product unavailable in cart`);
     }
-    if (p.stock < it.qty) {
-      return res
-        .status(400)
-        .json({ message: `Insufficient stock for ${p.slug}` });
+    const variant = p.findVariant(it.variant);
+    if (p.variants.length > 0 && (!variant || !variant.isActive)) {
+      throw new BadRequestError(`Select an available variant for ${p.slug}`);
     }
-    const lineTotal = +(p.price * it.qty).toFixed(2);
+    if (availableQty(p, variant, reserved) < it.qty) {
+      throw new BadRequestError(
+        `Insufficient stock for ${variant ? variant.sku : p.slug}`,
+        'OUT_OF_STOCK',
+      );
+    }
+    const price = p.unitPrice(variant, currency);
+    if (price === null)
+      throw new BadRequestError(`${p.title} is not sold in ${currency}`);
+    const lineTotal = price * it.qty;
+    const unitWeight = p.weightFor(variant);
     subtotal += lineTotal;
+    weight += unitWeight * it.qty;
 
     itemsSnapshot.push({
       product: p._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : null,
+      options: variant ? Object.fromEntries(variant.options) : undefined,
       title: p.title,
       slug: p.slug,
-      price: p.price,
+      category: p.category ?? null,
+      price,
       qty: it.qty,
       lineTotal,
+      weight: unitWeight,
+      taxClass: p.taxClass,
     });
+    couponLines.push(toCouponLine(p, lineTotal));
+  }
+
+  // Coupon: re-validate at checkout; usage is counted inside the transaction
+  let coupon = null;
+  let discount = 0;
+  let freeShipping = false;
+  if (cart.coupon) {
+    coupon = await Coupon.findById(cart.coupon);
+    couponLines = await withCategoryAncestors(couponLines);
+    try {
+      ({ discount, freeShipping } = await evaluateCoupon(
+        coupon,
+        couponLines,
+        req.user.id,
+        currency,
+      ));
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      throw new BadRequestError(
+        `Coupon: ${err.message}`,
+        'COUPON_NOT_APPLICABLE',
+      );
+    }
   }
 
-  subtotal = +subtotal.toFixed(2);
-  const shippingFee = calcShipping(subtotal);
-  const tax = calcTax(subtotal);
-  const grandTotal = +(subtotal + shippingFee + tax).toFixed(2);
+  const shipping = await selectShipping(
+    shippingAddress,
+    { subtotal: subtotal - discount, weight, freeShipping, currency },
+    body.shippingMethod,
+  );
+
+  const shippingFee = shipping.fee;
+
+  // Tax per line, after each line's share of the discount
+  const discounts = allocateDiscount(coupon, couponLines, discount);
+  itemsSnapshot.forEach((it, idx) => (it.discount = discounts[idx]));
+  const taxRate = await findTaxRate(shippingAddress);
+  const taxes = computeTax(taxRate, { lines: itemsSnapshot, shippingFee });
+  itemsSnapshot.forEach((it, idx) => {
+    it.taxRate = taxes.lines[idx].rate;
+    it.tax = taxes.lines[idx].tax;
+  });
+  const tax = taxes.total;
+  const grandTotal =
+    subtotal - discount + shippingFee + (taxes.inclusive ? 0 : tax);
+  const paymentMethod = body.paymentMethod || 'cod';
+
+  // Pre-generate ids so the PaymentIntent metadata can point at the order
+  const orderId = new mongoose.Types.ObjectId();
+  const paymentId = new mongoose.Types.ObjectId();
+
+  let intent = null;
+  if (paymentMethod === 'card') {
+    if (!isStripeConfigured())
+      throw new AppError(
+        503,
+        'SERVICE_UNAVAILABLE',
+        'Card payments are not configured',
+      );
+    try {
+      intent = await getStripe().paymentIntents.create(
+        {
+          amount: grandTotal, // already minor units
+          currency: currency.toLowerCase(),
+          automatic_payment_methods: { enabled: true },
+          metadata: { orderId: String(orderId), userId: String(req.user.id) },
+        },
+        { idempotencyKey: `order_${orderId}` },
+      );
+    } catch (err) {
+      throw new AppError(
+        502,
+        'PAYMENT_PROVIDER_ERROR',
+        `Payment provider error: ${err.message}`,
+      );
+    }
+  }
 
   // Transaction: decrement stock + create order + clear cart atomically
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    // Decrement stock
-    for (const it of cart.items) {
-      const resUpd = await Product.updateOne(
-        { _id: it.product._id, stock: { $gte: it.qty } },
-        { $inc: { stock: -it.qty } },
-        { session },
-      );
-      if (resUpd.modifiedCount !== 1) {
-        throw new Error(`Stock update failed for ${it.product.slug}`);
-      }
+    // Decrement stock (per variant where applicable)
+    for (const it of itemsSnapshot) {
+      const ok = await decrementStock(it, session, {
+        order: orderId,
+        user: req.user.id,
+      });
+      if (!ok)
+        throw new ConflictError(
+          `Not enough stock left for ${it.sku || it.slug}`,
+          'OUT_OF_STOCK',
+        );
     }
 
+    // Count the coupon use (global + per-user limits enforced atomically)
+    if (coupon) await redeemCoupon(coupon, req.user.id, orderId, session);
+
     // Create order
     const order = await Order.create(
       [
         {
+          _id: orderId,
           user: req.user.id,
           items: itemsSnapshot,
+          currency,
           subtotal,
+          discount,
           shippingFee,
           tax,
+          shippingTax: taxes.shipping.tax,
+          taxInclusive: taxes.inclusive,
+          taxRegion: taxRate
+            ? {
+                id: taxRate._id,
+                name: taxRate.name,
+                country: taxRate.country,
+                state: taxRate.state,
+              }
+            : null,
           grandTotal,
-          shippingAddress: body.shippingAddress || {},
-          paymentMethod: body.paymentMethod || 'cod',
+          coupon: coupon
+            ? {
+                id: coupon._id,
+                code: coupon.code,
+                type: coupon.type,
+                value: coupon.value,
+                freeShipping,
+              }
+            : null,
+          shippingAddress,
+          billingAddress,
+          shipping,
+          paymentMethod,
           paymentStatus: 'unpaid',
+          payment: intent ? paymentId : null,
           status: 'pending',
         },
       ],
       { session },
     );
 
+    if (intent) {
+      await Payment.create(
+        [
+          {
+            _id: paymentId,
+            order: orderId,
+            user: req.user.id,
+            intentId: intent.id,
+            amount: intent.amount,
+            currency: intent.currency,
+          },
+        ],
+        { session },
+      );
+    }
+
     // Clear cart
     cart.items = [];
+    cart.coupon = null;
     await cart.save({ session });
+    await releaseSession(req.user.id, session);
 
     await session.commitTransaction();
     session.endSession();
+    sendLowStockAlerts().catch((err) =>
+      console.error('Low stock alerts failed:', err.message),
+    ); // best effort, after commit
 
     // Return order (array[0] because create with session returns array)
-    return res.status(201).json({ order: order[0] });
+    return res.status(201).json({
+      order: order[0],
+      payment: intent
+        ? { intentId: intent.id, clientSecret: intent.client_secret }
+        : undefined,
+    });
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
-    return res
-      .status(500)
-      .json({ message: err.message || 'Order creation failed' });
+    // Don't leave a payable intent behind for an order that doesn't exist
+    if (intent) {
+      await getStripe()
+        .paymentIntents.cancel(intent.id)
+        .catch((err) =>
+          console.error('PaymentIntent cancel failed:', err.message),
+        );
+    }
+    throw err;
   }
 }
 
@@ -143,89 +370,172 @@ async function myOrders(req, res) {
   res.json({ items: orders });
 }
 
-/** GET /api/orders/:id (auth) — user can see own; admin can see any */
+/** GET /api/orders/:id (auth) — user can see own; staff with orders:read any */
 async function getOrder(req, res) {
   const order = await Order.findById(req.params.id);
-  if (!order) return res.status(404).json({ message: 'Not found' });
+  if (!order) throw new NotFoundError();
 
   const isOwner = String(order.user) === String(req.user.id);
-  const isAdmin = req.user.role === 'admin';
-  if (!isOwner && !isAdmin)
-    return res.status(403).json({ message: 'Forbidden' });
+  if (!isOwner && !can(req, 'orders:read'))
+    throw new ForbiddenError('Forbidden');
 
   res.json({ order });
 }
 
-/** ADMIN: GET /api/orders/all — list all */
-async function listAllOrders(_req, res) {
-  const orders = await Order.find().sort({ createdAt: -1 });
+const adminQuerySchema = z.object({
+  status: z.enum(Object.keys(Order.TRANSITIONS)).optional(),
+});
+
+/** ADMIN: GET /api/orders/admin/all — list all (optional ?status=) */
+async function listAllOrders(req, res) {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  const orders = await Order.find(filter).sort({ createdAt: -1 });
   res.json({ items: orders });
 }
 
-/** ADMIN: PATCH /api/orders/:id/status — update status (paid/shipped/delivered) */
+/**
+ * Cancel an order: restore stock, give back the coupon use and void any
+ * open card payment, all in one transaction. Caller checks permissions.
+ */
+async function cancelOrder(order, { actor, note }) {
+  order.transition('cancelled', { actor, note }); // throws 409 if not allowed
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let payment = null;
+  try {
+    // Restore stock
+    for (const it of order.items) {
+      await restoreStock(it, session, {
+        reason: 'order_cancelled',
+        order: order._id,
+        user: actor,
+      });
+    }
+
+    // Give the coupon use back
+    if (order.coupon?.id)
+      await releaseCoupon(order.coupon.id, order.user, order._id, session);
+
+    await order.save({ session });
+
+    payment = order.payment
+      ? await Payment.findById(order.payment).session(session)
+      : null;
+    if (payment && ['requires_payment', 'failed'].includes(payment.status)) {
+      payment.status = 'canceled';
+      await payment.save({ session });
+    } else payment = null;
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  // Best effort: stop the customer from paying a cancelled order
+  if (payment && isStripeConfigured()) {
+    await getStripe()
+      .paymentIntents.cancel(payment.intentId)
+      .catch((err) =>
+        console.error('PaymentIntent cancel failed:', err.message),
+      );
+  }
+}
+
+/**
+ * ADMIN: PATCH /api/orders/:id/status
+ * Moves status/paymentStatus along the allowed graph (see order.model.js)
+ * and records the admin + note in statusHistory. "returned" isn't settable
+ * here: receiving the return (POST /api/returns/:id/receive) sets it, after
+ * restocking what came back. Neither are the refund payment states: those
+ * follow money actually given back (returns, or cancelling a paid order,
+ * which refunds what's left and needs `orders:refund`).
+ */
 const updateStatusSchema = z.object({
-  status: z.enum(['pending', 'paid', 'shipped', 'delivered']).optional(),
-  paymentStatus: z.enum(['unpaid', 'paid', 'refunded']).optional(),
+  status: z
+    .enum(Object.keys(Order.TRANSITIONS))
+    .exclude(['returned'])
+    .optional(),
+  paymentStatus: z
+    .enum(Object.keys(Order.PAYMENT_TRANSITIONS))
+    .exclude(['partially_refunded', 'refunded'])
+    .optional(),
+  note: z.string().max(500).optional(),
 });
 
 async function updateOrderStatus(req, res) {
-  const data = updateStatusSchema.parse(req.body);
+  const data = req.body;
+  if (!data.status && !data.paymentStatus)
+    throw new BadRequestError('Provide status and/or paymentStatus');
+
   const order = await Order.findById(req.params.id);
-  if (!order) return res.status(404).json({ message: 'Not found' });
+  if (!order) throw new NotFoundError();
 
-  if (data.status) order.status = data.status;
-  if (data.paymentStatus) order.paymentStatus = data.paymentStatus;
+  const by = { actor: req.user.id, note: data.note };
+  if (data.paymentStatus) order.setPaymentStatus(data.paymentStatus, by);
+  if (data.status === 'cancelled') {
+    if (!order.canTransition('cancelled'))
+      throw new ConflictError(
+        `Cannot change order status from ${order.status} to cancelled`,
+        'INVALID_STATE',
+      );
+    if (['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      if (!can(req, 'orders:refund'))
+        throw new ForbiddenError(
+          'Cancelling a paid order refunds it, which needs orders:refund',
+          'PERMISSION_DENIED',
+        );
+      await refundOrder(order, order.grandTotal - order.refundedTotal, {
+        key: `cancel_${order._id}`,
+        metadata: { reason: 'order_cancelled' },
+        by,
+      });
+      await order.save(); // the money is gone even if cancelling fails below
+    }
+    await cancelOrder(order, by);
+    return res.json({ order });
+  }
+  if (data.status && data.status !== order.status)
+    order.transition(data.status, by);
   await order.save();
 
   res.json({ order });
 }
 
 /**
- * DELETE /api/orders/:id (auth) — cancel if pending & unpaid.
- * Restores stock in a transaction.
+ * DELETE /api/orders/:id (auth) — cancel if pending & unpaid (or card payment failed).
+ * Restores stock in a transaction and cancels any open PaymentIntent.
  */
 async function cancelMyOrder(req, res) {
   const order = await Order.findById(req.params.id);
-  if (!order) return res.status(404).json({ message: 'Not found' });
+  if (!order) throw new NotFoundError();
 
   const isOwner = String(order.user) === String(req.user.id);
-  const isAdmin = req.user.role === 'admin';
-  if (!isOwner && !isAdmin)
-    return res.status(403).json({ message: 'Forbidden' });
-
-  if (order.cancelled)
-    return res.status(400).json({ message: 'Already cancelled' });
-  if (order.paymentStatus !== 'unpaid' || order.status !== 'pending') {
-    return res
-      .status(400)
-      .json({ message: 'Cannot cancel after payment or processing' });
-  }
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  try {
-    // Restore stock
-    for (const it of order.items) {
-      await Product.updateOne(
-        { _id: it.product },
-        { $inc: { stock: +it.qty } },
-        { session },
-      );
-    }
+  if (!isOwner && !can(req, 'orders:write'))
+    throw new ForbiddenError('Forbidden');
 
-    order.cancelled = true;
-    order.cancelledAt = new Date();
-    await order.save({ session });
+  if (order.status === 'cancelled')
+    throw new ConflictError('Already cancelled', 'INVALID_STATE');
+  if (
+    !['unpaid', 'failed'].includes(order.paymentStatus) ||
+    order.status !== 'pending'
+  ) {
+    throw new ConflictError(
+      'Cannot cancel after payment or processing',
+      'INVALID_STATE',
+    );
+  }
 
-    await session.commitTransaction();
-    session.endSession();
+  await cancelOrder(order, {
+    actor: req.user.id,
+    note: isOwner ? 'Cancelled by customer' : 'Cancelled by staff',
+  });
 
-    res.json({ ok: true });
-  } catch (e) {
-    await session.abortTransaction();
-    session.endSession();
-    res.status(500).json({ message: 'Cancel failed' });
-  }
+  res.json({ ok: true });
 }
 
 module.exports = {
@@ -235,4 +545,7 @@ module.exports = {
   listAllOrders,
   updateOrderStatus,
   cancelMyOrder,
+  createOrderSchema,
+  adminQuerySchema,
+  updateStatusSchema,
 };
@@ -0,0 +1,182 @@
+const Order = require('../../models/order.model');
+const Payment = require('../../models/payment.model');
+const env = require('../../config/env');
+const { getStripe, isStripeConfigured } = require('../../config/stripe');
+const { can } = require('../../middlewares/auth');
+const {
+  AppError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../errors');
+
+/**
+ * Give back a charge that succeeded after its order was cancelled (the
+ * customer paid while cancelOrder was cancelling the intent). Throws when
+ * Stripe fails, so the event is redelivered and the refund retried.
+ */
+async function refundCancelledOrder(payment, order) {
+  await getStripe().refunds.create(
+    {
+      payment_intent: payment.intentId,
+      metadata: { orderId: String(order._id), reason: 'order_cancelled' },
+    },
+    { idempotencyKey: `cancelled_${order._id}` },
+  );
+}
+
+/**
+ * Sync a claimed event onto the payment and its order. Payment status
+ * changes the order graph doesn't allow (e.g. a refund of an order we never
+ * saw paid) are skipped, so Stripe isn't told to redeliver an event that
+ * can never apply.
+ */
+async function syncEvent(event, payment) {
+  const obj = event.data.object;
+  const order = await Order.findById(payment.order);
+  const setPaymentStatus = (to, note) => {
+    if (!order || order.paymentStatus === to) return;
+    if (order.canSetPaymentStatus(to)) order.setPaymentStatus(to, { note });
+  };
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      payment.status = 'succeeded';
+      payment.lastError = null;
+      if (order?.status === 'cancelled') {
+        // Stock is already back on the shelf; don't keep the money
+        await refundCancelledOrder(payment, order);
+        break;
+      }
+      setPaymentStatus('paid', `Stripe ${event.id}`);
+      if (order?.paymentStatus === 'paid' && order.canTransition('processing'))
+        order.transition('processing', { note: 'Payment received' });
+      break;
+
+    case 'payment_intent.payment_failed':
+      // Customer may retry with the same intent, so the order stays pending
+      payment.status = 'failed';
+      payment.lastError = obj.last_payment_error?.message || 'Payment failed';
+      if (order?.paymentStatus === 'unpaid')
+        setPaymentStatus('failed', payment.lastError);
+      break;
+
+    case 'payment_intent.canceled':
+      payment.status = 'canceled';
+      break;
+
+    case 'charge.refunded': {
+      payment.amountRefunded = obj.amount_refunded;
+      // Covers refunds made in the Stripe dashboard too; the payment is in
+      // the order currency, so its refunded total is the order's
+      if (order) order.refundedTotal = obj.amount_refunded;
+      const full = obj.amount_refunded >= payment.amount;
+      payment.status = full ? 'refunded' : 'partially_refunded';
+      setPaymentStatus(payment.status, `Stripe ${event.id}`);
+      break;
+    }
+
+    default:
+      return;
+  }
+
+  await payment.save();
+  if (order) await order.save();
+}
+
+/**
+ * Apply a PaymentIntent / Charge event to our Payment + Order.
+ * Returns false when the event doesn't concern one of our payments.
+ * The event id is claimed on the payment first, so concurrent redeliveries
+ * apply it once; a failure releases the claim for Stripe's next attempt.
+ */
+async function applyEvent(event) {
+  const obj = event.data.object;
+  const intentId =
+    obj.object === 'payment_intent' ? obj.id : obj.payment_intent;
+  if (!intentId) return false;
+
+  const claim = await Payment.updateOne(
+    { intentId, processedEvents: { $ne: event.id } },
+    { $push: { processedEvents: event.id } },
+  );
+  // Nothing claimed: not one of our payments, or a redelivery
+  if (claim.modifiedCount === 0) return !!(await Payment.exists({ intentId }));
+
+  const payment = await Payment.findOne({ intentId });
+  try {
+    await syncEvent(event, payment);
+  } catch (err) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $pull: { processedEvents: event.id } },
+    );
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * POST /api/payments/webhook (public, Stripe-signed)
+ * Verifies the Stripe-Signature header against the raw body, then syncs
+ * payment/order state for succeeded, failed, canceled and refunded events.
+ */
+async function stripeWebhook(req, res) {
+  if (!isStripeConfigured() || !env.STRIPE_WEBHOOK_SECRET)
+    throw new AppError(
+      503,
+      'SERVICE_UNAVAILABLE',
+      'Stripe webhook not configured',
+    );
+
+  let event;
+  try {
+    event = getStripe().webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      env.STRIPE_WEBHOOK_SECRET,
+    );
+  } catch (err) {
+    throw new BadRequestError(`Webhook signature verification failed`);
+  }
+
+  await applyEvent(event);
+  res.json({ received: true });
+}
+
+/**
+ * GET /api/payments/orders/:orderId (auth) — payment state for an order.
+ * Also returns the clientSecret again so the client can resume confirmation.
+ */
+async function getOrderPayment(req, res) {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) throw new NotFoundError();
+
+  const isOwner = String(order.user) === String(req.user.id);
+  if (!isOwner && !can(req, 'orders:read'))
+    throw new ForbiddenError('Forbidden');
+
+  const payment = await Payment.findOne({ order: order._id });
+  if (!payment) throw new NotFoundError('No card payment for this order');
+
+  let clientSecret;
+  if (isOwner && ['requires_payment', 'failed'].includes(payment.status)) {
+    const intent = await getStripe().paymentIntents.retrieve(payment.intentId);
+    clientSecret = intent.client_secret;
+  }
+
+  res.json({
+    payment: {
+      id: payment._id,
+      intentId: payment.intentId,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      amountRefunded: payment.amountRefunded,
+      lastError: payment.lastError,
+    },
+    clientSecret,
+  });
+}
+
+module.exports = { stripeWebhook, getOrderPayment };
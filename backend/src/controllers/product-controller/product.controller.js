@@ -1,132 +1,299 @@
 const { z } = require('zod');
-const slugify = require('slugify');
+const mongoose = require('mongoose');
+const env = require('../../config/env');
 const Product = require('../../models/product.model');
 const Category = require('../../models/category.model'); // ⬅️ NEW: needed to resolve slugs
+const {
+  imageInput,
+  pricesInput,
+  optionInput,
+  variantInput,
+  productInput,
+  toSlug,
+  uniqueSlug,
+  resolveCategoryRefs,
+  findSkuConflict,
+  variantStockError,
+  mergeVariants,
+} = require('../../services/product.service');
+const {
+  withAvailability,
+  heldOutProductIds,
+} = require('../../services/reservation.service');
+const { recordInitialStock } = require('../../services/inventory.service');
+const { subtreeIds } = require('../../services/category.service');
+const { currencyInput, amountInput } = require('../../services/money.service');
+const {
+  prepareImages,
+  imageUrls,
+  releaseImages,
+} = require('../../services/image.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../errors');
 
 /**
- * Convert text to a clean slug.
+ * Validation schema for creating a product (shared with catalog import).
+ * - slug is optional — will be generated from title if not provided.
+ * - categorySlug / subcategorySlug are optional and validated if present.
+ * - options/variants are optional; with variants, stock is per variant.
  */
-function toSlug(input) {
-  return slugify(input, { lower: true, strict: true, trim: true });
-}
+const createSchema = productInput;
 
 /**
- * Ensure slug uniqueness in Product collection.
- * Will suffix with -2, -3 if needed.
+ * Query schema for GET /api/products.
+ * Query strings arrive as text, so numbers are coerced.
  */
-async function uniqueSlug(baseText, excludeId = null) {
-  const base = toSlug(baseText);
-  let candidate = base;
-  let n = 2;
-
-  // try base, then base-2, base-3, ...
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const q = { slug: candidate };
-    if (excludeId) q._id = { $ne: excludeId };
-    const exists = await Product.findOne(q).lean();
-    if (!exists) return candidate;
-    candidate = `${base}-${n++}`;
-  }
-}
+const listQuerySchema = z.object({
+  q: z.string().trim().min(1).optional(),
+  category: z.string().optional(),
+  subcategory: z.string().optional(),
+  currency: currencyInput
+    .default(env.CURRENCY)
+    .describe('Currency minPrice/maxPrice and the price sorts are in'),
+  minPrice: z.coerce.number().int().nonnegative().optional(), // minor units
+  maxPrice: z.coerce.number().int().nonnegative().optional(),
+  inStock: z.enum(['true', 'false']).optional(),
+  sort: z
+    .enum([
+      'relevance',
+      'newest',
+      'price_asc',
+      'price_desc',
+      'name_asc',
+      'name_desc',
+      'rating',
+    ])
+    .optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().optional(),
+});
 
 /**
- * Helper: resolve category & subcategory by slug.
- * Validates that subcategory has a parent and belongs to the given category.
- * Returns ObjectId(s) or nulls.
+ * Sort options: field + direction. `_id` (same direction) breaks ties so
+ * cursor pagination is stable. "relevance" uses the text score (no cursor).
+ * `listPrice` is computed per query (see listPriceExpr).
  */
-async function resolveCategoryRefs(categorySlug, subcategorySlug) {
-  let category = null;
-  let subcategory = null;
-
-  if (categorySlug) {
-    category = await Category.findOne({ slug: categorySlug, isActive: true });
-    if (!category) throw new Error('categorySlug not found');
-  }
-
-  if (subcategorySlug) {
-    subcategory = await Category.findOne({
-      slug: subcategorySlug,
-      isActive: true,
-    });
-    if (!subcategory) throw new Error('subcategorySlug not found');
-    if (!subcategory.parent)
-      throw new Error('subcategorySlug is not a subcategory');
-  }
-
-  // If both provided, ensure subcategory belongs to category
-  if (
-    subcategory &&
-    category &&
-    String(subcategory.parent) !== String(category._id)
-  ) {
-    throw new Error('subcategory does not belong to the given category');
-  }
+const SORTS = {
+  newest: { field: 'createdAt', dir: -1 },
+  price_asc: { field: 'listPrice', dir: 1 },
+  price_desc: { field: 'listPrice', dir: -1 },
+  name_asc: { field: 'title', dir: 1 },
+  name_desc: { field: 'title', dir: -1 },
+  rating: { field: 'ratingAverage', dir: -1 },
+};
 
+/**
+ * Aggregation expression for a product's lowest unit price in `currency`,
+ * the same resolution as Product#unitPrice: an active variant's override,
+ * else the product price; other currencies from the price lists. null when
+ * the product isn't sold in that currency.
+ * `currency` must be a validated code (it becomes a field path).
+ */
+function listPriceExpr(currency) {
+  const inBase = { $eq: ['$currency', currency] };
+  const productPrice = {
+    $cond: [inBase, '$price', { $ifNull: [`$prices.${currency}`, null] }],
+  };
+  const variantPrice = {
+    $cond: [
+      inBase,
+      { $ifNull: ['$$v.price', '$price'] },
+      { $ifNull: [`$$v.prices.${currency}`, productPrice] },
+    ],
+  };
+  const variants = { $ifNull: ['$variants', []] };
   return {
-    categoryId: category ? category._id : null,
-    subcategoryId: subcategory ? subcategory._id : null,
+    $cond: [
+      { $gt: [{ $size: variants }, 0] },
+      {
+        $min: {
+          $map: {
+            input: {
+              $filter: { input: variants, as: 'v', cond: '$$v.isActive' },
+            },
+            as: 'v',
+            in: variantPrice,
+          },
+        },
+      },
+      productPrice,
+    ],
   };
 }
 
-/**
- * Validation schema for creating a product.
- * - slug is optional — will be generated from title if not provided.
- * - categorySlug / subcategorySlug are optional and validated if present.
- */
-const createSchema = z.object({
-  title: z.string().min(2),
-  slug: z.string().min(2).optional(),
-  description: z.string().optional(),
-  price: z.number().nonnegative(),
-  stock: z.number().int().nonnegative().optional(),
-  images: z.array(z.string().url()).optional(),
-  categorySlug: z.string().optional(), // ⬅️ NEW
-  subcategorySlug: z.string().optional(), // ⬅️ NEW
-});
+/** Opaque cursor = base64url JSON of the last item's sort value + _id */
+function encodeCursor(item, field) {
+  const raw = JSON.stringify({ v: item[field], id: String(item._id) });
+  return Buffer.from(raw).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) return null;
+    return {
+      value: field === 'createdAt' ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+}
 
 /**
  * GET /api/products (public)
  * Optional filters:
- *   - ?category=<categorySlug>
+ *   - ?q=<keywords>               (text search over title/description)
+ *   - ?category=<categorySlug>     (incl. all descendant categories)
  *   - ?subcategory=<subcategorySlug>
+ *   - ?minPrice=1000&maxPrice=50000&currency=EUR (minor units; currency
+ *     defaults to the base currency)
+ *   - ?inStock=true              (some unit not held by a checkout)
+ * Sorting: ?sort=relevance|newest|price_asc|price_desc|name_asc|name_desc|rating
+ *   (default: relevance when q is given, otherwise newest)
+ * Price filters and sorts use the lowest variant/price-list price in
+ * `currency` and leave out products not sold in it.
+ * Pagination: ?page=1&limit=20, or ?cursor=<nextCursor> for keyset paging
+ * Each item (and variant) has `available` = stock minus active checkout holds.
  */
 async function listProducts(req, res) {
-  const { category: catSlug, subcategory: subSlug } = req.query;
+  const query = req.query;
+  const sortKey = query.sort || (query.q ? 'relevance' : 'newest');
+
+  if (sortKey === 'relevance' && !query.q)
+    throw new BadRequestError('sort=relevance requires q');
+  if (sortKey === 'relevance' && query.cursor)
+    throw new BadRequestError('cursor is not supported with sort=relevance');
+  if (
+    query.minPrice !== undefined &&
+    query.maxPrice !== undefined &&
+    query.minPrice > query.maxPrice
+  )
+    throw new BadRequestError('minPrice cannot be greater than maxPrice');
 
   const filter = { isActive: true };
 
-  // Filter by category slug if provided
-  if (catSlug) {
-    const c = await Category.findOne({ slug: String(catSlug), isActive: true });
-    if (!c) return res.status(400).json({ message: 'category not found' });
-    filter.category = c._id;
+  if (query.q) filter.$text = { $search: query.q };
+
+  // Filter by category slug if provided — includes every descendant category
+  if (query.category) {
+    const c = await Category.findOne({ slug: query.category, isActive: true });
+    if (!c) throw new BadRequestError('category not found');
+    const ids = await subtreeIds(c);
+    filter.$or = [{ category: { $in: ids } }, { subcategory: { $in: ids } }];
+  }
+
+  // Filter by subcategory slug if provided (and its descendants)
+  if (query.subcategory) {
+    const s = await Category.findOne({
+      slug: query.subcategory,
+      isActive: true,
+    });
+    if (!s) throw new BadRequestError('subcategory not found');
+    filter.subcategory = { $in: await subtreeIds(s) };
   }
 
-  // Filter by subcategory slug if provided
-  if (subSlug) {
-    const s = await Category.findOne({ slug: String(subSlug), isActive: true });
-    if (!s) return res.status(400).json({ message: 'subcategory not found' });
-    filter.subcategory = s._id;
+  // In stock = some unit not held by another shopper's checkout
+  if (query.inStock) {
+    const heldOut = await heldOutProductIds();
+    if (query.inStock === 'true') {
+      filter.stock = { $gt: 0 };
+      filter._id = { $nin: heldOut };
+    } else {
+      filter.$and = [
+        { $or: [{ stock: { $lte: 0 } }, { _id: { $in: heldOut } }] },
+      ];
+    }
   }
 
-  const items = await Product.find(filter)
-    .populate('category', 'name slug') // bring back names/slugs for convenience
-    .populate('subcategory', 'name slug') // bring back names/slugs for convenience
-    .sort({ createdAt: -1 });
+  // Prices are resolved per product in the requested currency
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { listPrice: listPriceExpr(query.currency) } },
+  ];
+  const spec = SORTS[sortKey];
+  if (
+    query.minPrice !== undefined ||
+    query.maxPrice !== undefined ||
+    spec?.field === 'listPrice'
+  ) {
+    const listPrice = { $ne: null };
+    if (query.minPrice !== undefined) listPrice.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) listPrice.$lte = query.maxPrice;
+    pipeline.push({ $match: { listPrice } });
+  }
 
-  res.json({ items });
+  // Sort + pagination
+  const page = [];
+  let sort;
+  if (spec) {
+    sort = { [spec.field]: spec.dir, _id: spec.dir };
+    if (query.cursor) {
+      const after = decodeCursor(query.cursor, spec.field);
+      if (!after) throw new BadRequestError('Invalid cursor');
+      const op = spec.dir === 1 ? '$gt' : '$lt';
+      page.push({
+        $match: {
+          $or: [
+            { [spec.field]: { [op]: after.value } },
+            { [spec.field]: after.value, _id: { [op]: after.id } },
+          ],
+        },
+      });
+    }
+  } else {
+    sort = { score: { $meta: 'textScore' }, _id: -1 };
+  }
+  page.push({ $sort: sort });
+  if (!query.cursor) page.push({ $skip: (query.page - 1) * query.limit });
+  page.push({ $limit: query.limit + 1 }); // one extra to know if there is a next page
+
+  const [rows, [count]] = await Promise.all([
+    Product.aggregate([...pipeline, ...page]),
+    Product.aggregate([...pipeline, { $count: 'total' }]),
+  ]);
+  const total = count?.total ?? 0;
+
+  const hasMore = rows.length > query.limit;
+  const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+  const nextCursor =
+    hasMore && spec
+      ? encodeCursor(pageRows[pageRows.length - 1], spec.field)
+      : null;
+
+  const items = pageRows.map(({ listPrice: _listPrice, ...row }) =>
+    Product.hydrate(row),
+  );
+  await Product.populate(items, [
+    { path: 'category', select: 'name slug' }, // bring back names/slugs for convenience
+    { path: 'subcategory', select: 'name slug' },
+  ]);
+
+  res.json({
+    items: await withAvailability(items),
+    total,
+    page: query.cursor ? null : query.page,
+    limit: query.limit,
+    pages: Math.ceil(total / query.limit),
+    hasMore,
+    nextCursor,
+  });
 }
 
 /**
- * GET /api/products/:slug (public)
+ * GET /api/products/:slug (public) — with `available` like the listing
  */
 async function getProduct(req, res) {
   const item = await Product.findOne({ slug: req.params.slug, isActive: true })
     .populate('category', 'name slug')
     .populate('subcategory', 'name slug');
-  if (!item) return res.status(404).json({ message: 'Not found' });
-  res.json({ item });
+  if (!item) throw new NotFoundError();
+  const [withStock] = await withAvailability([item]);
+  res.json({ item: withStock });
 }
 
 /**
@@ -135,7 +302,7 @@ async function getProduct(req, res) {
  * Also resolves & validates category/subcategory if given.
  */
 async function createProduct(req, res) {
-  const data = createSchema.parse(req.body);
+  const data = req.body;
 
   // Determine base for slug: explicit or from title
   const baseForSlug = data.slug ? toSlug(data.slug) : data.title;
@@ -146,19 +313,43 @@ async function createProduct(req, res) {
   try {
     refs = await resolveCategoryRefs(data.categorySlug, data.subcategorySlug);
   } catch (e) {
-    return res.status(400).json({ message: e.message });
+    throw new BadRequestError(e.message);
   }
 
-  const item = await Product.create({
-    title: data.title,
-    slug: finalSlug,
-    description: data.description,
-    price: data.price,
-    stock: data.stock ?? 0,
-    images: data.images ?? [],
-    category: refs.categoryId, // ⬅️ NEW
-    subcategory: refs.subcategoryId, // ⬅️ NEW
-  });
+  const conflict = await findSkuConflict(data.variants);
+  if (conflict) throw new ConflictError(`SKU ${conflict} already in use`);
+
+  let item;
+  try {
+    item = await Product.create({
+      title: data.title,
+      slug: finalSlug,
+      description: data.description,
+      price: data.price,
+      currency: data.currency,
+      prices: data.prices ?? {},
+      stock: data.stock ?? 0,
+      weight: data.weight ?? 0,
+      taxClass: data.taxClass ?? 'standard',
+      lowStockThreshold: data.lowStockThreshold ?? null,
+      images: await prepareImages(data.images ?? []),
+      options: data.options ?? [],
+      variants: mergeVariants([], data.variants ?? []),
+      category: refs.categoryId, // ⬅️ NEW
+      subcategory: refs.subcategoryId, // ⬅️ NEW
+    });
+  } catch (e) {
+    // e.g. variants using undefined options (see product.model.js)
+    if (e.name === 'ValidationError') throw new BadRequestError(e.message);
+    throw e;
+  }
+
+  // Opening stock goes into the ledger
+  await recordInitialStock(
+    item,
+    item.variants.length > 0 ? item.variants : null,
+    { user: req.user.id },
+  );
 
   res.status(201).json({ item });
 }
@@ -174,18 +365,31 @@ const updateSchema = z.object({
   slug: z.string().min(2).optional(),
   regenerateSlug: z.boolean().optional(),
   description: z.string().optional(),
-  price: z.number().nonnegative().optional(),
-  stock: z.number().int().nonnegative().optional(),
-  images: z.array(z.string().url()).optional(),
+  price: amountInput.optional(), // minor units of `currency`
+  currency: currencyInput.optional(),
+  prices: pricesInput.optional(), // replaces the price list
+  stock: z.number().int().nonnegative().optional(), // rejected: use stock adjustments
+  weight: z.number().nonnegative().optional(), // grams
+  lowStockThreshold: z.number().int().nonnegative().nullable().optional(),
+  taxClass: z.enum(['standard', 'reduced', 'exempt']).optional(),
+  images: z.array(imageInput).optional(), // replaces the gallery
+  options: z.array(optionInput).optional(),
+  variants: z.array(variantInput).optional(), // replaces the variant list (matched by sku)
   isActive: z.boolean().optional(),
   categorySlug: z.string().optional(), // ⬅️ NEW
   subcategorySlug: z.string().optional(), // ⬅️ NEW
 });
 
 async function updateProduct(req, res) {
-  const data = updateSchema.parse(req.body);
+  const data = req.body;
   const current = await Product.findOne({ slug: req.params.slug });
-  if (!current) return res.status(404).json({ message: 'Not found' });
+  if (!current) throw new NotFoundError();
+  if (data.stock !== undefined)
+    throw new BadRequestError(
+      'stock cannot be overwritten; use POST /api/inventory/:slug/adjustments',
+    );
+  let newSkus = [];
+  const previousImages = imageUrls(current);
 
   // Apply title if provided
   if (data.title !== undefined) current.title = data.title;
@@ -210,18 +414,50 @@ async function updateProduct(req, res) {
       current.category = categoryId;
       current.subcategory = subcategoryId;
     } catch (e) {
-      return res.status(400).json({ message: e.message });
+      throw new BadRequestError(e.message);
     }
   }
 
   // Other fields
   if (data.description !== undefined) current.description = data.description;
   if (data.price !== undefined) current.price = data.price;
-  if (data.stock !== undefined) current.stock = data.stock;
-  if (data.images !== undefined) current.images = data.images;
+  if (data.currency !== undefined) current.currency = data.currency;
+  if (data.prices !== undefined) current.prices = data.prices;
+  if (data.lowStockThreshold !== undefined)
+    current.lowStockThreshold = data.lowStockThreshold;
+  if (data.weight !== undefined) current.weight = data.weight;
+  if (data.taxClass !== undefined) current.taxClass = data.taxClass;
+  if (data.images !== undefined)
+    current.images = await prepareImages(data.images);
+  if (data.options !== undefined) current.options = data.options;
+  if (data.variants !== undefined) {
+    const conflict = await findSkuConflict(data.variants, current._id);
+    if (conflict) throw new ConflictError(`SKU ${conflict} already in use`);
+    const stockError = variantStockError(current, data.variants);
+    if (stockError) throw new BadRequestError(stockError);
+    newSkus = data.variants
+      .map((v) => v.sku)
+      .filter((sku) => !current.findVariant(sku));
+    current.variants = mergeVariants(current.variants, data.variants);
+  }
   if (typeof data.isActive === 'boolean') current.isActive = data.isActive;
 
-  await current.save();
+  try {
+    await current.save();
+  } catch (e) {
+    if (e.name === 'ValidationError') throw new BadRequestError(e.message);
+    throw e;
+  }
+  if (newSkus.length > 0)
+    await recordInitialStock(
+      current,
+      newSkus.map((sku) => current.findVariant(sku)),
+      { user: req.user.id },
+    );
+  // Uploads this product no longer uses are deleted
+  releaseImages(previousImages, imageUrls(current)).catch((err) =>
+    console.error('Image cleanup failed:', err.message),
+  );
 
   // Return with populated refs for convenience
   const item = await Product.findById(current._id)
@@ -241,7 +477,7 @@ async function deleteProduct(req, res) {
     { isActive: false },
     { new: true },
   );
-  if (!item) return res.status(404).json({ message: 'Not found' });
+  if (!item) throw new NotFoundError();
   res.json({ ok: true });
 }
 
@@ -251,4 +487,7 @@ module.exports = {
   createProduct,
   updateProduct,
   deleteProduct,
+  listQuerySchema,
+  createSchema,
+  updateSchema,
 };
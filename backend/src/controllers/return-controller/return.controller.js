@@ -0,0 +1,323 @@
+const { z } = require('zod');
+const mongoose = require('mongoose');
+const Return = require('../../models/return.model');
+const Order = require('../../models/order.model');
+const env = require('../../config/env');
+const { restoreStock } = require('../../services/inventory.service');
+const { refundOrder } = require('../../services/refund.service');
+const { formatMoney } = require('../../services/money.service');
+const { can } = require('../../middlewares/auth');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../errors');
+
+/** Same order line = same product slug + same sku */
+function matchLine(line, slug, sku) {
+  return line.slug === slug && (line.sku ?? null) === (sku ?? null);
+}
+
+/** Units of each order line already tied up in open/finished returns */
+async function alreadyReturned(orderId) {
+  const returns = await Return.find({
+    order: orderId,
+    status: { $ne: 'rejected' },
+  });
+  const taken = new Map();
+  for (const r of returns) {
+    for (const i of r.items) {
+      const key = `${i.slug}|${i.sku ?? ''}`;
+      taken.set(key, (taken.get(key) || 0) + i.qty);
+    }
+  }
+  return taken;
+}
+
+/** Return document visible to this user? (owner or returns staff) */
+function canSee(req, doc) {
+  return String(doc.user) === String(req.user.id) || can(req, 'returns:manage');
+}
+
+/** Schemas */
+const lineSchema = z.object({
+  slug: z.string().min(1),
+  sku: z.string().min(1).optional(),
+  qty: z.number().int().min(1),
+});
+
+const requestSchema = z.object({
+  reason: z.string().min(3).max(1000),
+  items: z.array(lineSchema).min(1).optional(), // omit = return everything left
+});
+
+const noteSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+const receiveSchema = z.object({
+  items: z
+    .array(
+      lineSchema.extend({
+        restock: z.boolean().optional(), // put units back into stock
+      }),
+    )
+    .optional(), // omit = everything received, restocked
+  note: z.string().max(500).optional(),
+});
+
+const refundSchema = z.object({
+  amount: z.number().int().positive().optional(), // minor units; default: value of returned items
+  note: z.string().max(500).optional(),
+});
+
+const adminQuerySchema = z.object({
+  status: z.enum(Object.keys(Return.TRANSITIONS)).optional(),
+});
+
+/**
+ * POST /api/orders/:id/returns (auth, order owner)
+ * Delivered orders only, within RETURN_WINDOW_DAYS of delivery.
+ */
+async function requestReturn(req, res) {
+  const data = req.body;
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new NotFoundError();
+  if (String(order.user) !== String(req.user.id))
+    throw new ForbiddenError('Forbidden');
+
+  if (order.status !== 'delivered')
+    throw new BadRequestError('Only delivered orders can be returned');
+  const deliveredAt = order.deliveredAt || order.updatedAt; // pre-migration orders
+  const deadline = new Date(
+    deliveredAt.getTime() + env.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+  );
+  if (new Date() > deadline)
+    throw new BadRequestError(
+      `Return window of ${env.RETURN_WINDOW_DAYS} days has passed`,
+    );
+
+  const taken = await alreadyReturned(order._id);
+  const remaining = (line) =>
+    line.qty - (taken.get(`${line.slug}|${line.sku ?? ''}`) || 0);
+
+  // Whole order (what's left) unless specific lines were given
+  const wanted = data.items
+    ? data.items
+    : order.items
+        .filter((l) => remaining(l) > 0)
+        .map((l) => ({ slug: l.slug, sku: l.sku, qty: remaining(l) }));
+  if (wanted.length === 0) throw new BadRequestError('Nothing left to return');
+
+  // What a unit of the line actually cost: its coupon share off, its tax on
+  // (already in the price when the order was tax-inclusive)
+  const paidPerUnit = (line) =>
+    Math.round(
+      (line.lineTotal - line.discount + (order.taxInclusive ? 0 : line.tax)) /
+        line.qty,
+    );
+
+  const items = [];
+  for (const w of wanted) {
+    const line = order.items.find((l) => matchLine(l, w.slug, w.sku));
+    if (!line)
+      throw new BadRequestError(`${w.sku || w.slug} is not in this order`);
+    if (w.qty > remaining(line))
+      throw new BadRequestError(
+        `Only ${remaining(line)} of ${w.sku || w.slug} can be returned`,
+      );
+    items.push({
+      product: line.product,
+      variant: line.variant,
+      sku: line.sku,
+      slug: line.slug,
+      title: line.title,
+      unitPrice: paidPerUnit(line),
+      qty: w.qty,
+    });
+  }
+
+  const item = await Return.create({
+    order: order._id,
+    user: req.user.id,
+    items,
+    reason: data.reason,
+  });
+  res.status(201).json({ item });
+}
+
+/** GET /api/returns (auth) — my returns */
+async function myReturns(req, res) {
+  const items = await Return.find({ user: req.user.id }).sort({
+    createdAt: -1,
+  });
+  res.json({ items });
+}
+
+/** GET /api/returns/:id (auth) — owner or admin */
+async function getReturn(req, res) {
+  const item = await Return.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+  if (!canSee(req, item)) throw new ForbiddenError('Forbidden');
+  res.json({ item });
+}
+
+/** ADMIN: GET /api/returns/admin/all — optional ?status= */
+async function listAllReturns(req, res) {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  const items = await Return.find(filter)
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 });
+  res.json({ items });
+}
+
+/** Shared body for approve/reject */
+async function decide(req, res, to) {
+  const { note } = req.body;
+  const item = await Return.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+  item.transition(to, { actor: req.user.id, note });
+  await item.save();
+  res.json({ item });
+}
+
+/** ADMIN: PATCH /api/returns/:id/approve */
+function approveReturn(req, res) {
+  return decide(req, res, 'approved');
+}
+
+/** ADMIN: PATCH /api/returns/:id/reject */
+function rejectReturn(req, res) {
+  return decide(req, res, 'rejected');
+}
+
+/**
+ * ADMIN: POST /api/returns/:id/receive
+ * Record what actually came back; restock units unless restock=false.
+ * When every unit of the order has come back, the order becomes "returned".
+ */
+async function receiveReturn(req, res) {
+  const data = req.body;
+  const item = await Return.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+
+  const received = data.items
+    ? data.items
+    : item.items.map((i) => ({ slug: i.slug, sku: i.sku, qty: i.qty }));
+  for (const r of received) {
+    const line = item.items.find((i) => matchLine(i, r.slug, r.sku));
+    if (!line)
+      throw new BadRequestError(`${r.sku || r.slug} is not in this return`);
+    if (r.qty > line.qty)
+      throw new BadRequestError(
+        `Received more ${r.sku || r.slug} than returned`,
+      );
+  }
+
+  item.transition('received', { actor: req.user.id, note: data.note });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const r of received) {
+      const line = item.items.find((i) => matchLine(i, r.slug, r.sku));
+      line.receivedQty = r.qty;
+      if (r.restock !== false && r.qty > 0) {
+        await restoreStock(
+          { product: line.product, variant: line.variant, qty: r.qty },
+          session,
+          {
+            reason: 'return',
+            order: item.order,
+            user: req.user.id,
+            note: `Return ${item._id}`,
+          },
+        );
+        line.restocked = true;
+      }
+    }
+    await item.save({ session });
+
+    // Everything from the order back? → order "returned"
+    const order = await Order.findById(item.order).session(session);
+    const returns = await Return.find({
+      order: item.order,
+      status: { $in: ['received', 'refunded'] },
+    }).session(session);
+    const back = returns.reduce(
+      (s, r) => s + r.items.reduce((t, i) => t + i.receivedQty, 0),
+      0,
+    );
+    const bought = order.items.reduce((s, i) => s + i.qty, 0);
+    if (back >= bought && order.canTransition('returned')) {
+      order.transition('returned', {
+        actor: req.user.id,
+        note: `All items returned (RMA ${item._id})`,
+      });
+      await order.save({ session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  res.json({ item });
+}
+
+/**
+ * ADMIN: POST /api/returns/:id/refund
+ * Full (default: value of returned items) or partial refund, through
+ * refundOrder() (Stripe for card orders, manual for COD).
+ */
+async function refundReturn(req, res) {
+  const data = req.body;
+  const item = await Return.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+  if (!['approved', 'received'].includes(item.status))
+    throw new ConflictError(`Cannot refund a return that is ${item.status}`);
+
+  const order = await Order.findById(item.order);
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus))
+    throw new BadRequestError('Order has no payment to refund');
+
+  const refundable = order.grandTotal - order.refundedTotal;
+  const amount = data.amount ?? Math.min(item.itemsTotal(), refundable);
+  if (amount <= 0 || amount > refundable)
+    throw new BadRequestError(
+      `Refund must be between 0 and ${formatMoney(refundable, order.currency)}`,
+    );
+
+  const by = { actor: req.user.id, note: data.note || `RMA ${item._id}` };
+  item.refund = await refundOrder(order, amount, {
+    key: `return_${item._id}`,
+    metadata: { returnId: String(item._id) },
+    by,
+  });
+  item.transition('refunded', by);
+  await item.save();
+  await order.save();
+
+  res.json({ item, order });
+}
+
+module.exports = {
+  requestReturn,
+  myReturns,
+  getReturn,
+  listAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  requestSchema,
+  adminQuerySchema,
+  noteSchema,
+  receiveSchema,
+  refundSchema,
+};
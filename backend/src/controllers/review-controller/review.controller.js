@@ -0,0 +1,214 @@
+const { z } = require('zod');
+const Review = require('../../models/review.model');
+const Product = require('../../models/product.model');
+const Order = require('../../models/order.model');
+const { can } = require('../../middlewares/auth');
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../errors');
+
+/** Resolve :slug to an active product */
+function findProduct(slug) {
+  return Product.findOne({ slug, isActive: true });
+}
+
+/** Did this user receive this product in a delivered order? */
+async function hasDeliveredOrder(userId, productId) {
+  const found = await Order.exists({
+    user: userId,
+    status: 'delivered',
+    'items.product': productId,
+  });
+  return Boolean(found);
+}
+
+/** Schemas */
+const createSchema = z.object({
+  rating: z.number().int().min(1).max(5),
+  title: z.string().max(120).optional(),
+  body: z.string().min(3).max(5000),
+});
+
+const updateSchema = createSchema.partial();
+
+const moderateSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+const listQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const adminQuerySchema = z.object({
+  status: z.enum(['approved', 'hidden']).optional(),
+});
+
+/**
+ * GET /api/products/:slug/reviews (public) — approved reviews, newest first
+ * Optional: ?page=1&limit=20
+ */
+async function listReviews(req, res) {
+  const product = await findProduct(req.params.slug);
+  if (!product) throw new NotFoundError('Product not found');
+
+  const { page, limit } = req.query;
+
+  const filter = { product: product._id, status: 'approved' };
+  const [items, total] = await Promise.all([
+    Review.find(filter)
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter),
+  ]);
+
+  res.json({
+    items,
+    total,
+    page,
+    limit,
+    ratingAverage: product.ratingAverage,
+    ratingCount: product.ratingCount,
+  });
+}
+
+/** POST /api/products/:slug/reviews (auth) — one review per user */
+async function createReview(req, res) {
+  const data = req.body;
+  const product = await findProduct(req.params.slug);
+  if (!product) throw new NotFoundError('Product not found');
+
+  const exists = await Review.exists({
+    product: product._id,
+    user: req.user.id,
+  });
+  if (exists) throw new ConflictError('You have already reviewed this product');
+
+  const review = await Review.create({
+    product: product._id,
+    user: req.user.id,
+    rating: data.rating,
+    title: data.title ?? '',
+    body: data.body,
+    verifiedPurchase: await hasDeliveredOrder(req.user.id, product._id),
+  });
+  await Review.recalcProductRating(product._id);
+
+  res.status(201).json({ item: review });
+}
+
+/** PATCH /api/products/:slug/reviews/:id (auth, author only) */
+async function updateReview(req, res) {
+  const data = req.body;
+  const product = await findProduct(req.params.slug);
+  if (!product) throw new NotFoundError('Product not found');
+
+  const review = await Review.findOne({
+    _id: req.params.id,
+    product: product._id,
+  });
+  if (!review) throw new NotFoundError();
+  if (String(review.user) !== String(req.user.id))
+    throw new ForbiddenError('Forbidden');
+
+  if (data.rating !== undefined) review.rating = data.rating;
+  if (data.title !== undefined) review.title = data.title;
+  if (data.body !== undefined) review.body = data.body;
+  // The order may have been delivered since the review was first written
+  if (!review.verifiedPurchase)
+    review.verifiedPurchase = await hasDeliveredOrder(req.user.id, product._id);
+
+  await review.save();
+  await Review.recalcProductRating(product._id);
+
+  res.json({ item: review });
+}
+
+/** DELETE /api/products/:slug/reviews/:id (auth) — author or moderator */
+async function deleteReview(req, res) {
+  const product = await Product.findOne({ slug: req.params.slug });
+  if (!product) throw new NotFoundError('Product not found');
+
+  const review = await Review.findOne({
+    _id: req.params.id,
+    product: product._id,
+  });
+  if (!review) throw new NotFoundError();
+
+  const isOwner = String(review.user) === String(req.user.id);
+  if (!isOwner && !can(req, 'reviews:moderate'))
+    throw new ForbiddenError('Forbidden');
+
+  await review.deleteOne();
+  await Review.recalcProductRating(product._id);
+
+  res.json({ ok: true });
+}
+
+/**
+ * ADMIN: GET /api/products/:slug/reviews/admin/all
+ * All reviews incl. hidden. Optional: ?status=approved|hidden
+ */
+async function listAllReviews(req, res) {
+  const product = await Product.findOne({ slug: req.params.slug });
+  if (!product) throw new NotFoundError('Product not found');
+
+  const filter = { product: product._id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const items = await Review.find(filter)
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 });
+  res.json({ items });
+}
+
+/** Shared body for hide/approve */
+async function setStatus(req, res, status) {
+  const { note } = req.body;
+  const product = await Product.findOne({ slug: req.params.slug });
+  if (!product) throw new NotFoundError('Product not found');
+
+  const review = await Review.findOne({
+    _id: req.params.id,
+    product: product._id,
+  });
+  if (!review) throw new NotFoundError();
+
+  review.status = status;
+  review.moderatedBy = req.user.id;
+  review.moderatedAt = new Date();
+  if (note !== undefined) review.moderationNote = note;
+  await review.save();
+  await Review.recalcProductRating(product._id);
+
+  res.json({ item: review });
+}
+
+/** ADMIN: PATCH /api/products/:slug/reviews/:id/hide */
+function hideReview(req, res) {
+  return setStatus(req, res, 'hidden');
+}
+
+/** ADMIN: PATCH /api/products/:slug/reviews/:id/approve */
+function approveReview(req, res) {
+  return setStatus(req, res, 'approved');
+}
+
+module.exports = {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  listAllReviews,
+  hideReview,
+  approveReview,
+  listQuerySchema,
+  adminQuerySchema,
+  createSchema,
+  updateSchema,
+  moderateSchema,
+};
@@ -0,0 +1,183 @@
+const { z } = require('zod');
+const ShippingZone = require('../../models/shipping-zone.model');
+const Address = require('../../models/address.model');
+const {
+  getOrCreateCart,
+  computeTotals,
+  cartWeight,
+} = require('../../services/cart.service');
+const { findZone, quoteMethods } = require('../../services/shipping.service');
+const { currencyInput, amountInput } = require('../../services/money.service');
+const { countryInput } = require('../../services/country.service');
+const { BadRequestError, NotFoundError } = require('../../errors');
+
+/** Schemas */
+const tierInput = z.object({
+  min: z.number().int().nonnegative(), // grams, or minor units (subtotal tiers)
+  rate: amountInput,
+});
+
+const methodInput = z.object({
+  code: z.enum(['standard', 'express']),
+  name: z.string().optional(),
+  rateType: z.enum(['flat', 'weight', 'subtotal']).optional(),
+  flatRate: amountInput.optional(),
+  tiers: z.array(tierInput).optional(),
+  freeShippingThreshold: amountInput.nullable().optional(),
+  estimatedDays: z
+    .object({
+      min: z.number().int().nonnegative().nullable().optional(),
+      max: z.number().int().nonnegative().nullable().optional(),
+    })
+    .optional(),
+  isActive: z.boolean().optional(),
+});
+
+const zoneSchema = z.object({
+  name: z.string().min(2),
+  countries: z.array(z.literal('*').or(countryInput)).min(1), // '*' = rest of world
+  states: z.array(z.string().min(1)).optional(),
+  postalPrefixes: z.array(z.string().min(1)).optional(),
+  priority: z.number().int().optional(),
+  currency: currencyInput.optional(), // default: base currency
+  methods: z.array(methodInput).optional(),
+  isActive: z.boolean().optional(),
+});
+
+/** Cross-field rules for a zone's methods */
+function checkMethods(methods = []) {
+  const codes = methods.map((m) => m.code);
+  if (new Set(codes).size !== codes.length)
+    return 'Each method code may appear once per zone';
+  for (const m of methods) {
+    const type = m.rateType || 'flat';
+    if (type !== 'flat' && !(m.tiers && m.tiers.length > 0))
+      return `Method ${m.code}: ${type} rates need at least one tier`;
+    const days = m.estimatedDays;
+    if (days && days.min != null && days.max != null && days.max < days.min)
+      return `Method ${m.code}: estimatedDays.max must be >= min`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/shipping/quote (auth)
+ * Address: ?addressId=<saved address>, or ?country=&state=&postalCode=,
+ * or the user's default shipping address.
+ * Returns the matched zone and each method's fee for the current cart
+ * (minor units of the cart currency).
+ */
+const quoteQuerySchema = z.object({
+  addressId: z.string().optional(),
+  country: countryInput.optional(),
+  state: z.string().optional(),
+  postalCode: z.string().optional(),
+});
+
+async function getQuote(req, res) {
+  const query = req.query;
+
+  let address = query.country ? query : null;
+  if (query.addressId || !address) {
+    address = query.addressId
+      ? await Address.findOne({ _id: query.addressId, user: req.user.id })
+      : await Address.findOne({ user: req.user.id, isDefaultShipping: true });
+    if (!address) {
+      throw new BadRequestError(
+        query.addressId
+          ? 'Address not found'
+          : 'Provide addressId or country (no default shipping address)',
+      );
+    }
+  }
+
+  const cart = await getOrCreateCart(req.user.id);
+  if (cart.items.length === 0) throw new BadRequestError('Cart is empty');
+
+  const { currency, total, freeShipping } = await computeTotals(cart);
+  const weight = cartWeight(cart);
+
+  const zone = await findZone(address, currency);
+  if (!zone) throw new BadRequestError('We do not ship to this address');
+
+  res.json({
+    zone: { id: zone._id, name: zone.name },
+    currency,
+    subtotal: total, // after discount — what rates and thresholds use
+    weight,
+    methods: quoteMethods(zone, { subtotal: total, weight, freeShipping }),
+  });
+}
+
+const listQuerySchema = z.object({
+  active: z.enum(['true', 'false']).optional(),
+});
+
+/** ADMIN: GET /api/shipping/zones — optional ?active=true|false */
+async function listZones(req, res) {
+  const filter = {};
+  if (req.query.active === 'true') filter.isActive = true;
+  if (req.query.active === 'false') filter.isActive = false;
+  const items = await ShippingZone.find(filter).sort({
+    priority: -1,
+    name: 1,
+  });
+  res.json({ items });
+}
+
+/** ADMIN: GET /api/shipping/zones/:id */
+async function getZone(req, res) {
+  const item = await ShippingZone.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+  res.json({ item });
+}
+
+/** ADMIN: POST /api/shipping/zones */
+async function createZone(req, res) {
+  const data = req.body;
+  const rule = checkMethods(data.methods);
+  if (rule) throw new BadRequestError(rule);
+
+  const item = await ShippingZone.create(data);
+  res.status(201).json({ item });
+}
+
+/** ADMIN: PATCH /api/shipping/zones/:id — `methods` replaces the whole list */
+const updateSchema = zoneSchema.partial();
+
+async function updateZone(req, res) {
+  const data = req.body;
+  const item = await ShippingZone.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+
+  const rule = checkMethods(data.methods);
+  if (rule) throw new BadRequestError(rule);
+
+  item.set(data);
+  await item.save();
+  res.json({ item });
+}
+
+/** ADMIN: DELETE /api/shipping/zones/:id — soft delete (isActive=false) */
+async function deleteZone(req, res) {
+  const item = await ShippingZone.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false },
+    { new: true },
+  );
+  if (!item) throw new NotFoundError();
+  res.json({ ok: true });
+}
+
+module.exports = {
+  getQuote,
+  listZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  quoteQuerySchema,
+  listQuerySchema,
+  zoneSchema,
+  updateSchema,
+};
@@ -0,0 +1,101 @@
+const { z } = require('zod');
+const TaxRate = require('../../models/tax-rate.model');
+const env = require('../../config/env');
+const { countryInput } = require('../../services/country.service');
+const { ConflictError, NotFoundError } = require('../../errors');
+
+/** Schemas */
+const rateSchema = z.object({
+  name: z.string().optional(),
+  country: countryInput,
+  state: z.string().optional(), // omit for the whole country
+  rates: z.object({
+    standard: z.number().min(0).max(100),
+    reduced: z.number().min(0).max(100).optional(),
+  }),
+  taxShipping: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/** Same region already has a rate? (friendly 409 before the unique index) */
+async function regionTaken(country, state = '', excludeId = null) {
+  const q = { country: country.toUpperCase(), state: state.trim() };
+  if (excludeId) q._id = { $ne: excludeId };
+  return TaxRate.exists(q).collation({ locale: 'en', strength: 2 });
+}
+
+const listQuerySchema = z.object({
+  country: countryInput.optional(),
+});
+
+/**
+ * ADMIN: GET /api/tax/rates — optional ?country=PK
+ * Also reports whether catalog prices include tax (PRICES_INCLUDE_TAX).
+ */
+async function listRates(req, res) {
+  const filter = {};
+  if (req.query.country) filter.country = req.query.country;
+  const items = await TaxRate.find(filter).sort({ country: 1, state: 1 });
+  res.json({ items, pricesIncludeTax: env.PRICES_INCLUDE_TAX });
+}
+
+/** ADMIN: GET /api/tax/rates/:id */
+async function getRate(req, res) {
+  const item = await TaxRate.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+  res.json({ item });
+}
+
+/** ADMIN: POST /api/tax/rates */
+async function createRate(req, res) {
+  const data = req.body;
+  if (await regionTaken(data.country, data.state))
+    throw new ConflictError('A tax rate for this region already exists');
+
+  const item = await TaxRate.create(data);
+  res.status(201).json({ item });
+}
+
+/** ADMIN: PATCH /api/tax/rates/:id */
+const updateSchema = rateSchema.partial().extend({
+  rates: rateSchema.shape.rates.partial().optional(),
+});
+
+async function updateRate(req, res) {
+  const data = req.body;
+  const item = await TaxRate.findById(req.params.id);
+  if (!item) throw new NotFoundError();
+
+  const country = data.country ?? item.country;
+  const state = data.state ?? item.state;
+  if (
+    (data.country !== undefined || data.state !== undefined) &&
+    (await regionTaken(country, state, item._id))
+  )
+    throw new ConflictError('A tax rate for this region already exists');
+
+  const { rates, ...rest } = data;
+  item.set(rest);
+  for (const [cls, pct] of Object.entries(rates ?? {}))
+    item.set(`rates.${cls}`, pct);
+  await item.save();
+  res.json({ item });
+}
+
+/** ADMIN: DELETE /api/tax/rates/:id */
+async function deleteRate(req, res) {
+  const item = await TaxRate.findByIdAndDelete(req.params.id);
+  if (!item) throw new NotFoundError();
+  res.json({ ok: true });
+}
+
+module.exports = {
+  listRates,
+  getRate,
+  createRate,
+  updateRate,
+  deleteRate,
+  listQuerySchema,
+  rateSchema,
+  updateSchema,
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Image = require('../../models/image.model');
+const {
+  storeImage,
+  destroyImage,
+  isReferenced,
+} = require('../../services/image.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../errors');
+
+/**
+ * ADMIN: POST /api/uploads/images (multipart/form-data, field "images", up to 10)
+ * Returns the stored images; put their `url`s in a product's images to use them.
+ * Uploads no product uses are removed by `npm run cleanup:images`.
+ */
+async function uploadImages(req, res) {
+  if (!req.files || req.files.length === 0)
+    throw new BadRequestError('Attach at least one image');
+
+  const items = [];
+  try {
+    for (const file of req.files)
+      items.push(await storeImage(file, req.user.id));
+  } catch (err) {
+    // all or nothing: drop what this request already stored
+    await Promise.all(items.map((i) => destroyImage(i).catch(() => {})));
+    throw err;
+  }
+  res.status(201).json({ items });
+}
+
+/**
+ * ADMIN: DELETE /api/uploads/images/:id
+ * Only for images no product uses (409 otherwise).
+ */
+async function deleteImage(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id))
+    throw new NotFoundError('Image not found');
+  const image = await Image.findById(req.params.id);
+  if (!image) throw new NotFoundError('Image not found');
+  if (await isReferenced(image.url))
+    throw new ConflictError(
+      'Image is used by a product; remove it there first',
+    );
+  await destroyImage(image);
+  res.json({ ok: true });
+}
+
+module.exports = { uploadImages, deleteImage };
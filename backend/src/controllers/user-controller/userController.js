@@ -0,0 +1,266 @@
+const { z } = require('zod');
+const User = require('../../models/user.model');
+const Cart = require('../../models/cart.model');
+const Address = require('../../models/address.model');
+const Review = require('../../models/review.model');
+const RefreshToken = require('../../models/refresh-token.model');
+const { PERMISSIONS, ROLES, roleCan } = require('../../config/roles');
+const {
+  createSession,
+  revokeAllSessions,
+} = require('../../services/token.service');
+const {
+  sendVerificationEmail,
+} = require('../../services/account-mail.service');
+const {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../errors');
+
+/** Escape user input before using it inside a RegExp */
+function escapeRegex(input) {
+  return input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Is this the only enabled account that can assign roles? */
+async function isLastAssigner(user) {
+  if (!roleCan(user.role, 'roles:assign')) return false;
+  const assigners = Object.keys(ROLES).filter((r) =>
+    roleCan(r, 'roles:assign'),
+  );
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: { $in: assigners },
+    isDisabled: { $ne: true },
+  });
+  return others === 0;
+}
+
+/** Schemas */
+const updateMeSchema = z.object({
+  name: z.string().min(2).optional(),
+  email: z.string().email().optional(),
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(6),
+});
+
+const deleteMeSchema = z.object({
+  password: z.string().min(1),
+});
+
+const roleSchema = z.object({
+  role: z.enum(Object.keys(ROLES)),
+});
+
+const statusSchema = z.object({
+  disabled: z.boolean(),
+});
+
+const listQuerySchema = z.object({
+  q: z.string().optional().describe('Name or email search'),
+  role: z.enum(Object.keys(ROLES)).optional(),
+  disabled: z.enum(['true', 'false']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+/** GET /api/users/me (auth) */
+async function getMe(req, res) {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError();
+  res.json({ user });
+}
+
+/** PATCH /api/users/me (auth) — name / email (a new email must be re-verified) */
+async function updateMe(req, res) {
+  const data = req.body;
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError();
+
+  if (data.email && data.email.toLowerCase() !== user.email) {
+    const taken = await User.exists({
+      email: data.email.toLowerCase(),
+      _id: { $ne: user._id },
+    });
+    if (taken) throw new ConflictError('Email already in use');
+    user.email = data.email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = null;
+  }
+  if (data.name !== undefined) user.name = data.name;
+
+  const emailChanged = user.isModified('email');
+  await user.save();
+  if (emailChanged) {
+    await sendVerificationEmail(user).catch((err) =>
+      console.error('Verification email failed:', err.message),
+    );
+  }
+  res.json({ user });
+}
+
+/**
+ * PATCH /api/users/me/password (auth) — requires the current password.
+ * Signs out every device and returns a fresh session for this one.
+ */
+async function changePassword(req, res) {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError();
+
+  if (!(await user.comparePassword(currentPassword)))
+    throw new AuthenticationError(
+      'Current password is incorrect',
+      'INVALID_CREDENTIALS',
+    );
+
+  user.password = newPassword; // hashed by the pre-save hook
+  await user.save();
+
+  await revokeAllSessions(user._id, 'password_change');
+  const fresh = await User.findById(user._id); // picks up the bumped tokenVersion
+  const { token, refreshToken } = await createSession(fresh, req);
+  res.json({ ok: true, token, refreshToken });
+}
+
+/**
+ * DELETE /api/users/me (auth) — delete own account (password confirmation).
+ * Orders are kept for bookkeeping; cart, addresses and reviews go with the user.
+ * The last account able to assign roles can't delete itself.
+ */
+async function deleteMe(req, res) {
+  const { password } = req.body;
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError();
+
+  if (!(await user.comparePassword(password)))
+    throw new AuthenticationError(
+      'Password is incorrect',
+      'INVALID_CREDENTIALS',
+    );
+
+  if (await isLastAssigner(user))
+    throw new ConflictError(
+      'Cannot delete the last account that can assign roles',
+    );
+
+  const reviewedProducts = await Review.distinct('product', { user: user._id });
+  await Promise.all([
+    Cart.deleteOne({ user: user._id }),
+    Address.deleteMany({ user: user._id }),
+    Review.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+  ]);
+  for (const productId of reviewedProducts) {
+    await Review.recalcProductRating(productId);
+  }
+  await user.deleteOne();
+
+  res.json({ ok: true });
+}
+
+/**
+ * ADMIN: GET /api/users
+ * Optional: ?q=<name/email search>&role=<role>&disabled=true|false&page=1&limit=20
+ */
+async function listUsers(req, res) {
+  const { q, role, disabled, page, limit } = req.query;
+
+  const filter = {};
+  if (q) {
+    const rx = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ name: rx }, { email: rx }];
+  }
+  if (role) filter.role = role;
+  if (disabled === 'true') filter.isDisabled = true;
+  if (disabled === 'false') filter.isDisabled = false;
+
+  const [items, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.json({ items, total, page, limit });
+}
+
+/** ADMIN: GET /api/users/:id */
+async function getUser(req, res) {
+  const user = await User.findById(req.params.id);
+  if (!user) throw new NotFoundError();
+  res.json({ user });
+}
+
+/** ADMIN: GET /api/users/roles — every role and the permissions it grants */
+async function listRoles(req, res) {
+  res.json({
+    permissions: PERMISSIONS,
+    roles: Object.entries(ROLES).map(([name, permissions]) => ({
+      name,
+      permissions,
+    })),
+  });
+}
+
+/**
+ * ADMIN: PATCH /api/users/:id/role — can't change your own role, and the
+ * last account able to assign roles can't be demoted.
+ */
+async function updateUserRole(req, res) {
+  const { role } = req.body;
+  if (String(req.params.id) === String(req.user.id))
+    throw new BadRequestError('You cannot change your own role');
+
+  const user = await User.findById(req.params.id);
+  if (!user) throw new NotFoundError();
+
+  if (!roleCan(role, 'roles:assign') && (await isLastAssigner(user)))
+    throw new ConflictError(
+      'Cannot demote the last account that can assign roles',
+    );
+
+  user.role = role;
+  await user.save();
+  res.json({ user });
+}
+
+/** ADMIN: PATCH /api/users/:id/status — disable / re-enable an account */
+async function updateUserStatus(req, res) {
+  const { disabled } = req.body;
+  if (String(req.params.id) === String(req.user.id))
+    throw new BadRequestError('You cannot disable your own account');
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { isDisabled: disabled, disabledAt: disabled ? new Date() : null },
+    { new: true },
+  );
+  if (!user) throw new NotFoundError();
+  if (disabled) await revokeAllSessions(user._id, 'account_disabled');
+  res.json({ user });
+}
+
+module.exports = {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  listUsers,
+  getUser,
+  listRoles,
+  updateUserRole,
+  updateUserStatus,
+  updateMeSchema,
+  changePasswordSchema,
+  deleteMeSchema,
+  listQuerySchema,
+  roleSchema,
+  statusSchema,
+};
@@ -0,0 +1,129 @@
+/**
+ * Application errors. Throw these from controllers, services and models;
+ * middlewares/errorHandler.js turns them (and Zod / Mongo errors) into the
+ * one JSON error envelope every route answers with:
+ *
+ *   { status: 404, code: 'NOT_FOUND', message: 'Order not found', ...details }
+ *
+ * `code` is stable and meant for clients to branch on; `message` is for
+ * people and may change. Details are extra top-level fields such as
+ * `issues` (validation) or `retryAfter` (rate limits).
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: 'The request cannot be processed as sent',
+  VALIDATION_FAILED: 'Body or query failed validation; see `issues`',
+  INVALID_ID: 'An id in the path or body is malformed',
+  INVALID_JSON: 'The request body is not valid JSON',
+  IMPORT_FAILED: 'Catalog import rejected; see `results` for per-row errors',
+  OUT_OF_STOCK: 'Not enough stock for the requested quantity',
+  COUPON_NOT_APPLICABLE: 'The coupon cannot be used for this cart or user',
+  UNAUTHENTICATED: 'Missing, invalid, expired or revoked access token',
+  INVALID_CREDENTIALS: 'Wrong email or password',
+  INVALID_TOKEN: 'Refresh, reset or verification token is invalid or expired',
+  FORBIDDEN: 'Not allowed to act on this resource',
+  PERMISSION_DENIED: "The account's role lacks a required permission",
+  ACCOUNT_DISABLED: 'The account has been disabled',
+  EMAIL_NOT_VERIFIED: 'The email address must be verified first',
+  NOT_FOUND: 'The resource (or route) does not exist',
+  CONFLICT: 'The request conflicts with the current state',
+  DUPLICATE_KEY: 'A unique value is already taken; see `fields`',
+  INVALID_STATE: "Not allowed in the resource's current status",
+  PAYLOAD_TOO_LARGE: 'The body or an uploaded file is too large',
+  RATE_LIMITED: 'Too many requests; retry after `retryAfter` seconds',
+  LOGIN_LOCKED: 'Too many failed sign-ins; retry after `retryAfter` seconds',
+  PAYMENT_PROVIDER_ERROR: 'The payment provider rejected or failed the call',
+  SERVICE_UNAVAILABLE: 'A required service is not configured or is down',
+  INTERNAL_ERROR: 'Unexpected server error',
+};
+
+class AppError extends Error {
+  /**
+   * @param {number} status HTTP status
+   * @param {string} code one of ERROR_CODES
+   * @param {string} message human-readable message
+   * @param {object} [details] extra envelope fields
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** 400 */
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(400, code, message, details);
+  }
+}
+
+/**
+ * 400 with per-field `issues`: [{ in?, path, message, code }], where `in` is
+ * body | query | params when the request validator found them.
+ */
+class ValidationError extends AppError {
+  constructor(issues, message = 'Validation failed') {
+    super(400, 'VALIDATION_FAILED', message, { issues });
+  }
+
+  /** Issues of a ZodError, paths like 'items.0.qty' */
+  static issuesOf(zodError, location) {
+    return zodError.issues.map((i) => ({
+      ...(location && { in: location }),
+      path: i.path.map(String).join('.'),
+      message: i.message,
+      code: i.code,
+    }));
+  }
+}
+
+/** 401 */
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHENTICATED') {
+    super(401, code, message);
+  }
+}
+
+/** 403 */
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', code = 'FORBIDDEN', details) {
+    super(403, code, message, details);
+  }
+}
+
+/** 404 */
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND') {
+    super(404, code, message);
+  }
+}
+
+/** 409 */
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(409, code, message, details);
+  }
+}
+
+/** 429; errorHandler also sends the Retry-After header */
+class RateLimitError extends AppError {
+  constructor(retryAfter, message, code = 'RATE_LIMITED') {
+    super(429, code, message || 'Too many requests, try again later', {
+      retryAfter,
+    });
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+};
@@ -1,16 +1,103 @@
-function notFound(_req, _res, next) {
-  const err = new Error('Route not found');
-  err.status = 404;
-  next(err);
+const mongoose = require('mongoose');
+const { ZodError } = require('zod');
+const {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../errors');
+
+// Codes for errors that only carry an HTTP status (http-errors, body-parser)
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+// Stack traces and raw 500 messages only when explicitly in development
+const isDev = process.env.NODE_ENV === 'development';
+
+function notFound(req, _res, next) {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+}
+
+/** Map anything thrown by a route onto an AppError */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof ZodError)
+    return new ValidationError(ValidationError.issuesOf(err));
+
+  if (err instanceof mongoose.Error.ValidationError)
+    return new ValidationError(
+      Object.values(err.errors).map((e) => ({
+        path: e.path,
+        message: e.message,
+        code: e.kind,
+      })),
+    );
+
+  // e.g. GET /api/orders/not-an-id
+  if (err instanceof mongoose.Error.CastError)
+    return new BadRequestError(
+      `Invalid ${err.kind === 'ObjectId' ? 'id' : 'value'} for ${err.path}`,
+      err.kind === 'ObjectId' ? 'INVALID_ID' : 'BAD_REQUEST',
+      { issues: [{ path: err.path, message: err.message, code: err.kind }] },
+    );
+
+  // Unique index violation (a race that the controller's own check missed)
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(
+      `Already exists: ${fields.join(', ') || 'duplicate value'}`,
+      'DUPLICATE_KEY',
+      { fields },
+    );
+  }
+
+  // express.json / express.text
+  if (err.type === 'entity.parse.failed')
+    return new BadRequestError('Malformed JSON body', 'INVALID_JSON');
+
+  // http-errors and other errors that carry a client-safe status
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500)
+    return new AppError(
+      status,
+      STATUS_CODES[status] || 'BAD_REQUEST',
+      err.expose === false ? 'Bad request' : err.message,
+    );
+
+  return null;
 }
 
 function errorHandler(err, _req, res, _next) {
-  const status = err.status || 500;
-  res.status(status).json({
-    status,
-    message: err.message || 'Internal Server Error',
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-  });
+  const appError = toAppError(err);
+  if (!appError) console.error(err);
+
+  const status = appError?.status ?? 500;
+  const body = appError
+    ? {
+        status,
+        code: appError.code,
+        message: appError.message,
+        ...appError.details,
+      }
+    : {
+        status,
+        code: 'INTERNAL_ERROR',
+        message: isDev ? err.message : 'Internal Server Error',
+      };
+  if (isDev) body.stack = err.stack;
+
+  if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+  res.status(status).json(body);
 }
 
 module.exports = { notFound, errorHandler };
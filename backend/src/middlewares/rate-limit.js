@@ -0,0 +1,48 @@
+const env = require('../config/env');
+const { RATE_LIMITS } = require('../config/rate-limits');
+const store = require('../services/rate-limit');
+const { RateLimitError } = require('../errors');
+
+/** Whole seconds until `date` (at least 1) */
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Limit requests for a route group from config/rate-limits.js.
+ * Sends RateLimit-Limit / -Remaining / -Reset headers on every response.
+ * `by: 'user'` groups must come after requireAuth (anonymous requests fall
+ * back to the IP). A failing store lets the request through.
+ * Options: skip(req) -> true to not count a request.
+ */
+function rateLimit(group, { skip } = {}) {
+  const limit = RATE_LIMITS[group];
+  if (!limit) throw new Error(`Unknown rate limit group "${group}"`);
+  const { windowMs, max, by } = limit;
+
+  const middleware = async (req, res, next) => {
+    if (!env.RATE_LIMIT_ENABLED || skip?.(req)) return next();
+
+    const client =
+      by === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    let hit;
+    try {
+      hit = await store.increment(`rl:${group}:${client}`, windowMs);
+    } catch (err) {
+      console.error('Rate limit store failed:', err.message);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(secondsUntil(hit.resetAt)),
+    });
+    if (hit.count > max) throw new RateLimitError(secondsUntil(hit.resetAt));
+    next();
+  };
+  middleware.rateLimit = group; // read by the OpenAPI builder
+  return middleware;
+}
+
+module.exports = { rateLimit, secondsUntil };
@@ -0,0 +1,50 @@
+const { ValidationError } = require('../errors');
+
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Describe a route for the OpenAPI document (see src/openapi) and validate
+ * requests against the same Zod schemas, so the docs can't drift from what
+ * the API accepts. Parsed values replace req.params / req.query / req.body,
+ * so handlers get trimmed, coerced and defaulted data.
+ *
+ *   router.post('/items', spec({ summary: 'Add to cart', body: addSchema,
+ *     response: CartResponse, status: 201 }), addItem);
+ *
+ * Fields: summary, description, params / query / body (Zod objects),
+ * response (Zod schema of the success body), status (default 200),
+ * requestBody (raw OpenAPI, for bodies Zod doesn't describe: CSV, uploads),
+ * produces (content type of a non-JSON success body, e.g. 'text/csv';
+ * alongside `response` when the route can answer either).
+ */
+function spec(definition) {
+  const parts = PARTS.filter((part) => definition[part]);
+
+  const validate = (req, _res, next) => {
+    const issues = [];
+    const parsed = {};
+    for (const part of parts) {
+      const result = definition[part].safeParse(req[part] ?? {});
+      if (result.success) parsed[part] = result.data;
+      else issues.push(...ValidationError.issuesOf(result.error, part));
+    }
+    if (issues.length > 0) throw new ValidationError(issues);
+
+    // keep params merged from a parent router (mergeParams)
+    if (parsed.params) req.params = { ...req.params, ...parsed.params };
+    if (parsed.body) req.body = parsed.body;
+    // req.query is a getter in Express 5; shadow it with the parsed copy
+    if (parsed.query)
+      Object.defineProperty(req, 'query', {
+        value: parsed.query,
+        configurable: true,
+        enumerable: true,
+        writable: true,
+      });
+    next();
+  };
+  validate.spec = definition;
+  return validate;
+}
+
+module.exports = { spec };
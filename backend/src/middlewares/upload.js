@@ -0,0 +1,40 @@
+const multer = require('multer');
+const env = require('../config/env');
+const { FORMATS } = require('../services/image.service');
+const { AppError, BadRequestError } = require('../errors');
+
+const IMAGE_TYPES = Object.values(FORMATS).map((f) => f.contentType);
+
+/**
+ * Multipart image upload: files stay in memory (req.files[].buffer) and are
+ * limited to UPLOAD_MAX_BYTES each. The declared type is only a first
+ * filter; image.service.js checks the actual bytes.
+ */
+const images = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: env.UPLOAD_MAX_BYTES, files: 10 },
+  fileFilter: (_req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new BadRequestError(`${file.originalname}: unsupported image type`));
+  },
+}).array('images', 10);
+
+/** Multer errors → 413 (too large) or 400 */
+function imageUpload(req, res, next) {
+  images(req, res, (err) => {
+    if (!err || err instanceof AppError) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE')
+      return next(
+        new AppError(
+          413,
+          'PAYLOAD_TOO_LARGE',
+          `Image too large (max ${env.UPLOAD_MAX_BYTES} bytes)`,
+        ),
+      );
+    if (err instanceof multer.MulterError)
+      return next(new BadRequestError(err.message));
+    next(err);
+  });
+}
+
+module.exports = { imageUpload };
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved addresses (address book) per user.
+ * At most one address per user is the default shipping and one the default
+ * billing address; the controller clears the flag on siblings when it moves.
+ */
+const addressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    label: { type: String, trim: true, default: '' }, // e.g. "Home", "Office"
+
+    fullName: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+    address1: { type: String, required: true, trim: true },
+    address2: { type: String, trim: true, default: '' },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, trim: true, default: '' },
+    postalCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+
+    isDefaultShipping: { type: Boolean, default: false },
+    isDefaultBilling: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
+/** Plain copy of the address fields, used to snapshot onto an order */
+addressSchema.methods.toSnapshot = function () {
+  return {
+    fullName: this.fullName,
+    phone: this.phone,
+    address1: this.address1,
+    address2: this.address2,
+    city: this.city,
+    state: this.state,
+    postalCode: this.postalCode,
+    country: this.country,
+  };
+};
+
+module.exports = mongoose.model('Address', addressSchema);
@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
+const env = require('../config/env');
 
 /**
- * One cart per user.
- * Items reference Products and store quantities.
- * We *re-read* current product prices when calculating totals (no stale snapshots here).
+ * One cart per user, or an anonymous guest cart identified by an opaque
+ * cart token (only its SHA-256 hash is stored). Guest carts expire after
+ * GUEST_CART_TTL_DAYS without activity and are merged on login/register.
+ * Items reference Products (and the chosen variant, if any) and store quantities.
+ * We *re-read* current product prices when calculating totals (no stale snapshots here),
+ * in the cart's currency (the product's price list for that currency).
  */
 const cartItemSchema = new mongoose.Schema(
   {
@@ -12,6 +16,7 @@ const cartItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: true,
     },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants._id
     qty: { type: Number, required: true, min: 1 },
   },
   { _id: false },
@@ -22,13 +27,31 @@ const cartSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
       unique: true,
+      sparse: true, // guest carts have no user
     },
+    tokenHash: { type: String, unique: true, sparse: true }, // guest carts only
+    expiresAt: { type: Date, default: null }, // guest carts only (TTL)
     items: { type: [cartItemSchema], default: [] },
+    currency: { type: String, default: () => env.CURRENCY, uppercase: true },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      default: null,
+    }, // re-validated on every read
     updatedAt: { type: Date, default: Date.now },
   },
   { timestamps: true },
 );
 
+// Removes expired guest carts; user carts (expiresAt null) never expire
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/** Every cart belongs to exactly one of: a user, a guest token */
+cartSchema.pre('validate', function (next) {
+  if (!this.user === !this.tokenHash)
+    this.invalidate('user', 'A cart needs either a user or a guest token');
+  next();
+});
+
 module.exports = mongoose.model('Cart', cartSchema);
@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
 
 /**
- * Category supports both top-level and subcategories.
+ * Categories form a tree of any depth.
  * - Top-level: parent = null
  * - Subcategory: parent = ObjectId of parent category
+ * `ancestors` is the materialized path (root first, parent last), kept in
+ * sync by category.service.js so subtree and breadcrumb lookups are one query.
  */
 const categorySchema = new mongoose.Schema(
   {
@@ -16,6 +18,7 @@ const categorySchema = new mongoose.Schema(
       ref: 'Category',
       default: null,
     },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
 
     isActive: { type: Boolean, default: true },
   },
@@ -24,5 +27,7 @@ const categorySchema = new mongoose.Schema(
 
 // Helpful for queries: list children under a parent quickly
 categorySchema.index({ parent: 1 });
+// ...and every descendant of a category
+categorySchema.index({ ancestors: 1 });
 
 module.exports = mongoose.model('Category', categorySchema);
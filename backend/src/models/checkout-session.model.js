@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * A checkout in progress: holds the cart quantities for the user until
+ * `expiresAt`. Stock itself is untouched; availability is stock minus the
+ * quantities held by other users' unexpired sessions (reservation.service.js).
+ * Expired sessions are ignored right away and removed by the TTL index.
+ */
+const reservedItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants._id
+    qty: { type: Number, required: true, min: 1 },
+  },
+  { _id: false },
+);
+
+const checkoutSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    items: { type: [reservedItemSchema], default: [] },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+checkoutSessionSchema.index({ 'items.product': 1, expiresAt: 1 });
+checkoutSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CheckoutSession', checkoutSessionSchema);
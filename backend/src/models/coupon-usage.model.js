@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-user redemption counter for a coupon.
+ * The unique (coupon, user) pair lets checkout enforce perUserLimit with a
+ * single conditional upsert inside the order transaction.
+ */
+const couponUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    count: { type: Number, default: 0 },
+    orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  },
+  { timestamps: true },
+);
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
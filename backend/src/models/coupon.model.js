@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const env = require('../config/env');
+
+/**
+ * Admin-managed discount codes.
+ * - percentage: `value` % off eligible lines (optionally capped by maxDiscount)
+ * - fixed: `value` off eligible lines
+ * - free_shipping: shipping fee waived
+ * Scoping: when products/categories are set, only matching cart lines count.
+ * Amounts (fixed value, maxDiscount, minSubtotal) are minor units of
+ * `currency`; a coupon using any of them only applies to carts in it.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String, default: '' },
+
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping'],
+      required: true,
+    },
+    value: { type: Number, default: 0, min: 0 }, // percent, or minor units (fixed)
+    currency: { type: String, default: () => env.CURRENCY, uppercase: true },
+    maxDiscount: { type: Number, default: null, min: 0 }, // cap for percentage
+
+    minSubtotal: { type: Number, default: 0, min: 0 },
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+
+    usageLimit: { type: Number, default: null, min: 1 }, // global, null = unlimited
+    usedCount: { type: Number, default: 0 },
+    perUserLimit: { type: Number, default: null, min: 1 },
+
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+/** Does the coupon involve money amounts (and so a specific currency)? */
+couponSchema.methods.usesAmounts = function () {
+  return (
+    this.type === 'fixed' || this.minSubtotal > 0 || this.maxDiscount != null
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * An uploaded image and its resized thumbnails (see image.service.js).
+ * Products reference images by URL; an image no product references is an
+ * orphan and gets deleted (on product update, or by cleanup:images).
+ */
+const thumbnailSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // e.g. 'small', 'medium'
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+  },
+  { _id: false },
+);
+
+const imageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // storage key of the original
+    url: { type: String, required: true, unique: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes
+    width: Number,
+    height: Number,
+    thumbnails: { type: [thumbnailSchema], default: [] },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+/** { small: url, medium: url } for product responses */
+imageSchema.methods.thumbnailUrls = function () {
+  return Object.fromEntries(this.thumbnails.map((t) => [t.name, t.url]));
+};
+
+module.exports = mongoose.model('Image', imageSchema);
@@ -1,8 +1,10 @@
 const mongoose = require('mongoose');
+const { ConflictError } = require('../errors');
 
 /**
- * We snapshot product title/slug/price at purchase time so
- * later price changes don't affect old orders.
+ * We snapshot product title/slug/price (and variant sku/options) at purchase
+ * time so later price changes don't affect old orders.
+ * Every amount on an order is integer minor units of `order.currency`.
  */
 const orderItemSchema = new mongoose.Schema(
   {
@@ -11,21 +13,102 @@ const orderItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: true,
     },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants._id
+    sku: { type: String, default: null },
+    options: { type: Map, of: String, default: undefined }, // e.g. { Size: 'M' }
     title: { type: String, required: true },
     slug: { type: String, required: true },
     price: { type: Number, required: true }, // unit price at time of order
     qty: { type: Number, required: true, min: 1 },
     lineTotal: { type: Number, required: true }, // price * qty at order time
+    weight: { type: Number, default: 0 }, // unit weight in grams at order time
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    }, // product category at order time (sales reports)
+
+    // tax breakdown (see tax.service.js)
+    taxClass: { type: String, default: 'standard' },
+    discount: { type: Number, default: 0 }, // this line's share of the coupon discount
+    taxRate: { type: Number, default: 0 }, // percent
+    tax: { type: Number, default: 0 },
   },
   { _id: false },
 );
 
 /**
- * Payment + status are simple to start:
- * - status: pending -> paid -> shipped -> delivered
- * - cancelled: separate boolean & timestamp
- * You can expand with more states later.
+ * Address snapshot copied onto the order (from the address book or inline),
+ * so editing/deleting a saved address never changes past orders.
  */
+const addressSnapshotSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: true },
+    phone: { type: String, required: true },
+    address1: { type: String, required: true },
+    address2: String,
+    city: { type: String, required: true },
+    state: String,
+    postalCode: { type: String, required: true },
+    country: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+/** Shipping zone + method chosen at checkout, with the fee charged */
+const shippingSnapshotSchema = new mongoose.Schema(
+  {
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+    zoneName: String,
+    method: { type: String, required: true }, // standard | express
+    name: String,
+    fee: { type: Number, required: true },
+    estimatedDays: { min: Number, max: Number },
+    weight: Number, // total grams
+  },
+  { _id: false },
+);
+
+/**
+ * Order lifecycle (enforced by order.transition()):
+ *   pending -> processing -> shipped -> delivered -> returned
+ *   pending | processing -> cancelled
+ * Payment status moves independently, but also along a fixed graph.
+ * Every change is appended to statusHistory with who made it and why.
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['returned'], // only by receiving the return (RMA)
+  cancelled: [],
+  returned: [],
+};
+
+const PAYMENT_TRANSITIONS = {
+  unpaid: ['paid', 'failed'],
+  failed: ['paid', 'unpaid'],
+  paid: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  refunded: [],
+};
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    field: { type: String, enum: ['status', 'paymentStatus'], required: true },
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    }, // null = system (e.g. payment webhook)
+    note: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const orderSchema = new mongoose.Schema(
   {
     user: {
@@ -38,44 +121,168 @@ const orderSchema = new mongoose.Schema(
     // snapshot of items
     items: { type: [orderItemSchema], required: true },
 
+    // currency the order was placed (and is refunded) in, e.g. 'PKR'
+    currency: { type: String, required: true, uppercase: true },
+
     // totals
     subtotal: { type: Number, required: true },
+    discount: { type: Number, required: true, default: 0 },
     shippingFee: { type: Number, required: true, default: 0 },
-    tax: { type: Number, required: true, default: 0 },
+    tax: { type: Number, required: true, default: 0 }, // line taxes + shippingTax
+    shippingTax: { type: Number, default: 0 },
+    taxInclusive: { type: Boolean, default: false }, // prices already contained the tax
+    taxRegion: {
+      type: new mongoose.Schema(
+        {
+          id: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRate' },
+          name: String,
+          country: String,
+          state: String,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // subtotal - discount + shippingFee (+ tax unless taxInclusive)
     grandTotal: { type: Number, required: true },
 
-    // simple shipping address (extend later)
-    shippingAddress: {
-      fullName: String,
-      phone: String,
-      address1: String,
-      address2: String,
-      city: String,
-      state: String,
-      postalCode: String,
-      country: String,
+    // coupon snapshot (null when none applied)
+    coupon: {
+      type: new mongoose.Schema(
+        {
+          id: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+          code: String,
+          type: { type: String },
+          value: Number,
+          freeShipping: Boolean,
+        },
+        { _id: false },
+      ),
+      default: null,
     },
 
+    // address snapshots
+    shippingAddress: { type: addressSnapshotSchema, required: true },
+    billingAddress: { type: addressSnapshotSchema, default: null },
+
+    // shipping method snapshot (null for orders placed before shipping zones)
+    shipping: { type: shippingSnapshotSchema, default: null },
+
     // payment
-    paymentMethod: { type: String, default: 'cod' }, // cod = cash on delivery (placeholder)
+    paymentMethod: { type: String, enum: ['cod', 'card'], default: 'cod' }, // cod = cash on delivery
     paymentStatus: {
       type: String,
-      enum: ['unpaid', 'paid', 'refunded'],
+      enum: Object.keys(PAYMENT_TRANSITIONS),
       default: 'unpaid',
     },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    }, // card orders only
+    paidAt: { type: Date, default: null },
+    refundedTotal: { type: Number, default: 0 }, // sum of refunds issued (returns, Stripe dashboard)
 
     // order status lifecycle
     status: {
       type: String,
-      enum: ['pending', 'paid', 'shipped', 'delivered'],
+      enum: Object.keys(ORDER_TRANSITIONS),
       default: 'pending',
       index: true,
     },
-
-    cancelled: { type: Boolean, default: false },
+    shippedAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
     cancelledAt: { type: Date, default: null },
+    returnedAt: { type: Date, default: null },
+
+    statusHistory: { type: [statusHistorySchema], default: [] },
   },
   { timestamps: true },
 );
 
+// Timestamp field set when entering a status
+const STATUS_TIMESTAMPS = {
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  returned: 'returnedAt',
+};
+
+/** Record the initial status when a new order is created */
+orderSchema.pre('validate', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      field: 'status',
+      from: null,
+      to: this.status,
+      actor: this.user,
+      note: 'Order placed',
+    });
+  }
+  next();
+});
+
+orderSchema.methods.canTransition = function (to) {
+  return ORDER_TRANSITIONS[this.status].includes(to);
+};
+
+/**
+ * Move the order to `to`, or throw 409 if the graph doesn't allow it.
+ * Caller saves the document.
+ */
+orderSchema.methods.transition = function (to, { actor = null, note } = {}) {
+  if (!this.canTransition(to))
+    throw new ConflictError(
+      `Cannot change order status from ${this.status} to ${to}`,
+      'INVALID_STATE',
+    );
+  this.statusHistory.push({
+    field: 'status',
+    from: this.status,
+    to,
+    actor,
+    note,
+  });
+  this.status = to;
+  if (STATUS_TIMESTAMPS[to]) this[STATUS_TIMESTAMPS[to]] = new Date();
+  return this;
+};
+
+/**
+ * Same as transition() for paymentStatus. Setting the current value is a
+ * no-op so redelivered webhooks don't fail or duplicate history.
+ */
+orderSchema.methods.canSetPaymentStatus = function (to) {
+  return PAYMENT_TRANSITIONS[this.paymentStatus].includes(to);
+};
+
+orderSchema.methods.setPaymentStatus = function (
+  to,
+  { actor = null, note } = {},
+) {
+  if (this.paymentStatus === to) return this;
+  if (!this.canSetPaymentStatus(to))
+    throw new ConflictError(
+      `Cannot change payment status from ${this.paymentStatus} to ${to}`,
+      'INVALID_STATE',
+    );
+  this.statusHistory.push({
+    field: 'paymentStatus',
+    from: this.paymentStatus,
+    to,
+    actor,
+    note,
+  });
+  this.paymentStatus = to;
+  if (to === 'paid') this.paidAt = new Date();
+  return this;
+};
+
+// Sales reports: orders placed in a date range, a customer's first order
+orderSchema.index({ createdAt: 1 });
+orderSchema.index({ user: 1, createdAt: 1 });
+
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * One Payment per card order.
+ * Mirrors the Stripe PaymentIntent; the webhook keeps `status` in sync and
+ * records processed event ids so redelivered events are ignored.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    provider: { type: String, enum: ['stripe'], default: 'stripe' },
+    intentId: { type: String, required: true, unique: true },
+
+    amount: { type: Number, required: true }, // smallest currency unit (cents)
+    currency: { type: String, required: true },
+    amountRefunded: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: [
+        'requires_payment',
+        'succeeded',
+        'failed',
+        'canceled',
+        'partially_refunded',
+        'refunded',
+      ],
+      default: 'requires_payment',
+    },
+    lastError: { type: String, default: null },
+
+    processedEvents: { type: [String], default: [] },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
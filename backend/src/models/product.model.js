@@ -1,13 +1,81 @@
 const mongoose = require('mongoose');
+const env = require('../config/env');
+
+/** Money fields hold integer minor units (see money.service.js) */
+const wholeUnits = {
+  validator: (v) => v == null || Number.isInteger(v),
+  message: '{PATH} must be a whole number of minor units',
+};
+
+/** Price list: { EUR: 1799, PKR: 550000 } for currencies other than `currency` */
+const priceList = {
+  type: Map,
+  of: { type: Number, min: 0, validate: wholeUnits },
+  default: {},
+};
+
+/**
+ * Option definitions, e.g. { name: 'Size', values: ['S', 'M', 'L'] }.
+ */
+const optionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    values: { type: [String], default: [] },
+  },
+  { _id: false },
+);
+
+/**
+ * Gallery image. `url` is an upload (see image.model.js) or an external URL;
+ * thumbnails ({ small, medium } URLs) are filled in for uploads.
+ * Kept sorted by sortOrder with exactly one primary (image.service.js).
+ */
+const productImageSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    alt: { type: String, default: '', trim: true },
+    sortOrder: { type: Number, default: 0 },
+    isPrimary: { type: Boolean, default: false },
+    thumbnails: { type: Map, of: String, default: {} },
+  },
+  { _id: false },
+);
+
+/**
+ * A purchasable combination of option values (one SKU).
+ * `price`/`prices` override the product's when set; stock is tracked per variant.
+ */
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} }, // e.g. { Size: 'M', Colour: 'Red' }
+  price: { type: Number, min: 0, default: null, validate: wholeUnits },
+  prices: priceList,
+  stock: { type: Number, default: 0, min: 0 },
+  weight: { type: Number, min: 0, default: null }, // grams; null = product weight
+  images: { type: [String], default: [] },
+  isActive: { type: Boolean, default: true },
+});
 
 const productSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     slug: { type: String, required: true, unique: true, index: true },
     description: String,
-    price: { type: Number, required: true, min: 0 },
-    stock: { type: Number, default: 0 },
-    images: { type: [String], default: [] },
+    price: { type: Number, required: true, min: 0, validate: wholeUnits }, // minor units (variants may override)
+    currency: { type: String, default: () => env.CURRENCY, uppercase: true }, // of `price`
+    prices: priceList, // optional prices in other currencies
+    stock: { type: Number, default: 0 }, // sum of variant stock when variants exist
+    weight: { type: Number, default: 0, min: 0 }, // grams, used for shipping rates
+    lowStockThreshold: { type: Number, default: null, min: 0 }, // null = LOW_STOCK_THRESHOLD
+    taxClass: {
+      type: String,
+      enum: ['standard', 'reduced', 'exempt'],
+      default: 'standard',
+    }, // see tax-rate.model.js
+    images: { type: [productImageSchema], default: [] },
+
+    options: { type: [optionSchema], default: [] },
+    variants: { type: [variantSchema], default: [] },
 
     // Link to Category + Subcategory
     category: {
@@ -21,9 +89,111 @@ const productSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Aggregated from approved reviews (see Review.recalcProductRating)
+    ratingAverage: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+
     isActive: { type: Boolean, default: true },
   },
   { timestamps: true },
 );
 
+/**
+ * Variants must only use defined options/values, each combination and SKU
+ * must be unique, and the product-level stock mirrors the variant total.
+ */
+productSchema.pre('validate', function (next) {
+  if (this.variants.length === 0) return next();
+
+  const defined = new Map(this.options.map((o) => [o.name, new Set(o.values)]));
+  const skus = new Set();
+  const combos = new Set();
+
+  for (const v of this.variants) {
+    if (skus.has(v.sku)) this.invalidate('variants', `Duplicate SKU ${v.sku}`);
+    skus.add(v.sku);
+
+    const entries = [...v.options.entries()];
+    if (entries.length !== defined.size)
+      this.invalidate('variants', `Variant ${v.sku} must set every option`);
+    for (const [name, value] of entries) {
+      if (!defined.get(name)?.has(value))
+        this.invalidate(
+          'variants',
+          `Variant ${v.sku}: invalid ${name}=${value}`,
+        );
+    }
+
+    const combo = entries
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([k, val]) => `${k}=${val}`)
+      .join('|');
+    if (combos.has(combo))
+      this.invalidate('variants', `Duplicate option combination ${combo}`);
+    combos.add(combo);
+  }
+
+  this.stock = this.variants.reduce(
+    (sum, v) => sum + (v.isActive ? v.stock : 0),
+    0,
+  );
+  next();
+});
+
+/** Find a variant by its _id or SKU */
+productSchema.methods.findVariant = function (idOrSku) {
+  if (!idOrSku) return null;
+  return (
+    this.variants.find(
+      (v) => String(v._id) === String(idOrSku) || v.sku === idOrSku,
+    ) || null
+  );
+};
+
+/**
+ * Unit price (minor units) in `currency`: variant override, else product
+ * price. Other currencies come from the price lists; null = not sold in it.
+ */
+productSchema.methods.unitPrice = function (variant, currency = this.currency) {
+  if (currency === this.currency)
+    return variant && variant.price != null ? variant.price : this.price;
+  return variant?.prices?.get(currency) ?? this.prices?.get(currency) ?? null;
+};
+
+/** Stock available for a line: per-variant when variants exist */
+productSchema.methods.stockFor = function (variant) {
+  if (variant) return variant.isActive ? variant.stock : 0;
+  return this.stock;
+};
+
+/** Shipping weight (grams) of one unit */
+productSchema.methods.weightFor = function (variant) {
+  return variant && variant.weight != null ? variant.weight : this.weight;
+};
+
+// SKUs are unique across the catalog
+productSchema.index(
+  { 'variants.sku': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'variants.sku': { $exists: true } },
+  },
+);
+
+// Keyword search (GET /api/products?q=) — title matches weigh more
+productSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 }, name: 'product_text' },
+);
+
+// Category filters (GET /api/products?category= matches either field)
+productSchema.index({ category: 1 });
+productSchema.index({ subcategory: 1 });
+
+// Listing sorts (each with _id as a stable tie-breaker for cursors)
+productSchema.index({ isActive: 1, createdAt: -1, _id: -1 });
+productSchema.index({ isActive: 1, price: 1, _id: 1 });
+productSchema.index({ isActive: 1, title: 1, _id: 1 });
+productSchema.index({ isActive: 1, ratingAverage: -1, _id: -1 });
+
 module.exports = mongoose.model('Product', productSchema);
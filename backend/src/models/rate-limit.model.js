@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shared counters for the mongo rate-limit store (RATE_LIMIT_STORE=mongo).
+ * `_id` is the counter key; the window ends at `expiresAt`.
+ */
+const rateLimitSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false },
+);
+
+// Let MongoDB purge expired counters
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Server-side refresh tokens (only the SHA-256 hash is stored).
+ * Every login starts a new `family`; each refresh rotates the token inside
+ * that family. Presenting an already-rotated token means it leaked, so the
+ * whole family is revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: [
+        null,
+        'rotated',
+        'logout',
+        'logout_all',
+        'reuse_detected',
+        'password_change',
+        'account_disabled',
+      ],
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null,
+    },
+
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true },
+);
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { ConflictError } = require('../errors');
+
+/**
+ * Return (RMA) for a delivered order.
+ *   requested -> approved | rejected
+ *   approved  -> received | refunded
+ *   received  -> refunded
+ * Items snapshot the order line they come from; receivedQty/restocked are
+ * filled in when the parcel arrives.
+ */
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'refunded'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sku: { type: String, default: null },
+    slug: { type: String, required: true },
+    title: { type: String, required: true },
+    unitPrice: { type: Number, required: true }, // minor units of the order currency paid per unit: after its discount share, tax included
+    qty: { type: Number, required: true, min: 1 },
+    receivedQty: { type: Number, default: 0 },
+    restocked: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
+const returnHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    note: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const returnSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    items: { type: [returnItemSchema], required: true },
+    reason: { type: String, required: true },
+
+    status: {
+      type: String,
+      enum: Object.keys(RETURN_TRANSITIONS),
+      default: 'requested',
+      index: true,
+    },
+
+    refund: {
+      type: new mongoose.Schema(
+        {
+          amount: Number, // minor units of the order currency
+          method: { type: String, enum: ['stripe', 'manual'] },
+          providerRefundId: String,
+          at: Date,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+
+    history: { type: [returnHistorySchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+returnSchema.pre('validate', function (next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ from: null, to: this.status, actor: this.user });
+  }
+  next();
+});
+
+/** Move along the RMA graph or throw 409 */
+returnSchema.methods.transition = function (to, { actor = null, note } = {}) {
+  if (!RETURN_TRANSITIONS[this.status].includes(to))
+    throw new ConflictError(
+      `Cannot change return from ${this.status} to ${to}`,
+      'INVALID_STATE',
+    );
+  this.history.push({ from: this.status, to, actor, note });
+  this.status = to;
+  return this;
+};
+
+/** Suggested refund: what the customer paid for the returned units */
+returnSchema.methods.itemsTotal = function () {
+  return this.items.reduce((s, i) => s + i.unitPrice * i.qty, 0);
+};
+
+returnSchema.statics.TRANSITIONS = RETURN_TRANSITIONS;
+
+module.exports = mongoose.model('Return', returnSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * One review per (product, user).
+ * Only `approved` reviews count towards Product.ratingAverage / ratingCount;
+ * admins can hide abusive ones without deleting them.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true, default: '' },
+    body: { type: String, required: true, trim: true },
+
+    // true when the user has a delivered order containing this product
+    verifiedPurchase: { type: Boolean, default: false },
+
+    // moderation
+    status: {
+      type: String,
+      enum: ['approved', 'hidden'],
+      default: 'approved',
+      index: true,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    moderatedAt: { type: Date, default: null },
+    moderationNote: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+/** Recompute the aggregated rating stored on the Product */
+reviewSchema.statics.recalcProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: productId, status: 'approved' } },
+    {
+      $group: { _id: null, avg: { $avg: '$rating' }, count: { $sum: 1 } },
+    },
+  ]);
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      ratingAverage: stats ? Math.round(stats.avg * 10) / 10 : 0,
+      ratingCount: stats ? stats.count : 0,
+    },
+  );
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
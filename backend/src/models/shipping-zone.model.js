@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const env = require('../config/env');
+
+/**
+ * A shipping method offered inside a zone.
+ * - flat: `flatRate` per order
+ * - weight: rate of the highest tier whose `min` (grams) <= cart weight
+ * - subtotal: rate of the highest tier whose `min` <= discounted subtotal
+ * freeShippingThreshold: fee is 0 once the discounted subtotal reaches it.
+ * Fees, thresholds and subtotal tiers are minor units of the zone currency.
+ */
+const tierSchema = new mongoose.Schema(
+  {
+    min: { type: Number, required: true, min: 0 },
+    rate: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+const methodSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      enum: ['standard', 'express'],
+      required: true,
+    },
+    name: { type: String, trim: true, default: '' }, // label shown at checkout
+    rateType: {
+      type: String,
+      enum: ['flat', 'weight', 'subtotal'],
+      default: 'flat',
+    },
+    flatRate: { type: Number, default: 0, min: 0 },
+    tiers: { type: [tierSchema], default: [] },
+    freeShippingThreshold: { type: Number, default: null, min: 0 },
+    estimatedDays: {
+      min: { type: Number, default: null, min: 0 },
+      max: { type: Number, default: null, min: 0 },
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  { _id: false },
+);
+
+/**
+ * Admin-defined shipping zone.
+ * An address matches when its country is listed ('*' = rest of world) and,
+ * if set, its state / postal code prefix matches too. The most specific
+ * match wins (postal prefix > state > country > '*'), then `priority`.
+ * A zone prices in one currency and only serves carts in it; define a zone
+ * per currency for regions you sell to in several.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    countries: [{ type: String, uppercase: true, trim: true }], // ISO codes or '*'
+    states: [{ type: String, trim: true }],
+    postalPrefixes: [{ type: String, uppercase: true, trim: true }],
+    priority: { type: Number, default: 0 }, // higher wins between equal matches
+    currency: { type: String, default: () => env.CURRENCY, uppercase: true },
+    methods: { type: [methodSchema], default: [] },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+shippingZoneSchema.index({ countries: 1, currency: 1, isActive: 1 });
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Low-stock alert, opened when a product/variant drops to its threshold
+ * (Product.lowStockThreshold, else LOW_STOCK_THRESHOLD) and resolved once
+ * it is restocked above it. Admins are emailed once per alert.
+ */
+const stockAlertSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sku: { type: String, default: null },
+    level: { type: Number, required: true }, // stock when the alert opened
+    threshold: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+      index: true,
+    },
+    notifiedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// At most one open alert per product/variant
+stockAlertSchema.index(
+  { product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } },
+);
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
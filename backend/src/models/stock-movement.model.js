@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only stock ledger. Every change to a product's (or variant's)
+ * stock writes one movement with the signed delta and the level after it.
+ * Movements are never edited or deleted; corrections are new movements.
+ */
+const REASONS = [
+  'initial', // stock set when the product/variant was created
+  'order', // sold (checkout)
+  'order_cancelled', // order cancelled, stock put back
+  'return', // returned goods restocked
+  'import', // level set by a bulk catalog import
+  'restock', // admin adjustments ↓
+  'damaged',
+  'lost',
+  'correction',
+  'other',
+];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants._id
+    sku: { type: String, default: null },
+    reason: { type: String, enum: REASONS, required: true },
+    delta: { type: Number, required: true },
+    level: { type: Number, required: true }, // stock of the product/variant after this move
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // who caused it
+    note: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Append-only: refuse edits and deletes
+function readOnly(next) {
+  next(new Error('Stock movements are append-only'));
+}
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return readOnly(next);
+  next();
+});
+for (const op of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+]) {
+  stockMovementSchema.pre(op, readOnly);
+}
+
+stockMovementSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
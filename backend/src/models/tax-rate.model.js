@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-managed tax rate for a country, or one state of it.
+ * A state-specific rate wins over the country-wide one (state = '').
+ * Percentages per product tax class; 'exempt' products are never taxed.
+ * taxShipping: the shipping fee is taxed at the standard rate.
+ */
+const taxRateSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: '' }, // e.g. "GST", "VAT"
+    country: { type: String, required: true, uppercase: true, trim: true },
+    state: { type: String, trim: true, default: '' }, // '' = whole country
+    rates: {
+      standard: { type: Number, required: true, min: 0, max: 100 },
+      reduced: { type: Number, default: 0, min: 0, max: 100 },
+    },
+    taxShipping: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+// One rate per region; states compared case-insensitively
+taxRateSchema.index(
+  { country: 1, state: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } },
+);
+
+/** Percentage for a product tax class */
+taxRateSchema.methods.percentFor = function (taxClass) {
+  if (taxClass === 'exempt') return 0;
+  return taxClass === 'reduced' ? this.rates.reduced : this.rates.standard;
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
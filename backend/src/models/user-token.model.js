@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use, expiring tokens mailed to users (password reset, email
+ * verification). Only the SHA-256 hash is stored; `usedAt` marks consumption.
+ */
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// Let MongoDB purge expired tokens
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
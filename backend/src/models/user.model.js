@@ -1,16 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true },
     password: { type: String, required: true, minlength: 6 },
-    role: { type: String, enum: ['user', 'admin'], default: 'admin' },
+    // Permissions come from the role (config/roles.js); sign-ups are customers
+    role: { type: String, enum: Object.keys(ROLES), default: DEFAULT_ROLE },
+
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+
+    // Disabled accounts can't log in and their tokens are rejected
+    isDisabled: { type: Boolean, default: false },
+    disabledAt: { type: Date, default: null },
+
+    // Bumped on "log out all devices" / password change to void access tokens
+    tokenVersion: { type: Number, default: 0 },
   },
   { timestamps: true },
 );
 
+// Never leak the password hash in API responses
+userSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
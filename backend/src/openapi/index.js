@@ -0,0 +1,237 @@
+const { STATUS_CODES } = require('http');
+const { z } = require('zod');
+const { ERROR_CODES } = require('../errors');
+const { PERMISSIONS } = require('../config/roles');
+const { RATE_LIMITS } = require('../config/rate-limits');
+const {
+  requireAuth,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require('../middlewares/auth');
+const { version, description } = require('../../package.json');
+const schemas = require('./schemas');
+
+/**
+ * OpenAPI 3.1 document built from the route table in routes/index.js.
+ * Each route contributes what its middlewares already say about it:
+ * requireAuth / optionalAuth -> security, requirePermission -> 403 and
+ * x-permissions, rateLimit -> x-rate-limit, spec() -> parameters, body,
+ * summary and response. Zod schemas with an `id` (see ./schemas.js) become
+ * components/schemas.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+/** Zod -> JSON Schema, collecting shared definitions into `components` */
+function toSchema(schema, io, components) {
+  const json = z.toJSONSchema(schema, {
+    io,
+    unrepresentable: 'any',
+    override: ({ zodSchema, jsonSchema }) => {
+      if (zodSchema._zod.def.type === 'date') {
+        jsonSchema.type = 'string';
+        jsonSchema.format = 'date-time';
+      }
+      // z.number().int() bounds; not worth showing
+      if (Math.abs(jsonSchema.minimum) === Number.MAX_SAFE_INTEGER)
+        delete jsonSchema.minimum;
+      if (Math.abs(jsonSchema.maximum) === Number.MAX_SAFE_INTEGER)
+        delete jsonSchema.maximum;
+      // the format says it; Zod's regexes are unreadable in the docs
+      if (jsonSchema.format) delete jsonSchema.pattern;
+      // responses may gain fields; clients ignore unknown ones
+      if (io === 'output' && jsonSchema.additionalProperties === false)
+        delete jsonSchema.additionalProperties;
+    },
+  });
+
+  // shared definitions land in $defs; point their refs at components
+  const text = JSON.stringify(json).replaceAll(
+    '"#/$defs/',
+    '"#/components/schemas/',
+  );
+  const { $schema, $defs = {}, id, ...root } = JSON.parse(text);
+  for (const [name, { id: _id, ...def }] of Object.entries($defs))
+    components[name] = def;
+  if (!id) return root;
+  components[id] = root;
+  return ref(id);
+}
+
+/** ':slug' -> '{slug}' */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function parametersFor(path, definition, components) {
+  const params = [];
+  const pathShape = definition.params
+    ? toSchema(definition.params, 'input', components).properties
+    : {};
+  for (const [, name] of path.matchAll(/:(\w+)/g))
+    params.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: pathShape?.[name] ?? { type: 'string' },
+    });
+
+  if (definition.query) {
+    const query = toSchema(definition.query, 'input', components);
+    const required = new Set(query.required ?? []);
+    for (const [name, schema] of Object.entries(query.properties ?? {})) {
+      const { description, ...rest } = schema;
+      params.push({
+        name,
+        in: 'query',
+        required: required.has(name),
+        ...(description && { description }),
+        schema: rest,
+      });
+    }
+  }
+  return params;
+}
+
+function operationFor(path, handlers, components) {
+  const definition = handlers.find((h) => h.spec)?.spec ?? {};
+  const controller = handlers.at(-1);
+  const permissions = handlers.flatMap((h) => h.permissions ?? []);
+  const rateLimits = handlers
+    .filter((h) => h.rateLimit)
+    .map((h) => h.rateLimit);
+  const authRequired = handlers.includes(requireAuth);
+
+  const op = {
+    operationId: controller.name || undefined,
+    summary: definition.summary,
+    description: definition.description,
+    parameters: parametersFor(path, definition, components),
+  };
+
+  if (authRequired) op.security = [{ bearerAuth: [] }];
+  else if (handlers.includes(optionalAuth))
+    op.security = [{}, { bearerAuth: [] }];
+  else op.security = [];
+
+  if (permissions.length > 0) {
+    op['x-permissions'] = permissions;
+    const list = permissions.map((p) => `\`${p}\``).join(', ');
+    op.description = [op.description, `Requires permission ${list}.`]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+  if (rateLimits.length > 0)
+    op['x-rate-limit'] = rateLimits.map((group) => ({
+      group,
+      ...RATE_LIMITS[group],
+    }));
+
+  if (definition.requestBody) op.requestBody = definition.requestBody;
+  else if (definition.body)
+    op.requestBody = {
+      required: !definition.body.safeParse({}).success,
+      content: {
+        'application/json': {
+          schema: toSchema(definition.body, 'input', components),
+        },
+      },
+    };
+
+  const status = definition.status ?? 200;
+  const success = { description: STATUS_CODES[status] };
+  if (definition.produces || definition.response) success.content = {};
+  if (definition.produces)
+    success.content[definition.produces] = { schema: { type: 'string' } };
+  if (definition.response)
+    success.content['application/json'] = {
+      schema: toSchema(definition.response, 'output', components),
+    };
+  op.responses = { [status]: success };
+
+  if (op.requestBody || op.parameters.length > 0)
+    op.responses[400] = errorResponse('Invalid request (VALIDATION_FAILED)');
+  if (authRequired)
+    op.responses[401] = errorResponse('Missing or invalid access token');
+  if (permissions.length > 0 || handlers.includes(requireVerifiedEmail))
+    op.responses[403] = errorResponse('Not allowed');
+  if (path.includes(':')) op.responses[404] = errorResponse('Not found');
+  op.responses[429] = errorResponse('Rate limited; see Retry-After');
+  op.responses.default = errorResponse('Error');
+
+  return op;
+}
+
+/**
+ * @param {Array<{ path: string, router: import('express').Router, tag: string }>} table
+ * @param {string} basePath where the table is mounted
+ */
+function buildSpec(table, basePath = '/api') {
+  const components = {};
+  const paths = {};
+  const operationIds = new Set();
+
+  for (const { path: mount, router, tag } of table) {
+    const inherited = []; // router.use() middlewares run before later routes
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        inherited.push(layer.handle);
+        continue;
+      }
+      const { route } = layer;
+      const handlers = [...inherited, ...route.stack.map((l) => l.handle)];
+      const path = mount + (route.path === '/' ? '' : route.path);
+
+      for (const method of Object.keys(route.methods)) {
+        if (method === '_all') continue;
+        const op = operationFor(path, handlers, components);
+        // operation ids must be unique across the document
+        if (op.operationId && operationIds.has(op.operationId))
+          op.operationId = `${tag.replace(/\W/g, '')}_${op.operationId}`;
+        operationIds.add(op.operationId);
+        op.tags = [tag];
+        paths[toOpenApiPath(path)] ??= {};
+        paths[toOpenApiPath(path)][method] = op;
+      }
+    }
+  }
+
+  toSchema(schemas.Error, 'output', components);
+  components.Error.description =
+    'Every error response. `code` is one of: \n\n' +
+    Object.entries(ERROR_CODES)
+      .map(([code, meaning]) => `- \`${code}\`: ${meaning}`)
+      .join('\n');
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${description} API`,
+      version,
+      description:
+        'Money amounts are integer minor units (cents) in the `currency` ' +
+        'alongside them. Every route is rate limited per IP; limited ' +
+        'responses are 429 with a Retry-After header.\n\n' +
+        'Permissions (granted by roles):\n\n' +
+        Object.entries(PERMISSIONS)
+          .map(([perm, meaning]) => `- \`${perm}\`: ${meaning}`)
+          .join('\n'),
+    },
+    servers: [{ url: basePath }],
+    tags: [...new Set(table.map((r) => r.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: Object.fromEntries(
+        Object.entries(components).sort(([a], [b]) => a.localeCompare(b)),
+      ),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+}
+
+module.exports = { buildSpec };
@@ -0,0 +1,541 @@
+const { z } = require('zod');
+const { ERROR_CODES } = require('../errors');
+const { ROLES } = require('../config/roles');
+const Order = require('../models/order.model');
+const Return = require('../models/return.model');
+const StockMovement = require('../models/stock-movement.model');
+
+/**
+ * Response shapes for the OpenAPI document. They describe what the
+ * endpoints send back (Mongoose documents as JSON), so objects stay open:
+ * clients must ignore fields they don't know. Schemas with an `id` become
+ * reusable components.
+ */
+
+const component = (id, schema) => schema.meta({ id });
+
+const Id = z.string().describe('ObjectId');
+const DateTime = z.iso.datetime();
+const Money = z.number().int().describe('Integer minor units (cents)');
+const Currency = z.string().describe('ISO 4217 code, e.g. USD');
+const Timestamps = { createdAt: DateTime, updatedAt: DateTime };
+
+const ErrorBody = component(
+  'Error',
+  z.looseObject({
+    status: z.number().int(),
+    code: z.enum(Object.keys(ERROR_CODES)),
+    message: z.string(),
+    issues: z
+      .array(
+        z.object({
+          in: z.enum(['params', 'query', 'body']).optional(),
+          path: z.string(),
+          message: z.string(),
+          code: z.string(),
+        }),
+      )
+      .optional(),
+    retryAfter: z.number().int().optional(),
+  }),
+);
+
+const Ok = z.object({ ok: z.literal(true) });
+
+const User = component(
+  'User',
+  z.looseObject({
+    _id: Id,
+    name: z.string(),
+    email: z.email(),
+    role: z.enum(Object.keys(ROLES)),
+    emailVerified: z.boolean(),
+    isDisabled: z.boolean(),
+    ...Timestamps,
+  }),
+);
+
+const PublicUser = component(
+  'PublicUser',
+  z.object({
+    id: Id,
+    name: z.string(),
+    email: z.email(),
+    role: z.enum(Object.keys(ROLES)),
+    emailVerified: z.boolean(),
+  }),
+);
+
+const Session = component(
+  'Session',
+  z.object({
+    token: z.string().describe('Bearer access token'),
+    refreshToken: z.string(),
+    user: PublicUser,
+  }),
+);
+
+const AddressFields = {
+  fullName: z.string(),
+  phone: z.string(),
+  address1: z.string(),
+  address2: z.string().optional(),
+  city: z.string(),
+  state: z.string().optional(),
+  postalCode: z.string(),
+  country: z.string(),
+};
+
+const Address = component(
+  'Address',
+  z.looseObject({
+    _id: Id,
+    label: z.string(),
+    ...AddressFields,
+    isDefaultShipping: z.boolean(),
+    isDefaultBilling: z.boolean(),
+    ...Timestamps,
+  }),
+);
+
+const AddressSnapshot = component(
+  'AddressSnapshot',
+  z.looseObject(AddressFields),
+);
+
+const Category = component(
+  'Category',
+  z.looseObject({
+    _id: Id,
+    name: z.string(),
+    slug: z.string(),
+    parent: Id.nullable(),
+    ancestors: z.array(Id),
+    path: z.string().optional(),
+    depth: z.number().int().optional(),
+    isActive: z.boolean(),
+    ...Timestamps,
+  }),
+);
+
+const CategoryNode = component(
+  'CategoryNode',
+  Category.extend({
+    get children() {
+      return z.array(CategoryNode);
+    },
+  }),
+);
+
+const PriceList = z
+  .record(z.string(), Money)
+  .describe('Prices in other currencies, keyed by currency code');
+
+const ProductImage = z.looseObject({
+  url: z.url(),
+  alt: z.string(),
+  sortOrder: z.number().int(),
+  isPrimary: z.boolean(),
+  thumbnails: z.record(z.string(), z.url()),
+});
+
+const Variant = z.looseObject({
+  _id: Id,
+  sku: z.string(),
+  options: z.record(z.string(), z.string()),
+  price: Money.nullable(),
+  prices: PriceList,
+  stock: z.number().int(),
+  weight: z.number().nullable(),
+  images: z.array(z.string()),
+  isActive: z.boolean(),
+  available: z.number().int().optional(),
+});
+
+const Product = component(
+  'Product',
+  z.looseObject({
+    _id: Id,
+    title: z.string(),
+    slug: z.string(),
+    description: z.string().optional(),
+    price: Money,
+    currency: Currency,
+    prices: PriceList,
+    stock: z.number().int(),
+    available: z
+      .number()
+      .int()
+      .optional()
+      .describe('Stock minus quantities held by checkouts'),
+    weight: z.number(),
+    lowStockThreshold: z.number().int().nullable(),
+    taxClass: z.enum(['standard', 'reduced', 'exempt']),
+    images: z.array(ProductImage),
+    options: z.array(
+      z.object({ name: z.string(), values: z.array(z.string()) }),
+    ),
+    variants: z.array(Variant),
+    category: z.union([Id, z.looseObject({ name: z.string() })]).nullable(),
+    subcategory: z.union([Id, z.looseObject({ name: z.string() })]).nullable(),
+    ratingAverage: z.number(),
+    ratingCount: z.number().int(),
+    isActive: z.boolean(),
+    ...Timestamps,
+  }),
+);
+
+const Cart = component(
+  'Cart',
+  z.object({
+    cart: z.object({
+      items: z.array(
+        z.object({
+          slug: z.string(),
+          title: z.string(),
+          sku: z.string().nullable(),
+          options: z.record(z.string(), z.string()).nullable(),
+          price: Money.nullable(),
+          stock: z.number().int(),
+          qty: z.number().int(),
+          lineTotal: Money,
+          priced: z
+            .boolean()
+            .describe('false when not sold in the cart currency'),
+        }),
+      ),
+    }),
+    currency: Currency,
+    subtotal: Money,
+    discount: Money,
+    freeShipping: z.boolean(),
+    coupon: z
+      .object({
+        code: z.string().nullable(),
+        valid: z.boolean(),
+        reason: z.string().nullable(),
+      })
+      .nullable(),
+    total: Money,
+  }),
+);
+
+const CheckoutSession = component(
+  'CheckoutSession',
+  z.object({
+    id: Id,
+    items: z.array(
+      z.looseObject({
+        product: Id,
+        variant: Id.nullable(),
+        qty: z.number().int(),
+      }),
+    ),
+    expiresAt: DateTime,
+  }),
+);
+
+const Order_ = component(
+  'Order',
+  z.looseObject({
+    _id: Id,
+    user: Id,
+    items: z.array(
+      z.looseObject({
+        product: Id,
+        variant: Id.nullable(),
+        sku: z.string().nullable(),
+        title: z.string(),
+        slug: z.string(),
+        category: Id.nullable(),
+        price: Money,
+        qty: z.number().int(),
+        lineTotal: Money,
+        discount: Money,
+        taxRate: z.number(),
+        tax: Money,
+      }),
+    ),
+    currency: Currency,
+    subtotal: Money,
+    discount: Money,
+    shippingFee: Money,
+    tax: Money,
+    grandTotal: Money,
+    coupon: z
+      .looseObject({ code: z.string(), type: z.string(), value: z.number() })
+      .nullable(),
+    shippingAddress: AddressSnapshot,
+    billingAddress: AddressSnapshot.nullable(),
+    shipping: z
+      .looseObject({ method: z.string(), name: z.string(), fee: Money })
+      .nullable(),
+    paymentMethod: z.enum(['cod', 'card']),
+    paymentStatus: z.enum(Object.keys(Order.PAYMENT_TRANSITIONS)),
+    status: z.enum(Object.keys(Order.TRANSITIONS)),
+    refundedTotal: Money,
+    statusHistory: z.array(
+      z.looseObject({
+        field: z.enum(['status', 'paymentStatus']),
+        from: z.string().nullable(),
+        to: z.string(),
+        note: z.string().nullable(),
+        at: DateTime,
+      }),
+    ),
+    ...Timestamps,
+  }),
+);
+
+const Payment = component(
+  'Payment',
+  z.object({
+    id: Id,
+    intentId: z.string(),
+    status: z.enum([
+      'requires_payment',
+      'succeeded',
+      'failed',
+      'canceled',
+      'partially_refunded',
+      'refunded',
+    ]),
+    amount: Money,
+    currency: z.string(),
+    amountRefunded: Money,
+    lastError: z.string().nullable().optional(),
+  }),
+);
+
+const Return_ = component(
+  'Return',
+  z.looseObject({
+    _id: Id,
+    order: Id,
+    user: z.union([Id, z.looseObject({ email: z.string() })]),
+    items: z.array(
+      z.looseObject({
+        sku: z.string().nullable(),
+        slug: z.string(),
+        title: z.string(),
+        unitPrice: Money,
+        qty: z.number().int(),
+        receivedQty: z.number().int(),
+        restocked: z.boolean(),
+      }),
+    ),
+    reason: z.string(),
+    status: z.enum(Object.keys(Return.TRANSITIONS)),
+    refund: z
+      .looseObject({
+        amount: Money,
+        method: z.enum(['stripe', 'manual']),
+        at: DateTime,
+      })
+      .nullable(),
+    history: z.array(
+      z.looseObject({
+        from: z.string().nullable(),
+        to: z.string(),
+        note: z.string().nullable(),
+        at: DateTime,
+      }),
+    ),
+    ...Timestamps,
+  }),
+);
+
+const Review = component(
+  'Review',
+  z.looseObject({
+    _id: Id,
+    product: Id,
+    user: z.union([Id, z.looseObject({ name: z.string() })]),
+    rating: z.number().int().min(1).max(5),
+    title: z.string(),
+    body: z.string(),
+    verifiedPurchase: z.boolean(),
+    status: z.enum(['approved', 'hidden']),
+    ...Timestamps,
+  }),
+);
+
+const Coupon = component(
+  'Coupon',
+  z.looseObject({
+    _id: Id,
+    code: z.string(),
+    description: z.string(),
+    type: z.enum(['percentage', 'fixed', 'free_shipping']),
+    value: z.number().describe('Percent, or minor units for fixed coupons'),
+    currency: Currency,
+    maxDiscount: Money.nullable(),
+    minSubtotal: Money,
+    startsAt: DateTime.nullable(),
+    endsAt: DateTime.nullable(),
+    usageLimit: z.number().int().nullable(),
+    usedCount: z.number().int(),
+    perUserLimit: z.number().int().nullable(),
+    isActive: z.boolean(),
+    ...Timestamps,
+  }),
+);
+
+const EstimatedDays = z.object({
+  min: z.number().int().nullable(),
+  max: z.number().int().nullable(),
+});
+
+const ShippingQuote = component(
+  'ShippingQuote',
+  z.object({
+    zone: z.object({
+      id: Id.nullable().describe('null: no zones configured, shipping is free'),
+      name: z.string(),
+    }),
+    currency: Currency,
+    subtotal: Money.describe('Cart subtotal after discount'),
+    weight: z.number(),
+    methods: z.array(
+      z.object({
+        code: z.enum(['standard', 'express']),
+        name: z.string(),
+        fee: Money,
+        estimatedDays: EstimatedDays,
+      }),
+    ),
+  }),
+);
+
+const ShippingZone = component(
+  'ShippingZone',
+  z.looseObject({
+    _id: Id,
+    name: z.string(),
+    countries: z.array(z.string()),
+    states: z.array(z.string()),
+    postalPrefixes: z.array(z.string()),
+    priority: z.number().int(),
+    currency: Currency,
+    methods: z.array(
+      z.looseObject({
+        code: z.enum(['standard', 'express']),
+        name: z.string(),
+        rateType: z.enum(['flat', 'weight', 'subtotal']),
+        flatRate: Money,
+        tiers: z.array(z.object({ min: z.number(), rate: Money })),
+        freeShippingThreshold: Money.nullable(),
+        estimatedDays: EstimatedDays.partial(),
+        isActive: z.boolean(),
+      }),
+    ),
+    isActive: z.boolean(),
+  }),
+);
+
+const TaxRate = component(
+  'TaxRate',
+  z.looseObject({
+    _id: Id,
+    name: z.string(),
+    country: z.string(),
+    state: z.string(),
+    rates: z.object({ standard: z.number(), reduced: z.number() }),
+    taxShipping: z.boolean(),
+    isActive: z.boolean(),
+  }),
+);
+
+const Image = component(
+  'Image',
+  z.looseObject({
+    _id: Id,
+    url: z.url(),
+    contentType: z.string(),
+    size: z.number().int(),
+    width: z.number().int(),
+    height: z.number().int(),
+    thumbnails: z.array(
+      z.looseObject({
+        name: z.string(),
+        url: z.url(),
+        width: z.number().int(),
+      }),
+    ),
+  }),
+);
+
+const StockMovement_ = component(
+  'StockMovement',
+  z.looseObject({
+    _id: Id,
+    product: Id,
+    variant: Id.nullable(),
+    sku: z.string().nullable(),
+    reason: z.enum(StockMovement.REASONS),
+    delta: z.number().int(),
+    level: z.number().int().describe('Stock after this movement'),
+    order: Id.nullable(),
+    user: z
+      .union([Id, z.looseObject({ name: z.string(), email: z.string() })])
+      .nullable(),
+    note: z.string().nullable(),
+    createdAt: DateTime,
+  }),
+);
+
+const StockAlert = component(
+  'StockAlert',
+  z.looseObject({
+    _id: Id,
+    product: z.union([Id, z.looseObject({ slug: z.string() })]),
+    variant: Id.nullable(),
+    sku: z.string().nullable(),
+    level: z.number().int().describe('Stock when the alert opened'),
+    threshold: z.number().int(),
+    status: z.enum(['open', 'resolved']),
+    notifiedAt: DateTime.nullable(),
+    resolvedAt: DateTime.nullable(),
+    ...Timestamps,
+  }),
+);
+
+/** { item } / { items } / paged { items, total, page, limit } bodies */
+const item = (schema) => z.object({ item: schema });
+const list = (schema) => z.object({ items: z.array(schema) });
+const page = (schema, extra = {}) =>
+  z.object({
+    items: z.array(schema),
+    total: z.number().int(),
+    page: z.number().int().nullable(),
+    limit: z.number().int(),
+    ...extra,
+  });
+
+module.exports = {
+  Error: ErrorBody,
+  Ok,
+  User,
+  PublicUser,
+  Session,
+  Address,
+  Category,
+  CategoryNode,
+  Product,
+  Cart,
+  CheckoutSession,
+  Order: Order_,
+  Payment,
+  Return: Return_,
+  Review,
+  Coupon,
+  ShippingQuote,
+  ShippingZone,
+  TaxRate,
+  Image,
+  StockMovement: StockMovement_,
+  StockAlert,
+  item,
+  list,
+  page,
+};
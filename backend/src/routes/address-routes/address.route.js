@@ -0,0 +1,63 @@
+const express = require('express');
+const { requireAuth } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  createSchema,
+  updateSchema,
+} = require('../../controllers/address-controller/address.controller');
+
+const router = express.Router();
+
+router.use(requireAuth); // address book is per user
+
+router.get(
+  '/',
+  spec({
+    summary: 'My address book, defaults first',
+    response: S.list(S.Address),
+  }),
+  listAddresses,
+); // GET /api/addresses
+router.post(
+  '/',
+  spec({
+    summary: 'Save an address',
+    description:
+      'The first address becomes both default shipping and default billing.',
+    body: createSchema,
+    response: S.item(S.Address),
+    status: 201,
+  }),
+  createAddress,
+); // POST /api/addresses
+router.get(
+  '/:id',
+  spec({ summary: 'Get an address', response: S.item(S.Address) }),
+  getAddress,
+); // GET /api/addresses/:id
+router.patch(
+  '/:id',
+  spec({
+    summary: 'Edit an address or make it a default',
+    body: updateSchema,
+    response: S.item(S.Address),
+  }),
+  updateAddress,
+); // PATCH /api/addresses/:id
+router.delete(
+  '/:id',
+  spec({
+    summary: 'Delete an address',
+    description: 'A removed default passes to the most recent address left.',
+    response: S.Ok,
+  }),
+  deleteAddress,
+); // DELETE /api/addresses/:id
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const {
+  getSales,
+  getTopProducts,
+  getTopCategories,
+  getCustomers,
+  getCancellationsRefunds,
+  seriesQuerySchema,
+  topQuerySchema,
+} = require('../../controllers/analytics-controller/analytics.controller');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('analytics:read')); // sales reports
+
+const int = () => z.number().int();
+const rate = () => z.number().min(0).describe('0..1, 4 decimals');
+
+/** JSON shape of a report; ?format=csv sends just the rows */
+const report = (row, totals) =>
+  z.object({
+    from: z.date(),
+    to: z.date(),
+    rows: z.array(row),
+    ...(totals && { totals }),
+  });
+
+const salesFields = {
+  currency: z.string(),
+  orders: int(),
+  units: int(),
+  revenue: int(),
+  refunded: int(),
+  netRevenue: int(),
+  averageOrderValue: int(),
+};
+
+const cancellationFields = {
+  currency: z.string(),
+  orders: int(),
+  cancelled: int(),
+  returned: int(),
+  paidOrders: int(),
+  refundedOrders: int(),
+  sales: int(),
+  refunded: int(),
+  cancellationRate: rate(),
+  refundRate: rate(),
+  refundedShare: rate(),
+};
+
+const topFields = {
+  currency: z.string(),
+  rank: int(),
+  units: int(),
+  orders: int(),
+  revenue: int().describe('Line totals after discounts, before tax'),
+};
+
+const period = z.string().describe('First day of the period (YYYY-MM-DD)');
+
+const csv = 'Add format=csv to download the rows as CSV.';
+
+router.get(
+  '/sales',
+  spec({
+    summary: 'Revenue, orders and average order value over time',
+    description: `Paid orders only (card once paid, COD once delivered); revenue is grand totals (incl. shipping and tax). ${csv}`,
+    query: seriesQuerySchema,
+    response: report(
+      z.object({ period, ...salesFields }),
+      z.array(z.object(salesFields)),
+    ),
+    produces: 'text/csv',
+  }),
+  getSales,
+); // GET /api/analytics/sales
+router.get(
+  '/top-products',
+  spec({
+    summary: 'Best-selling products',
+    description: `Top \`limit\` per currency. ${csv}`,
+    query: topQuerySchema,
+    response: report(
+      z.object({
+        ...topFields,
+        product: z.string(),
+        slug: z.string(),
+        title: z.string(),
+      }),
+    ),
+    produces: 'text/csv',
+  }),
+  getTopProducts,
+); // GET /api/analytics/top-products
+router.get(
+  '/top-categories',
+  spec({
+    summary: 'Best-selling categories',
+    description: `Top \`limit\` per currency, by the category each line had at checkout. ${csv}`,
+    query: topQuerySchema,
+    response: report(
+      z.object({
+        ...topFields,
+        category: z.string().nullable().describe('null: uncategorized'),
+        slug: z.string().nullable(),
+        name: z.string().nullable(),
+        products: int(),
+      }),
+    ),
+    produces: 'text/csv',
+  }),
+  getTopCategories,
+); // GET /api/analytics/top-categories
+router.get(
+  '/customers',
+  spec({
+    summary: 'New vs returning customers',
+    description: `A customer is new in the period of their first paid order ever. ${csv}`,
+    query: seriesQuerySchema,
+    response: report(
+      z.object({
+        period,
+        customers: int(),
+        newCustomers: int(),
+        returningCustomers: int(),
+        orders: int(),
+        newCustomerOrders: int(),
+        returningCustomerOrders: int(),
+      }),
+      z.object({
+        customers: int(),
+        newCustomers: int(),
+        returningCustomers: int(),
+        orders: int(),
+      }),
+    ),
+    produces: 'text/csv',
+  }),
+  getCustomers,
+); // GET /api/analytics/customers
+router.get(
+  '/cancellations-refunds',
+  spec({
+    summary: 'Cancellation and refund rates',
+    description: `cancellationRate = cancelled / orders; refundRate = paid orders with a refund / paid orders; refundedShare = refunded / sales (paid orders). ${csv}`,
+    query: seriesQuerySchema,
+    response: report(
+      z.object({ period, ...cancellationFields }),
+      z.array(z.object(cancellationFields)),
+    ),
+    produces: 'text/csv',
+  }),
+  getCancellationsRefunds,
+); // GET /api/analytics/cancellations-refunds
+
+module.exports = router;
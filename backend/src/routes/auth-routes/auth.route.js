@@ -1,8 +1,114 @@
 const express = require('express');
-const { login, register } = require('../../controllers/auth/auth.controller');
+const { requireAuth } = require('../../middlewares/auth');
+const { rateLimit } = require('../../middlewares/rate-limit');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  login,
+  register,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotSchema,
+  resetSchema,
+  verifySchema,
+} = require('../../controllers/auth/auth.controller');
 const router = express.Router();
+const authLimit = rateLimit('auth');
+const emailLimit = rateLimit('email');
 
-router.post('/register', register);
-router.post('/login', login);
+router.post(
+  '/register',
+  authLimit,
+  spec({
+    summary: 'Create a customer account and sign in',
+    body: registerSchema,
+    response: S.Session,
+    status: 201,
+  }),
+  register,
+);
+router.post(
+  '/login',
+  authLimit,
+  spec({
+    summary: 'Sign in',
+    description:
+      'Repeated failures lock the account and IP for a growing while (429 LOGIN_LOCKED).',
+    body: loginSchema,
+    response: S.Session,
+  }),
+  login,
+); // + per-account lockout, see login-guard.service.js
+router.post(
+  '/refresh',
+  spec({
+    summary: 'Rotate the refresh token for a new access token',
+    body: refreshSchema,
+    response: S.Session,
+  }),
+  refresh,
+);
+router.post(
+  '/logout',
+  spec({
+    summary: 'End the session of a refresh token',
+    body: refreshSchema,
+    response: S.Ok,
+  }),
+  logout,
+);
+router.post(
+  '/logout-all',
+  requireAuth,
+  spec({ summary: 'End every session on every device', response: S.Ok }),
+  logoutAll,
+);
+
+router.post(
+  '/forgot-password',
+  emailLimit,
+  spec({
+    summary: 'Email a password reset link',
+    description: 'Answers 200 whether or not the account exists.',
+    body: forgotSchema,
+    response: S.Ok,
+  }),
+  forgotPassword,
+);
+router.post(
+  '/reset-password',
+  authLimit,
+  spec({
+    summary: 'Set a new password with an emailed token',
+    body: resetSchema,
+    response: S.Ok,
+  }),
+  resetPassword,
+);
+router.post(
+  '/verify-email/request',
+  requireAuth,
+  emailLimit,
+  spec({ summary: 'Send (again) the email verification link', response: S.Ok }),
+  requestEmailVerification,
+);
+router.post(
+  '/verify-email',
+  authLimit,
+  spec({
+    summary: 'Verify the email address with an emailed token',
+    body: verifySchema,
+    response: S.Ok.extend({ user: S.PublicUser }),
+  }),
+  verifyEmail,
+);
 
 module.exports = router;
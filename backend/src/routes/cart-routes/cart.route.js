@@ -1,21 +1,97 @@
 const express = require('express');
-const { requireAuth } = require('../../middlewares/auth');
+const { optionalAuth } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
 const {
   getCart,
   addItem,
   updateItem,
   removeItem,
   clearCart,
+  applyCoupon,
+  removeCoupon,
+  setCurrency,
+  addSchema,
+  updateSchema,
+  skuQuerySchema,
+  couponSchema,
+  currencySchema,
 } = require('../../controllers/cart-controller/cart.controller');
 
 const router = express.Router();
 
-router.use(requireAuth); // all cart routes require login
+// Logged-in users get their cart; anonymous visitors a guest cart (X-Cart-Token)
+router.use(optionalAuth);
 
-router.get('/', getCart); // GET /api/cart
-router.post('/items', addItem); // POST /api/cart/items
-router.patch('/items/:productSlug', updateItem); // PATCH /api/cart/items/:productSlug
-router.delete('/items/:productSlug', removeItem); // DELETE /api/cart/items/:productSlug
-router.delete('/', clearCart); // DELETE /api/cart
+const GUEST =
+  'Anonymous visitors send the X-Cart-Token header they got back when the cart was created.';
+
+router.get(
+  '/',
+  spec({ summary: 'Get the cart', description: GUEST, response: S.Cart }),
+  getCart,
+); // GET /api/cart
+router.post(
+  '/items',
+  spec({
+    summary: 'Add a product to the cart',
+    description: `Creates a guest cart (and X-Cart-Token response header) if needed. ${GUEST}`,
+    body: addSchema,
+    response: S.Cart,
+    status: 201,
+  }),
+  addItem,
+); // POST /api/cart/items
+router.patch(
+  '/items/:productSlug',
+  spec({
+    summary: 'Change the quantity of a line',
+    description: `sku picks the variant line. ${GUEST}`,
+    query: skuQuerySchema,
+    body: updateSchema,
+    response: S.Cart,
+  }),
+  updateItem,
+); // PATCH /api/cart/items/:productSlug
+router.delete(
+  '/items/:productSlug',
+  spec({
+    summary: 'Remove a product from the cart',
+    description: `Without sku every line of the product is removed. ${GUEST}`,
+    query: skuQuerySchema,
+    response: S.Cart,
+  }),
+  removeItem,
+); // DELETE /api/cart/items/:productSlug
+router.delete(
+  '/',
+  spec({ summary: 'Empty the cart', description: GUEST, response: S.Ok }),
+  clearCart,
+); // DELETE /api/cart
+router.post(
+  '/coupon',
+  spec({
+    summary: 'Apply a coupon',
+    description: GUEST,
+    body: couponSchema,
+    response: S.Cart,
+  }),
+  applyCoupon,
+); // POST /api/cart/coupon
+router.delete(
+  '/coupon',
+  spec({ summary: 'Remove the coupon', description: GUEST, response: S.Cart }),
+  removeCoupon,
+); // DELETE /api/cart/coupon
+router.put(
+  '/currency',
+  spec({
+    summary: 'Switch the cart currency',
+    description: `Every line must have a price in the new currency. ${GUEST}`,
+    body: currencySchema,
+    response: S.Cart,
+  }),
+  setCurrency,
+); // PUT /api/cart/currency
 
 module.exports = router;
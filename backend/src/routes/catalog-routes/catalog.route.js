@@ -0,0 +1,85 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const {
+  importCatalog,
+  exportCatalog,
+  importQuery,
+  exportQuery,
+} = require('../../controllers/catalog-controller/catalog.controller');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('products:write')); // catalog import/export
+
+// CSV bodies arrive as text; JSON is parsed by the app-level parser
+const csvBody = express.text({
+  type: ['text/csv', 'text/plain'],
+  limit: '5mb',
+});
+
+const ImportReport = z.object({
+  dryRun: z.boolean(),
+  ok: z.boolean(),
+  summary: z.object({
+    products: z.number().int(),
+    created: z.number().int(),
+    updated: z.number().int(),
+    failed: z.number().int(),
+  }),
+  results: z.array(
+    z.object({
+      rows: z.array(z.number().int()).describe('Source rows (CSV) or index'),
+      slug: z.string().nullable(),
+      action: z.enum(['create', 'update']).nullable(),
+      errors: z.array(z.string()),
+    }),
+  ),
+});
+
+router.post(
+  '/import',
+  csvBody,
+  spec({
+    summary: 'Import products (CSV or JSON)',
+    description:
+      'Nothing is written if any product has errors (400 IMPORT_FAILED with the report); dryRun only reports. Same formats as the export.',
+    query: importQuery,
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': {
+          schema: {
+            oneOf: [
+              { type: 'array', items: { type: 'object' } },
+              {
+                type: 'object',
+                properties: {
+                  products: { type: 'array', items: { type: 'object' } },
+                },
+                required: ['products'],
+              },
+            ],
+          },
+        },
+      },
+    },
+    response: ImportReport,
+  }),
+  importCatalog,
+); // POST /api/catalog/import
+router.get(
+  '/export',
+  spec({
+    summary: 'Export the catalog as CSV or JSON',
+    description: 'Sent as a download that the import accepts back.',
+    query: exportQuery,
+    produces: 'text/csv',
+    response: z.object({ products: z.array(z.looseObject({})) }),
+  }),
+  exportCatalog,
+); // GET /api/catalog/export
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../../middlewares/auth');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
 const {
   createCategory,
   listCategories,
@@ -8,21 +11,87 @@ const {
   listSubcategories,
   updateCategory,
   deleteCategory,
+  createSchema,
+  updateSchema,
+  deleteQuerySchema,
 } = require('../../controllers/category-controller/category.controller');
 
 const router = express.Router();
+const canEditCatalog = requirePermission('products:write');
 
 /**
  * PUBLIC routes: anyone can read categories
  */
-router.get('/', listCategories);
-router.get('/tree', tree);
-router.get('/:slug', getCategory);
-router.get('/:slug/subcategories', listSubcategories);
+router.get(
+  '/',
+  spec({ summary: 'Active categories (flat)', response: S.list(S.Category) }),
+  listCategories,
+);
+router.get(
+  '/tree',
+  spec({
+    summary: 'Active categories as a tree',
+    response: S.list(S.CategoryNode),
+  }),
+  tree,
+);
+router.get(
+  '/:slug',
+  spec({
+    summary: 'Get a category with its breadcrumbs',
+    response: S.item(S.Category).extend({
+      breadcrumbs: z.array(z.object({ name: z.string(), slug: z.string() })),
+    }),
+  }),
+  getCategory,
+);
+router.get(
+  '/:slug/subcategories',
+  spec({
+    summary: 'Direct children of a category',
+    response: S.list(S.Category),
+  }),
+  listSubcategories,
+);
 
 // ADMIN
-router.post('/', requireAuth, requireAdmin, createCategory); // can create subcategory using parentSlug
-router.patch('/:slug', requireAuth, requireAdmin, updateCategory); // can move under parent or top-level
-router.delete('/:slug', requireAuth, requireAdmin, deleteCategory);
+router.post(
+  '/',
+  requireAuth,
+  canEditCatalog,
+  spec({
+    summary: 'Create a category',
+    description: 'With parentSlug it becomes a subcategory.',
+    body: createSchema,
+    response: S.item(S.Category),
+    status: 201,
+  }),
+  createCategory,
+); // can create subcategory using parentSlug
+router.patch(
+  '/:slug',
+  requireAuth,
+  canEditCatalog,
+  spec({
+    summary: 'Update, move or deactivate a category',
+    description:
+      'parentSlug null moves it to the top level. Deactivating a category with active children needs children.',
+    body: updateSchema,
+    response: S.item(S.Category),
+  }),
+  updateCategory,
+); // can move under parent or top-level
+router.delete(
+  '/:slug',
+  requireAuth,
+  canEditCatalog,
+  spec({
+    summary: 'Deactivate a category (soft delete)',
+    description: 'children is required when it has active subcategories.',
+    query: deleteQuerySchema,
+    response: S.Ok,
+  }),
+  deleteCategory,
+);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth } = require('../../middlewares/auth');
+const { rateLimit } = require('../../middlewares/rate-limit');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  startCheckout,
+  getCheckout,
+  cancelCheckout,
+} = require('../../controllers/checkout-controller/checkout.controller');
+
+const router = express.Router();
+const SessionResponse = z.object({ session: S.CheckoutSession });
+
+router.use(requireAuth);
+
+router.post(
+  '/session',
+  rateLimit('checkout'),
+  spec({
+    summary: "Hold the cart's stock while checking out",
+    description: 'Calling it again restarts the hold with the current cart.',
+    response: SessionResponse,
+    status: 201,
+  }),
+  startCheckout,
+); // POST /api/checkout/session (reserve cart stock)
+router.get(
+  '/session',
+  spec({ summary: 'The active stock hold', response: SessionResponse }),
+  getCheckout,
+); // GET /api/checkout/session
+router.delete(
+  '/session',
+  spec({ summary: 'Release the stock hold', response: S.Ok }),
+  cancelCheckout,
+); // DELETE /api/checkout/session (release)
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  listQuerySchema,
+  baseSchema,
+  updateSchema,
+} = require('../../controllers/coupon-controller/coupon.controller');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('coupons:manage')); // coupon management is staff only
+
+router.get(
+  '/',
+  spec({
+    summary: 'List coupons',
+    query: listQuerySchema,
+    response: S.list(S.Coupon),
+  }),
+  listCoupons,
+); // GET /api/coupons
+router.post(
+  '/',
+  spec({
+    summary: 'Create a coupon',
+    body: baseSchema,
+    response: S.item(S.Coupon),
+    status: 201,
+  }),
+  createCoupon,
+); // POST /api/coupons
+router.get(
+  '/:code',
+  spec({ summary: 'Get a coupon', response: S.item(S.Coupon) }),
+  getCoupon,
+); // GET /api/coupons/:code
+router.patch(
+  '/:code',
+  spec({
+    summary: 'Update a coupon (not its code)',
+    body: updateSchema,
+    response: S.item(S.Coupon),
+  }),
+  updateCoupon,
+); // PATCH /api/coupons/:code
+router.delete(
+  '/:code',
+  spec({ summary: 'Deactivate a coupon (soft delete)', response: S.Ok }),
+  deleteCoupon,
+); // DELETE /api/coupons/:code (soft)
+
+module.exports = router;
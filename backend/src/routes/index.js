@@ -1,15 +1,69 @@
 const express = require('express');
+const swaggerUi = require('swagger-ui-express');
 const authRoutes = require('./auth-routes/auth.route');
+const userRoutes = require('./user-routes/user.route');
 const productRoutes = require('./product-routes/product.route');
+const reviewRoutes = require('./review-routes/review.route');
 const categoryRoutes = require('./category-routes/category.routes');
 const cartRoutes = require('./cart-routes/cart.route');
 const orderRoutes = require('./order-route/order.route');
+const couponRoutes = require('./coupon-routes/coupon.route');
+const addressRoutes = require('./address-routes/address.route');
+const returnRoutes = require('./return-routes/return.route');
+const paymentRoutes = require('./payment-routes/payment.route');
+const shippingRoutes = require('./shipping-routes/shipping.route');
+const taxRoutes = require('./tax-routes/tax.route');
+const checkoutRoutes = require('./checkout-routes/checkout.route');
+const inventoryRoutes = require('./inventory-routes/inventory.route');
+const catalogRoutes = require('./catalog-routes/catalog.route');
+const uploadRoutes = require('./upload-routes/upload.route');
+const analyticsRoutes = require('./analytics-routes/analytics.route');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { buildSpec } = require('../openapi');
+
+/**
+ * Every router mounted under /api. The OpenAPI document is generated from
+ * this table, so mount routers here rather than inside other routers.
+ */
+const ROUTES = [
+  { path: '/auth', router: authRoutes, tag: 'Auth' },
+  { path: '/users', router: userRoutes, tag: 'Users' },
+  { path: '/products', router: productRoutes, tag: 'Products' },
+  { path: '/products/:slug/reviews', router: reviewRoutes, tag: 'Reviews' },
+  { path: '/categories', router: categoryRoutes, tag: 'Categories' },
+  { path: '/cart', router: cartRoutes, tag: 'Cart' },
+  { path: '/orders', router: orderRoutes, tag: 'Orders' },
+  { path: '/coupons', router: couponRoutes, tag: 'Coupons' },
+  { path: '/addresses', router: addressRoutes, tag: 'Addresses' },
+  { path: '/returns', router: returnRoutes, tag: 'Returns' },
+  { path: '/payments', router: paymentRoutes, tag: 'Payments' },
+  { path: '/shipping', router: shippingRoutes, tag: 'Shipping' },
+  { path: '/tax', router: taxRoutes, tag: 'Tax' },
+  { path: '/checkout', router: checkoutRoutes, tag: 'Checkout' },
+  { path: '/inventory', router: inventoryRoutes, tag: 'Inventory' },
+  { path: '/catalog', router: catalogRoutes, tag: 'Catalog' },
+  { path: '/uploads', router: uploadRoutes, tag: 'Uploads' },
+  { path: '/analytics', router: analyticsRoutes, tag: 'Analytics' },
+];
 
 const router = express.Router();
-router.use('/auth', authRoutes);
-router.use('/products', productRoutes);
-router.use('/categories', categoryRoutes);
-router.use('/cart', cartRoutes);
-router.use('/orders', orderRoutes);
+// Stripe's webhook deliveries come in bursts from a few IPs
+router.use(
+  rateLimit('api', { skip: (req) => req.path === '/payments/webhook' }),
+);
+
+// API description, built on first request
+let openapi;
+router.get('/openapi.json', (_req, res) => {
+  openapi ??= buildSpec(ROUTES);
+  res.json(openapi);
+}); // GET /api/openapi.json
+router.use(
+  '/docs',
+  swaggerUi.serve,
+  swaggerUi.setup(null, { swaggerOptions: { url: '/api/openapi.json' } }),
+); // GET /api/docs
+
+for (const { path, router: routes } of ROUTES) router.use(path, routes);
 
 module.exports = router;
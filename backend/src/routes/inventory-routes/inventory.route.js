@@ -0,0 +1,63 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  createAdjustment,
+  listMovements,
+  listAlerts,
+  adjustSchema,
+  movementsQuerySchema,
+  alertsQuerySchema,
+} = require('../../controllers/inventory-controller/inventory.controller');
+
+const router = express.Router();
+
+router.use(requireAuth); // inventory is staff only
+
+const canRead = requirePermission('inventory:read');
+const canWrite = requirePermission('inventory:write');
+
+router.get(
+  '/alerts',
+  canRead,
+  spec({
+    summary: 'Low-stock alerts',
+    query: alertsQuerySchema,
+    response: S.list(S.StockAlert),
+  }),
+  listAlerts,
+); // GET /api/inventory/alerts
+router.post(
+  '/:slug/adjustments',
+  canWrite,
+  spec({
+    summary: 'Adjust stock',
+    description:
+      'delta is signed (+restock, -shrinkage); sku is required for products with variants.',
+    body: adjustSchema,
+    response: S.item(S.StockMovement),
+    status: 201,
+  }),
+  createAdjustment,
+); // POST /api/inventory/:slug/adjustments
+router.get(
+  '/:slug/movements',
+  canRead,
+  spec({
+    summary: 'Stock movement history of a product',
+    query: movementsQuerySchema,
+    response: S.page(S.StockMovement, {
+      product: z.object({
+        slug: z.string(),
+        title: z.string(),
+        stock: z.number().int(),
+      }),
+      pages: z.number().int(),
+    }),
+  }),
+  listMovements,
+); // GET /api/inventory/:slug/movements
+
+module.exports = router;
@@ -1,5 +1,13 @@
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../../middlewares/auth');
+const { z } = require('zod');
+const {
+  requireAuth,
+  requirePermission,
+  requireVerifiedEmail,
+} = require('../../middlewares/auth');
+const { rateLimit } = require('../../middlewares/rate-limit');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
 const {
   createOrder,
   myOrders,
@@ -7,18 +15,102 @@ const {
   listAllOrders,
   updateOrderStatus,
   cancelMyOrder,
+  createOrderSchema,
+  adminQuerySchema,
+  updateStatusSchema,
 } = require('../../controllers/order-controller/order.controller');
+const {
+  requestReturn,
+  requestSchema,
+} = require('../../controllers/return-controller/return.controller');
 
 const router = express.Router();
+const OrderResponse = z.object({ order: S.Order });
 
 // User
-router.post('/', requireAuth, createOrder); // POST /api/orders
-router.get('/', requireAuth, myOrders); // GET  /api/orders
-router.get('/:id', requireAuth, getOrder); // GET  /api/orders/:id
-router.delete('/:id', requireAuth, cancelMyOrder); // DELETE /api/orders/:id (cancel if pending+unpaid)
+router.post(
+  '/',
+  requireAuth,
+  rateLimit('checkout'),
+  requireVerifiedEmail,
+  spec({
+    summary: 'Place an order from the cart',
+    description:
+      'Card orders also return a Stripe PaymentIntent client secret to confirm the payment with.',
+    body: createOrderSchema,
+    response: OrderResponse.extend({
+      payment: z
+        .object({ intentId: z.string(), clientSecret: z.string() })
+        .optional(),
+    }),
+    status: 201,
+  }),
+  createOrder,
+); // POST /api/orders
+router.get(
+  '/',
+  requireAuth,
+  spec({ summary: 'My orders', response: S.list(S.Order) }),
+  myOrders,
+); // GET  /api/orders
+router.get(
+  '/:id',
+  requireAuth,
+  spec({
+    summary: 'Get an order (owner or staff with orders:read)',
+    response: OrderResponse,
+  }),
+  getOrder,
+); // GET  /api/orders/:id
+router.delete(
+  '/:id',
+  requireAuth,
+  spec({
+    summary: 'Cancel my order',
+    description:
+      'Only while pending and unpaid (or the card payment failed). Staff with orders:write can cancel any order.',
+    response: S.Ok,
+  }),
+  cancelMyOrder,
+); // DELETE /api/orders/:id (cancel if pending+unpaid)
+router.post(
+  '/:id/returns',
+  requireAuth,
+  spec({
+    summary: 'Request a return',
+    description:
+      'Delivered orders only, within the return window. Without items everything not yet returned is requested.',
+    body: requestSchema,
+    response: S.item(S.Return),
+    status: 201,
+  }),
+  requestReturn,
+); // POST /api/orders/:id/returns (delivered, within window)
 
-// Admin
-router.get('/admin/all', requireAuth, requireAdmin, listAllOrders); // GET /api/orders/admin/all
-router.patch('/:id/status', requireAuth, requireAdmin, updateOrderStatus); // PATCH /api/orders/:id/status
+// Staff
+router.get(
+  '/admin/all',
+  requireAuth,
+  requirePermission('orders:read'),
+  spec({
+    summary: 'All orders',
+    query: adminQuerySchema,
+    response: S.list(S.Order),
+  }),
+  listAllOrders,
+); // GET /api/orders/admin/all
+router.patch(
+  '/:id/status',
+  requireAuth,
+  requirePermission('orders:write'),
+  spec({
+    summary: 'Move an order along its lifecycle',
+    description:
+      'status and/or paymentStatus must be an allowed next step. Cancelling restores stock and refunds a paid order (needs orders:refund). The refund payment states and "returned" are set by refunds and received returns only.',
+    body: updateStatusSchema,
+    response: OrderResponse,
+  }),
+  updateOrderStatus,
+); // PATCH /api/orders/:id/status
 
 module.exports = router;
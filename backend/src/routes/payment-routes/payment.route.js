@@ -0,0 +1,49 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  stripeWebhook,
+  getOrderPayment,
+} = require('../../controllers/payment-controller/payment.controller');
+
+const router = express.Router();
+
+router.post(
+  '/webhook',
+  spec({
+    summary: 'Stripe webhook',
+    description:
+      'Called by Stripe; the Stripe-Signature header is checked against the raw body. Not rate limited.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { type: 'object', description: 'Stripe event' },
+        },
+      },
+    },
+    response: z.object({ received: z.literal(true) }),
+  }),
+  stripeWebhook,
+); // POST /api/payments/webhook (Stripe-signed, no JWT)
+router.get(
+  '/orders/:orderId',
+  requireAuth,
+  spec({
+    summary: 'Payment state of an order',
+    description:
+      'Owner or staff with orders:read. Returns the clientSecret again so the client can resume confirmation.',
+    response: z.object({
+      payment: S.Payment,
+      clientSecret: z
+        .string()
+        .optional()
+        .describe('Owner only, while the payment is pending or failed'),
+    }),
+  }),
+  getOrderPayment,
+); // GET /api/payments/orders/:orderId
+
+module.exports = router;
@@ -1,20 +1,72 @@
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../../middlewares/auth');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
 const {
   listProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
+  listQuerySchema,
+  createSchema,
+  updateSchema,
 } = require('../../controllers/product-controller/product.controller');
 
 const router = express.Router();
+const canEdit = requirePermission('products:write');
 
-router.get('/', listProducts);
-router.get('/:slug', getProduct);
+router.get(
+  '/',
+  spec({
+    summary: 'Search and list products',
+    description:
+      'Page with page/limit, or keyset-page with cursor=<nextCursor> (not with sort=relevance). minPrice/maxPrice and the price sorts use the lowest active-variant or price-list price in currency (default: the base currency) and leave out products not sold in it. inStock counts stock minus active checkout reservations, like available.',
+    query: listQuerySchema,
+    response: S.page(S.Product, {
+      pages: z.number().int(),
+      hasMore: z.boolean(),
+      nextCursor: z.string().nullable(),
+    }),
+  }),
+  listProducts,
+);
+router.get(
+  '/:slug',
+  spec({ summary: 'Get a product', response: S.item(S.Product) }),
+  getProduct,
+);
 
-router.post('/', requireAuth, requireAdmin, createProduct);
-router.patch('/:slug', requireAuth, requireAdmin, updateProduct);
-router.delete('/:slug', requireAuth, requireAdmin, deleteProduct);
+router.post(
+  '/',
+  requireAuth,
+  canEdit,
+  spec({
+    summary: 'Create a product',
+    body: createSchema,
+    response: S.item(S.Product),
+    status: 201,
+  }),
+  createProduct,
+);
+router.patch(
+  '/:slug',
+  requireAuth,
+  canEdit,
+  spec({
+    summary: 'Update a product',
+    body: updateSchema,
+    response: S.item(S.Product),
+  }),
+  updateProduct,
+);
+router.delete(
+  '/:slug',
+  requireAuth,
+  canEdit,
+  spec({ summary: 'Deactivate a product (soft delete)', response: S.Ok }),
+  deleteProduct,
+);
 
 module.exports = router;
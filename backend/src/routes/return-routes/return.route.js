@@ -0,0 +1,100 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  myReturns,
+  getReturn,
+  listAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  adminQuerySchema,
+  noteSchema,
+  receiveSchema,
+  refundSchema,
+} = require('../../controllers/return-controller/return.controller');
+
+const router = express.Router();
+
+// User (requests are created via POST /api/orders/:id/returns)
+router.get(
+  '/',
+  requireAuth,
+  spec({ summary: 'My returns', response: S.list(S.Return) }),
+  myReturns,
+); // GET /api/returns
+router.get(
+  '/:id',
+  requireAuth,
+  spec({
+    summary: 'Get a return (owner or returns staff)',
+    response: S.item(S.Return),
+  }),
+  getReturn,
+); // GET /api/returns/:id
+
+// Staff
+const canManage = requirePermission('returns:manage');
+router.get(
+  '/admin/all',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'All returns',
+    query: adminQuerySchema,
+    response: S.list(S.Return),
+  }),
+  listAllReturns,
+); // GET /api/returns/admin/all
+router.patch(
+  '/:id/approve',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'Approve a return request',
+    body: noteSchema,
+    response: S.item(S.Return),
+  }),
+  approveReturn,
+);
+router.patch(
+  '/:id/reject',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'Reject a return request',
+    body: noteSchema,
+    response: S.item(S.Return),
+  }),
+  rejectReturn,
+);
+router.post(
+  '/:id/receive',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'Record the returned units',
+    description:
+      'Without items everything is received and restocked. The order becomes "returned" once every unit is back.',
+    body: receiveSchema,
+    response: S.item(S.Return),
+  }),
+  receiveReturn,
+);
+router.post(
+  '/:id/refund',
+  requireAuth,
+  requirePermission('orders:refund'),
+  spec({
+    summary: 'Refund a return',
+    description:
+      'Defaults to the value of the returned items. Card orders are refunded through Stripe, cash on delivery is recorded as manual.',
+    body: refundSchema,
+    response: S.item(S.Return).extend({ order: S.Order }),
+  }),
+  refundReturn,
+);
+
+module.exports = router;
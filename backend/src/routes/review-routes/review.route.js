@@ -0,0 +1,104 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  listAllReviews,
+  hideReview,
+  approveReview,
+  listQuerySchema,
+  adminQuerySchema,
+  createSchema,
+  updateSchema,
+  moderateSchema,
+} = require('../../controllers/review-controller/review.controller');
+
+// Mounted at /api/products/:slug/reviews (routes/index.js); keep :slug
+const router = express.Router({ mergeParams: true });
+
+router.get(
+  '/',
+  spec({
+    summary: "A product's approved reviews",
+    query: listQuerySchema,
+    response: S.page(S.Review, {
+      ratingAverage: z.number(),
+      ratingCount: z.number().int(),
+    }),
+  }),
+  listReviews,
+); // GET /api/products/:slug/reviews
+router.post(
+  '/',
+  requireAuth,
+  spec({
+    summary: 'Review a product',
+    description: 'One review per user and product.',
+    body: createSchema,
+    response: S.item(S.Review),
+    status: 201,
+  }),
+  createReview,
+); // POST /api/products/:slug/reviews
+router.patch(
+  '/:id',
+  requireAuth,
+  spec({
+    summary: 'Edit own review',
+    body: updateSchema,
+    response: S.item(S.Review),
+  }),
+  updateReview,
+); // PATCH /api/products/:slug/reviews/:id
+router.delete(
+  '/:id',
+  requireAuth,
+  spec({
+    summary: 'Delete a review (author or moderator)',
+    response: S.Ok,
+  }),
+  deleteReview,
+); // DELETE /api/products/:slug/reviews/:id (author or moderator)
+
+// Moderation
+const canModerate = requirePermission('reviews:moderate');
+router.get(
+  '/admin/all',
+  requireAuth,
+  canModerate,
+  spec({
+    summary: 'All reviews of a product, incl. hidden',
+    query: adminQuerySchema,
+    response: S.list(S.Review),
+  }),
+  listAllReviews,
+);
+router.patch(
+  '/:id/hide',
+  requireAuth,
+  canModerate,
+  spec({
+    summary: 'Hide a review',
+    body: moderateSchema,
+    response: S.item(S.Review),
+  }),
+  hideReview,
+);
+router.patch(
+  '/:id/approve',
+  requireAuth,
+  canModerate,
+  spec({
+    summary: 'Approve a hidden review',
+    body: moderateSchema,
+    response: S.item(S.Review),
+  }),
+  approveReview,
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  getQuote,
+  listZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  quoteQuerySchema,
+  listQuerySchema,
+  zoneSchema,
+  updateSchema,
+} = require('../../controllers/shipping-controller/shipping.controller');
+
+const router = express.Router();
+const canManage = requirePermission('settings:manage');
+
+router.get(
+  '/quote',
+  requireAuth,
+  spec({
+    summary: 'Shipping options for the cart',
+    description:
+      'Address: addressId, or country/state/postalCode, or the default shipping address. Fees are in the cart currency.',
+    query: quoteQuerySchema,
+    response: S.ShippingQuote,
+  }),
+  getQuote,
+); // GET /api/shipping/quote
+
+// Zone management (admin)
+router.get(
+  '/zones',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'List shipping zones',
+    query: listQuerySchema,
+    response: S.list(S.ShippingZone),
+  }),
+  listZones,
+); // GET /api/shipping/zones
+router.post(
+  '/zones',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'Create a shipping zone',
+    body: zoneSchema,
+    response: S.item(S.ShippingZone),
+    status: 201,
+  }),
+  createZone,
+); // POST /api/shipping/zones
+router.get(
+  '/zones/:id',
+  requireAuth,
+  canManage,
+  spec({ summary: 'Get a shipping zone', response: S.item(S.ShippingZone) }),
+  getZone,
+); // GET /api/shipping/zones/:id
+router.patch(
+  '/zones/:id',
+  requireAuth,
+  canManage,
+  spec({
+    summary: 'Update a shipping zone',
+    description: '`methods` replaces the whole list.',
+    body: updateSchema,
+    response: S.item(S.ShippingZone),
+  }),
+  updateZone,
+); // PATCH /api/shipping/zones/:id
+router.delete(
+  '/zones/:id',
+  requireAuth,
+  canManage,
+  spec({ summary: 'Deactivate a shipping zone (soft delete)', response: S.Ok }),
+  deleteZone,
+); // DELETE /api/shipping/zones/:id (soft)
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  listRates,
+  getRate,
+  createRate,
+  updateRate,
+  deleteRate,
+  listQuerySchema,
+  rateSchema,
+  updateSchema,
+} = require('../../controllers/tax-controller/tax.controller');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('settings:manage')); // tax configuration is staff only
+
+router.get(
+  '/rates',
+  spec({
+    summary: 'List tax rates',
+    query: listQuerySchema,
+    response: S.list(S.TaxRate).extend({
+      pricesIncludeTax: z
+        .boolean()
+        .describe('Whether catalog prices include tax'),
+    }),
+  }),
+  listRates,
+); // GET /api/tax/rates
+router.post(
+  '/rates',
+  spec({
+    summary: 'Create a tax rate for a country or state',
+    body: rateSchema,
+    response: S.item(S.TaxRate),
+    status: 201,
+  }),
+  createRate,
+); // POST /api/tax/rates
+router.get(
+  '/rates/:id',
+  spec({ summary: 'Get a tax rate', response: S.item(S.TaxRate) }),
+  getRate,
+); // GET /api/tax/rates/:id
+router.patch(
+  '/rates/:id',
+  spec({
+    summary: 'Update a tax rate',
+    body: updateSchema,
+    response: S.item(S.TaxRate),
+  }),
+  updateRate,
+); // PATCH /api/tax/rates/:id
+router.delete(
+  '/rates/:id',
+  spec({ summary: 'Delete a tax rate', response: S.Ok }),
+  deleteRate,
+); // DELETE /api/tax/rates/:id
+
+module.exports = router;
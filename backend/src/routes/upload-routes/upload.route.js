@@ -0,0 +1,55 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { imageUpload } = require('../../middlewares/upload');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  uploadImages,
+  deleteImage,
+} = require('../../controllers/upload-controller/upload.controller');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission('products:write')); // product images
+
+router.post(
+  '/images',
+  imageUpload,
+  spec({
+    summary: 'Upload product images',
+    description:
+      "Put the returned `url`s in a product's images to use them; unused uploads are cleaned up.",
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              images: {
+                type: 'array',
+                items: { type: 'string', format: 'binary' },
+                maxItems: 10,
+              },
+            },
+            required: ['images'],
+          },
+        },
+      },
+    },
+    response: S.list(S.Image),
+    status: 201,
+  }),
+  uploadImages,
+); // POST /api/uploads/images
+router.delete(
+  '/images/:id',
+  spec({
+    summary: 'Delete an uploaded image',
+    description: 'Only images no product uses (409 otherwise).',
+    response: S.Ok,
+  }),
+  deleteImage,
+); // DELETE /api/uploads/images/:id
+
+module.exports = router;
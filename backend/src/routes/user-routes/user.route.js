@@ -0,0 +1,122 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth, requirePermission } = require('../../middlewares/auth');
+const { spec } = require('../../middlewares/spec');
+const S = require('../../openapi/schemas');
+const {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  listUsers,
+  getUser,
+  listRoles,
+  updateUserRole,
+  updateUserStatus,
+  updateMeSchema,
+  changePasswordSchema,
+  deleteMeSchema,
+  listQuerySchema,
+  roleSchema,
+  statusSchema,
+} = require('../../controllers/user-controller/userController');
+
+const router = express.Router();
+const UserResponse = z.object({ user: S.User });
+
+router.use(requireAuth); // every user route needs a valid token
+
+// Own account
+router.get(
+  '/me',
+  spec({ summary: 'Own account', response: UserResponse }),
+  getMe,
+); // GET /api/users/me
+router.patch(
+  '/me',
+  spec({
+    summary: 'Update own name / email',
+    description: 'A new email address must be verified again.',
+    body: updateMeSchema,
+    response: UserResponse,
+  }),
+  updateMe,
+); // PATCH /api/users/me
+router.patch(
+  '/me/password',
+  spec({
+    summary: 'Change own password',
+    description:
+      'Signs out every device and returns a fresh session for this one.',
+    body: changePasswordSchema,
+    response: S.Ok.extend({ token: z.string(), refreshToken: z.string() }),
+  }),
+  changePassword,
+); // PATCH /api/users/me/password
+router.delete(
+  '/me',
+  spec({
+    summary: 'Delete own account',
+    description:
+      'Needs the password; the last account able to assign roles cannot be deleted (409).',
+    body: deleteMeSchema,
+    response: S.Ok,
+  }),
+  deleteMe,
+); // DELETE /api/users/me
+
+// Staff
+router.get(
+  '/',
+  requirePermission('users:read'),
+  spec({
+    summary: 'List accounts',
+    query: listQuerySchema,
+    response: S.page(S.User),
+  }),
+  listUsers,
+); // GET /api/users?q=&role=&disabled=
+router.get(
+  '/roles',
+  requirePermission('roles:assign'),
+  spec({
+    summary: 'Roles and the permissions they grant',
+    response: z.object({
+      permissions: z.record(z.string(), z.string()),
+      roles: z.array(
+        z.object({ name: z.string(), permissions: z.array(z.string()) }),
+      ),
+    }),
+  }),
+  listRoles,
+); // GET /api/users/roles
+router.get(
+  '/:id',
+  requirePermission('users:read'),
+  spec({ summary: 'Get an account', response: UserResponse }),
+  getUser,
+); // GET /api/users/:id
+router.patch(
+  '/:id/role',
+  requirePermission('roles:assign'),
+  spec({
+    summary: "Change an account's role",
+    description:
+      'Not your own; the last account able to assign roles cannot be demoted (409).',
+    body: roleSchema,
+    response: UserResponse,
+  }),
+  updateUserRole,
+); // PATCH /api/users/:id/role
+router.patch(
+  '/:id/status',
+  requirePermission('users:write'),
+  spec({
+    summary: 'Disable / re-enable an account',
+    body: statusSchema,
+    response: UserResponse,
+  }),
+  updateUserStatus,
+); // PATCH /api/users/:id/status
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Delete uploaded images no product uses. Uploads get a grace period
+ * (default 24h) so an admin can upload first and save the product later.
+ * Usage: npm run cleanup:images [-- <hours>]
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { pruneOrphanImages } = require('../services/image.service');
+
+(async () => {
+  const hours = Number(process.argv[2]) || 24;
+  await connectDB();
+  const removed = await pruneOrphanImages(
+    new Date(Date.now() - hours * 60 * 60 * 1000),
+  );
+  console.log(`✅ Removed ${removed} orphaned image(s) older than ${hours}h`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,35 @@
+/**
+ * One-off migration for shipping zones and tax rates: saved addresses get
+ * their country as the ISO 3166-1 alpha-2 code ("Pakistan", "pk" -> "PK").
+ * Countries it can't recognise are listed and left as they are; those
+ * addresses need editing before checkout finds a zone or tax rate for them.
+ * Safe to re-run.
+ * Usage: npm run migrate:address-countries
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Address = require('../models/address.model');
+const { toCountryCode } = require('../services/country.service');
+
+(async () => {
+  await connectDB();
+  const addresses = await Address.find().select('country').lean();
+
+  const ops = [];
+  const unknown = new Set();
+  for (const a of addresses) {
+    const code = toCountryCode(a.country);
+    if (!code) unknown.add(a.country);
+    else if (code !== a.country)
+      ops.push({
+        updateOne: { filter: { _id: a._id }, update: { country: code } },
+      });
+  }
+  const result =
+    ops.length > 0 ? await Address.bulkWrite(ops) : { modifiedCount: 0 };
+
+  console.log(`✅ ${result.modifiedCount} addresses got ISO country codes`);
+  if (unknown.size > 0)
+    console.warn(`⚠️ Unrecognised countries: ${[...unknown].join(', ')}`);
+  await mongoose.disconnect();
+})();
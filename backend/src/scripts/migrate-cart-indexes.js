@@ -0,0 +1,18 @@
+/**
+ * One-off migration for guest carts: the old `user_1` index was unique but
+ * not sparse, so it would reject a second cart without a user. Rebuilds
+ * the cart indexes from cart.model.js (sparse user/tokenHash, TTL).
+ * Usage: npm run migrate:cart-indexes
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Cart = require('../models/cart.model');
+
+(async () => {
+  await connectDB();
+  const dropped = await Cart.syncIndexes();
+  console.log(
+    `✅ Cart indexes synced (dropped: ${dropped.join(', ') || 'none'})`,
+  );
+  await mongoose.disconnect();
+})();
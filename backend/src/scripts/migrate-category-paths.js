@@ -0,0 +1,40 @@
+/**
+ * One-off migration for the category tree: fill `ancestors` on every
+ * category from its parent links. Safe to re-run.
+ * Usage: npm run migrate:category-paths
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Category = require('../models/category.model');
+
+(async () => {
+  await connectDB();
+  const all = await Category.find().select('parent').lean();
+  const parentOf = new Map(all.map((c) => [String(c._id), c.parent]));
+
+  const ops = [];
+  const broken = [];
+  for (const c of all) {
+    const path = [];
+    const seen = new Set([String(c._id)]);
+    let p = c.parent;
+    while (p) {
+      if (seen.has(String(p))) {
+        broken.push(String(c._id)); // cycle in existing data
+        break;
+      }
+      seen.add(String(p));
+      path.unshift(p);
+      p = parentOf.get(String(p)) ?? null;
+    }
+    ops.push({
+      updateOne: { filter: { _id: c._id }, update: { ancestors: path } },
+    });
+  }
+  if (ops.length > 0) await Category.bulkWrite(ops);
+
+  console.log(`✅ ${ops.length} category paths rebuilt`);
+  if (broken.length > 0)
+    console.warn(`⚠️ Cycles found, fix parents of: ${broken.join(', ')}`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,169 @@
+/**
+ * One-off migration to integer minor units: every stored amount was a
+ * decimal in the base currency (CURRENCY); multiply by its minor-unit
+ * factor and stamp the currency. Documents that already have a `currency`
+ * are skipped, so it is safe to re-run. Run it with the API stopped.
+ * Usage: npm run migrate:money
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const env = require('../config/env');
+const Product = require('../models/product.model');
+const Coupon = require('../models/coupon.model');
+const ShippingZone = require('../models/shipping-zone.model');
+const Order = require('../models/order.model');
+const Return = require('../models/return.model');
+const { minorFactor } = require('../services/money.service');
+
+const currency = env.CURRENCY;
+const factor = minorFactor(currency);
+
+/** Aggregation expression: field * factor, rounded; null/missing -> `missing` */
+const scale = (expr, missing = null) => ({
+  $cond: [
+    { $eq: [{ $ifNull: [expr, null] }, null] },
+    missing,
+    { $round: [{ $multiply: [expr, factor] }, 0] },
+  ],
+});
+
+/** Scale `fields` of every element of the array at `path` */
+const scaleEach = (path, fields, missing = null) => ({
+  $map: {
+    input: { $ifNull: [`$${path}`, []] },
+    as: 'x',
+    in: {
+      $mergeObjects: [
+        '$$x',
+        Object.fromEntries(fields.map((f) => [f, scale(`$$x.${f}`, missing)])),
+      ],
+    },
+  },
+});
+
+/** Merge `values` into the subdocument at `path`; null/missing stays null */
+const mergeInto = (path, values) => ({
+  $cond: [
+    { $eq: [{ $ifNull: [`$${path}`, null] }, null] },
+    null,
+    { $mergeObjects: [`$${path}`, values] },
+  ],
+});
+
+const unmigrated = { currency: { $exists: false } };
+
+(async () => {
+  await connectDB();
+
+  const products = await Product.collection.updateMany(unmigrated, [
+    {
+      $set: {
+        currency,
+        price: scale('$price'),
+        variants: scaleEach('variants', ['price']),
+      },
+    },
+  ]);
+
+  const coupons = await Coupon.collection.updateMany(unmigrated, [
+    {
+      $set: {
+        currency,
+        value: {
+          $cond: [{ $eq: ['$type', 'fixed'] }, scale('$value'), '$value'],
+        },
+        maxDiscount: scale('$maxDiscount'),
+        minSubtotal: scale('$minSubtotal'),
+      },
+    },
+  ]);
+
+  const zones = await ShippingZone.collection.updateMany(unmigrated, [
+    {
+      $set: {
+        currency,
+        methods: {
+          $map: {
+            input: { $ifNull: ['$methods', []] },
+            as: 'm',
+            in: {
+              $mergeObjects: [
+                '$$m',
+                {
+                  flatRate: scale('$$m.flatRate'),
+                  freeShippingThreshold: scale('$$m.freeShippingThreshold'),
+                  tiers: {
+                    $map: {
+                      input: { $ifNull: ['$$m.tiers', []] },
+                      as: 't',
+                      in: {
+                        // subtotal tiers start at an amount, weight tiers at grams
+                        min: {
+                          $cond: [
+                            { $eq: ['$$m.rateType', 'subtotal'] },
+                            scale('$$t.min'),
+                            '$$t.min',
+                          ],
+                        },
+                        rate: scale('$$t.rate'),
+                      },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+  ]);
+
+  // Returns hang off orders, so migrate them with their (unmigrated) order
+  const orderIds = await Order.collection.distinct('_id', unmigrated);
+  const returns = await Return.collection.updateMany(
+    { order: { $in: orderIds } },
+    [
+      {
+        $set: {
+          items: scaleEach('items', ['unitPrice']),
+          refund: mergeInto('refund', { amount: scale('$refund.amount') }),
+        },
+      },
+    ],
+  );
+
+  const orders = await Order.collection.updateMany({ _id: { $in: orderIds } }, [
+    {
+      $set: {
+        currency,
+        // older orders lack some fields; they default to 0
+        items: scaleEach('items', ['price', 'lineTotal', 'discount', 'tax'], 0),
+        subtotal: scale('$subtotal', 0),
+        discount: scale('$discount', 0),
+        shippingFee: scale('$shippingFee', 0),
+        tax: scale('$tax', 0),
+        shippingTax: scale('$shippingTax', 0),
+        grandTotal: scale('$grandTotal', 0),
+        refundedTotal: scale('$refundedTotal', 0),
+        shipping: mergeInto('shipping', { fee: scale('$shipping.fee') }),
+        coupon: mergeInto('coupon', {
+          value: {
+            $cond: [
+              { $eq: ['$coupon.type', 'fixed'] },
+              scale('$coupon.value'),
+              '$coupon.value',
+            ],
+          },
+        }),
+      },
+    },
+  ]);
+
+  console.log(
+    `✅ Money migrated to minor units (${currency} x${factor}): ` +
+      `${products.modifiedCount} products, ${coupons.modifiedCount} coupons, ` +
+      `${zones.modifiedCount} zones, ${orders.modifiedCount} orders, ` +
+      `${returns.modifiedCount} returns`,
+  );
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,31 @@
+/**
+ * One-off migration for sales reports: order lines placed before lines
+ * snapshotted their product's category get the product's current one
+ * (the best we know). Lines that already have a category are left alone,
+ * so it is safe to re-run.
+ * Usage: npm run migrate:order-categories
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product.model');
+
+(async () => {
+  await connectDB();
+  const orders = mongoose.connection.collection('orders');
+  const products = await Product.find().select('category').lean();
+
+  const ops = products.map((p) => ({
+    updateMany: {
+      filter: { 'items.product': p._id },
+      update: { $set: { 'items.$[line].category': p.category ?? null } },
+      arrayFilters: [
+        { 'line.product': p._id, 'line.category': { $exists: false } },
+      ],
+    },
+  }));
+  const result =
+    ops.length > 0 ? await orders.bulkWrite(ops) : { modifiedCount: 0 };
+
+  console.log(`✅ ${result.modifiedCount} orders got line categories`);
+  await mongoose.disconnect();
+})();
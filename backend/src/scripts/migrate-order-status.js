@@ -0,0 +1,50 @@
+/**
+ * One-off migration to the order state machine:
+ * - status 'paid'      -> 'processing'
+ * - cancelled: true    -> status 'cancelled'
+ * - drop the old `cancelled` boolean
+ * Usage: npm run migrate:order-status
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+(async () => {
+  await connectDB();
+  const orders = mongoose.connection.collection('orders');
+
+  const cancelled = await orders.updateMany({ cancelled: true }, [
+    {
+      $set: {
+        statusHistory: {
+          $concatArrays: [
+            { $ifNull: ['$statusHistory', []] },
+            [
+              {
+                field: 'status',
+                from: '$status',
+                to: 'cancelled',
+                actor: null,
+                note: 'Migrated from cancelled flag',
+                at: { $ifNull: ['$cancelledAt', '$updatedAt'] },
+              },
+            ],
+          ],
+        },
+        status: 'cancelled',
+      },
+    },
+  ]);
+  const paid = await orders.updateMany(
+    { status: 'paid' },
+    { $set: { status: 'processing' } },
+  );
+  await orders.updateMany(
+    { cancelled: { $exists: true } },
+    { $unset: { cancelled: '' } },
+  );
+
+  console.log(
+    `✅ ${cancelled.modifiedCount} cancelled, ${paid.modifiedCount} paid → processing`,
+  );
+  await mongoose.disconnect();
+})();
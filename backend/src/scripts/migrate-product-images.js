@@ -0,0 +1,37 @@
+/**
+ * One-off migration: product images were plain URL strings; they are now
+ * { url, alt, sortOrder, isPrimary, thumbnails } (first image primary).
+ * Safe to re-run.
+ * Usage: npm run migrate:product-images
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product.model');
+
+(async () => {
+  await connectDB();
+  const res = await Product.collection.updateMany(
+    { 'images.0': { $type: 'string' } },
+    [
+      {
+        $set: {
+          images: {
+            $map: {
+              input: { $range: [0, { $size: '$images' }] },
+              as: 'i',
+              in: {
+                url: { $arrayElemAt: ['$images', '$$i'] },
+                alt: '',
+                sortOrder: '$$i',
+                isPrimary: { $eq: ['$$i', 0] },
+                thumbnails: {},
+              },
+            },
+          },
+        },
+      },
+    ],
+  );
+  console.log(`✅ Product images migrated (${res.modifiedCount} products)`);
+  await mongoose.disconnect();
+})();
@@ -0,0 +1,51 @@
+/**
+ * One-off migration to permission-based roles. The old `user` role becomes
+ * `customer`. Registration used to default to `admin`, so legacy admins are
+ * not trusted: only the emails passed here become `owner`, every other
+ * `admin` is demoted to `customer`. Without emails it only lists the
+ * legacy admins and changes nothing.
+ * Usage: npm run migrate:roles -- owner@example.com [other@example.com ...]
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/user.model');
+
+const owners = process.argv.slice(2).map((e) => e.trim().toLowerCase());
+
+(async () => {
+  await connectDB();
+
+  if (owners.length === 0) {
+    const admins = await User.collection
+      .find({ role: 'admin' }, { projection: { email: 1 } })
+      .toArray();
+    console.log(
+      `Legacy admins (${admins.length}):\n` +
+        admins.map((u) => `  ${u.email}`).join('\n') +
+        '\nRe-run with the owner emails to migrate; nothing was changed.',
+    );
+    await mongoose.disconnect();
+    return;
+  }
+
+  const customers = await User.collection.updateMany(
+    { role: 'user' },
+    { $set: { role: 'customer' } },
+  );
+  const promoted = await User.collection.updateMany(
+    { email: { $in: owners } },
+    { $set: { role: 'owner' } },
+  );
+  const demoted = await User.collection.updateMany(
+    { role: 'admin' },
+    { $set: { role: 'customer' } },
+  );
+
+  console.log(
+    `✅ Roles migrated: ${customers.modifiedCount} users -> customer, ` +
+      `${promoted.modifiedCount} -> owner, ${demoted.modifiedCount} admins -> customer`,
+  );
+  if (promoted.matchedCount < owners.length)
+    console.warn('⚠️ Some owner emails matched no account');
+  await mongoose.disconnect();
+})();
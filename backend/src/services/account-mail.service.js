@@ -0,0 +1,24 @@
+const env = require('../config/env');
+const { sendMail } = require('./mailer');
+const { passwordResetEmail, verifyEmailEmail } = require('./mailer/templates');
+const { createUserToken } = require('./user-token.service');
+
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(
+    user._id,
+    'password_reset',
+    env.PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+  );
+  await sendMail(passwordResetEmail(user, token));
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(
+    user._id,
+    'email_verification',
+    env.EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+  );
+  await sendMail(verifyEmailEmail(user, token));
+}
+
+module.exports = { sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,438 @@
+const Order = require('../models/order.model');
+const Category = require('../models/category.model');
+
+/**
+ * Sales reports, aggregated over the order snapshots (prices, titles and
+ * currency as they were at purchase). Amounts are never added up across
+ * currencies: every money row carries its `currency`, and `currency` in the
+ * params narrows a report to one. Sales are paid orders (PAID_SALES);
+ * unpaid, failed and cancelled ones only show in the cancellation report.
+ *
+ * Params: { from, to } (placed in [from, to)), currency?, and for series
+ * groupBy (day | week | month, weeks start on Monday) bucketed in the IANA
+ * time zone `tz`. Periods without orders are left out.
+ * Uses $dateTrunc and $lookup with localField + pipeline (MongoDB 5.0+).
+ */
+
+/**
+ * Orders whose money came in: card orders once paid (later refunds are
+ * reported, not dropped), cash on delivery once delivered. PAID_SALES is
+ * the $match form, IS_PAID_SALE the expression form of the same rule.
+ */
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const COD_COLLECTED = ['delivered', 'returned'];
+
+const PAID_SALES = {
+  status: { $ne: 'cancelled' },
+  $or: [
+    { paymentStatus: { $in: PAID_STATUSES } },
+    { paymentMethod: 'cod', status: { $in: COD_COLLECTED } },
+  ],
+};
+
+const IS_PAID_SALE = {
+  $and: [
+    { $ne: ['$status', 'cancelled'] },
+    {
+      $or: [
+        { $in: ['$paymentStatus', PAID_STATUSES] },
+        {
+          $and: [
+            { $eq: ['$paymentMethod', 'cod'] },
+            { $in: ['$status', COD_COLLECTED] },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+/** $match for orders placed in the range (and currency, when given) */
+function placedIn({ from, to, currency }) {
+  return {
+    createdAt: { $gte: from, $lt: to },
+    ...(currency && { currency }),
+  };
+}
+
+/** Expression: 'YYYY-MM-DD' start of the period that `date` falls in */
+function periodOf(date, { groupBy, tz }) {
+  return {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      timezone: tz,
+      date: {
+        $dateTrunc: {
+          date,
+          unit: groupBy,
+          timezone: tz,
+          startOfWeek: 'monday',
+        },
+      },
+    },
+  };
+}
+
+/** a / b rounded to 4 places; 0 when there is nothing to divide by */
+const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 10000) / 10000 : 0);
+
+/** Sum numeric `fields` of rows per currency */
+function totalsByCurrency(rows, fields) {
+  const totals = new Map();
+  for (const row of rows) {
+    const total =
+      totals.get(row.currency) ??
+      Object.fromEntries([
+        ['currency', row.currency],
+        ...fields.map((f) => [f, 0]),
+      ]);
+    for (const f of fields) total[f] += row[f];
+    totals.set(row.currency, total);
+  }
+  return [...totals.values()].sort((a, b) =>
+    a.currency.localeCompare(b.currency),
+  );
+}
+
+/**
+ * Revenue (grand totals, incl. shipping and tax), orders, units, refunds and
+ * average order value per period and currency.
+ */
+async function salesReport(params) {
+  const groups = await Order.aggregate([
+    { $match: { ...placedIn(params), ...PAID_SALES } },
+    {
+      $group: {
+        _id: {
+          period: periodOf('$createdAt', params),
+          currency: '$currency',
+        },
+        orders: { $sum: 1 },
+        units: { $sum: { $sum: '$items.qty' } },
+        revenue: { $sum: '$grandTotal' },
+        refunded: { $sum: '$refundedTotal' },
+      },
+    },
+    { $sort: { '_id.period': 1, '_id.currency': 1 } },
+  ]);
+
+  const withAverages = (row) => ({
+    ...row,
+    netRevenue: row.revenue - row.refunded,
+    averageOrderValue:
+      row.orders > 0 ? Math.round(row.revenue / row.orders) : 0,
+  });
+
+  const rows = groups.map(({ _id, ...sums }) =>
+    withAverages({ period: _id.period, currency: _id.currency, ...sums }),
+  );
+  const totals = totalsByCurrency(rows, [
+    'orders',
+    'units',
+    'revenue',
+    'refunded',
+  ]).map(withAverages);
+  return { rows, totals };
+}
+
+/**
+ * Accumulators over sold order lines: units, distinct orders, and revenue =
+ * line totals after coupon discounts (before tax and shipping).
+ */
+const LINE_SUMS = {
+  units: { $sum: '$items.qty' },
+  orderIds: { $addToSet: '$_id' },
+  revenue: {
+    $sum: {
+      $subtract: ['$items.lineTotal', { $ifNull: ['$items.discount', 0] }],
+    },
+  },
+};
+
+/** Stages grouping sold order lines by product and currency */
+function productLines(params) {
+  return [
+    { $match: { ...placedIn(params), ...PAID_SALES } },
+    { $sort: { createdAt: 1 } }, // titles: the most recent snapshot
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { product: '$items.product', currency: '$currency' },
+        title: { $last: '$items.title' },
+        slug: { $last: '$items.slug' },
+        ...LINE_SUMS,
+      },
+    },
+  ];
+}
+
+/** Stages keeping the best `limit` groups of each currency, ranked by `sort` */
+function topPerCurrency({ limit, sort }) {
+  return [
+    { $sort: { [sort]: -1, _id: 1 } },
+    { $group: { _id: '$currency', rows: { $push: '$$ROOT' } } },
+    { $project: { rows: { $slice: ['$rows', limit] } } },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+/** Flatten per-currency top lists into ranked rows */
+function ranked(groups, toRow) {
+  return groups.flatMap((group) =>
+    group.rows.map((row, idx) => ({
+      currency: group._id,
+      rank: idx + 1,
+      ...toRow(row),
+    })),
+  );
+}
+
+/** Best-selling products per currency */
+async function topProducts(params) {
+  const groups = await Order.aggregate([
+    ...productLines(params),
+    {
+      $project: {
+        _id: 0,
+        product: '$_id.product',
+        currency: '$_id.currency',
+        title: 1,
+        slug: 1,
+        units: 1,
+        orders: { $size: '$orderIds' },
+        revenue: 1,
+      },
+    },
+    ...topPerCurrency(params),
+  ]);
+
+  const rows = ranked(groups, (row) => ({
+    product: String(row.product),
+    slug: row.slug,
+    title: row.title,
+    units: row.units,
+    orders: row.orders,
+    revenue: row.revenue,
+  }));
+  return { rows };
+}
+
+/**
+ * Best-selling categories per currency, by the category each line was
+ * snapshotted with at checkout (lines without one count as uncategorized:
+ * category null). Names are the categories' current ones.
+ */
+async function topCategories(params) {
+  const groups = await Order.aggregate([
+    { $match: { ...placedIn(params), ...PAID_SALES } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: {
+          category: { $ifNull: ['$items.category', null] },
+          currency: '$currency',
+        },
+        products: { $addToSet: '$items.product' },
+        ...LINE_SUMS,
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        category: '$_id.category',
+        currency: '$_id.currency',
+        products: { $size: '$products' },
+        units: 1,
+        orders: { $size: '$orderIds' },
+        revenue: 1,
+      },
+    },
+    ...topPerCurrency(params),
+    {
+      $lookup: {
+        from: Category.collection.collectionName,
+        localField: 'rows.category',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, slug: 1 } }],
+        as: 'categories',
+      },
+    },
+  ]);
+
+  const rows = [];
+  for (const group of groups) {
+    const byId = new Map(group.categories.map((c) => [String(c._id), c]));
+    rows.push(
+      ...ranked([group], (row) => {
+        const category = row.category && byId.get(String(row.category));
+        return {
+          category: row.category ? String(row.category) : null,
+          slug: category?.slug ?? null,
+          name: category?.name ?? (row.category ? null : 'Uncategorized'),
+          products: row.products,
+          units: row.units,
+          orders: row.orders,
+          revenue: row.revenue,
+        };
+      }),
+    );
+  }
+  return { rows };
+}
+
+/**
+ * New vs returning customers per period. A customer is new in the period of
+ * their first paid order ever, in any currency; in the totals,
+ * when that order falls in the range.
+ */
+async function customerReport(params) {
+  const [result] = await Order.aggregate([
+    { $match: { ...placedIn(params), ...PAID_SALES } },
+    {
+      $group: {
+        _id: { user: '$user', period: periodOf('$createdAt', params) },
+        orders: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.user',
+        periods: { $push: { period: '$_id.period', orders: '$orders' } },
+      },
+    },
+    {
+      $lookup: {
+        from: Order.collection.collectionName,
+        localField: '_id',
+        foreignField: 'user',
+        pipeline: [
+          { $match: PAID_SALES },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, createdAt: 1 } },
+        ],
+        as: 'first',
+      },
+    },
+    { $set: { firstAt: { $first: '$first.createdAt' } } },
+    { $set: { firstPeriod: periodOf('$firstAt', params) } },
+    {
+      $facet: {
+        series: [
+          { $unwind: '$periods' },
+          { $set: { isNew: { $eq: ['$periods.period', '$firstPeriod'] } } },
+          {
+            $group: {
+              _id: '$periods.period',
+              customers: { $sum: 1 },
+              newCustomers: { $sum: { $cond: ['$isNew', 1, 0] } },
+              orders: { $sum: '$periods.orders' },
+              newCustomerOrders: {
+                $sum: { $cond: ['$isNew', '$periods.orders', 0] },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              customers: { $sum: 1 },
+              newCustomers: {
+                $sum: { $cond: [{ $gte: ['$firstAt', params.from] }, 1, 0] },
+              },
+              orders: { $sum: { $sum: '$periods.orders' } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const rows = result.series.map(({ _id, ...row }) => ({
+    period: _id,
+    customers: row.customers,
+    newCustomers: row.newCustomers,
+    returningCustomers: row.customers - row.newCustomers,
+    orders: row.orders,
+    newCustomerOrders: row.newCustomerOrders,
+    returningCustomerOrders: row.orders - row.newCustomerOrders,
+  }));
+  const sums = result.totals[0] ?? {
+    customers: 0,
+    newCustomers: 0,
+    orders: 0,
+  };
+  const totals = {
+    customers: sums.customers,
+    newCustomers: sums.newCustomers,
+    returningCustomers: sums.customers - sums.newCustomers,
+    orders: sums.orders,
+  };
+  return { rows, totals };
+}
+
+/**
+ * Cancellation and refund rates per period and currency, over every order
+ * placed (unpaid and cancelled ones included):
+ * - cancellationRate = cancelled / orders
+ * - refundRate = paid orders with a refund / paid orders
+ * - refundedShare = amount refunded / sales (grand totals of paid orders)
+ * Refunds of cancelled orders count as cancellations, not refunds.
+ */
+async function cancellationReport(params) {
+  const whenPaid = (value) => ({ $cond: [IS_PAID_SALE, value, 0] });
+  const groups = await Order.aggregate([
+    { $match: placedIn(params) },
+    {
+      $group: {
+        _id: {
+          period: periodOf('$createdAt', params),
+          currency: '$currency',
+        },
+        orders: { $sum: 1 },
+        cancelled: {
+          $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] },
+        },
+        returned: { $sum: { $cond: [{ $eq: ['$status', 'returned'] }, 1, 0] } },
+        paidOrders: { $sum: whenPaid(1) },
+        refundedOrders: {
+          $sum: whenPaid({ $cond: [{ $gt: ['$refundedTotal', 0] }, 1, 0] }),
+        },
+        sales: { $sum: whenPaid('$grandTotal') },
+        refunded: { $sum: whenPaid('$refundedTotal') },
+      },
+    },
+    { $sort: { '_id.period': 1, '_id.currency': 1 } },
+  ]);
+
+  const withRates = (row) => ({
+    ...row,
+    cancellationRate: ratio(row.cancelled, row.orders),
+    refundRate: ratio(row.refundedOrders, row.paidOrders),
+    refundedShare: ratio(row.refunded, row.sales),
+  });
+
+  const rows = groups.map(({ _id, ...sums }) =>
+    withRates({ period: _id.period, currency: _id.currency, ...sums }),
+  );
+  const totals = totalsByCurrency(rows, [
+    'orders',
+    'cancelled',
+    'returned',
+    'paidOrders',
+    'refundedOrders',
+    'sales',
+    'refunded',
+  ]).map(withRates);
+  return { rows, totals };
+}
+
+module.exports = {
+  salesReport,
+  topProducts,
+  topCategories,
+  customerReport,
+  cancellationReport,
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const Cart = require('../models/cart.model');
+const Coupon = require('../models/coupon.model');
+const env = require('../config/env');
+const {
+  toCouponLine,
+  withCategoryAncestors,
+  evaluateCoupon,
+} = require('./coupon.service');
+const { hashToken } = require('./token.service');
+const { releaseSession } = require('./reservation.service');
+
+/**
+ * Cart pricing shared by the cart endpoints, shipping quotes and checkout.
+ * Amounts are integer minor units of the cart currency.
+ */
+
+// Product fields needed to price cart lines (+ categories for coupon scope)
+const PRODUCT_FIELDS =
+  'title slug price currency prices stock weight variants isActive category subcategory';
+
+/** Same cart line = same product + same variant */
+function sameLine(item, productId, variantId) {
+  return (
+    String(item.product._id ?? item.product) === String(productId) &&
+    String(item.variant ?? '') === String(variantId ?? '')
+  );
+}
+
+/** Drop lines whose product or variant no longer exists */
+async function dropMissingLines(cart) {
+  const valid = cart.items.filter(
+    (i) => i.product && (!i.variant || i.product.findVariant(i.variant)),
+  );
+  if (valid.length !== cart.items.length) {
+    cart.items = valid;
+    await cart.save();
+  }
+  return cart;
+}
+
+/**
+ * Ensure a cart exists for a user.
+ * Lines whose product or variant no longer exists are dropped.
+ */
+async function getOrCreateCart(userId) {
+  let cart = await Cart.findOne({ user: userId }).populate(
+    'items.product',
+    PRODUCT_FIELDS,
+  );
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [] });
+    cart = await cart.populate('items.product', PRODUCT_FIELDS);
+  }
+  return dropMissingLines(cart);
+}
+
+function guestExpiry() {
+  return new Date(Date.now() + env.GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Guest cart for an opaque cart token, or null if unknown/expired.
+ * Each visit pushes the expiry back.
+ */
+async function findGuestCart(token) {
+  if (!token) return null;
+  const cart = await Cart.findOneAndUpdate(
+    { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } },
+    { expiresAt: guestExpiry() },
+    { new: true },
+  ).populate('items.product', PRODUCT_FIELDS);
+  return cart ? dropMissingLines(cart) : null;
+}
+
+/** New empty guest cart; the raw token is only ever returned here */
+async function createGuestCart() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const cart = await Cart.create({
+    tokenHash: hashToken(token),
+    expiresAt: guestExpiry(),
+    items: [],
+  });
+  return { cart, token };
+}
+
+/**
+ * Move a guest cart into the user's cart (login/register). Quantities of
+ * the same line are summed and clamped to stock; unavailable lines are
+ * dropped. The user's coupon wins over the guest's. An empty user cart
+ * takes the guest's currency; otherwise lines not sold in the user's
+ * currency are dropped. The guest cart is deleted. Returns the user cart,
+ * or null when there was nothing to merge.
+ */
+async function mergeGuestCart(token, userId) {
+  const guest = await findGuestCart(token);
+  if (!guest) return null;
+
+  const cart = await getOrCreateCart(userId);
+  if (cart.items.length === 0) cart.currency = guest.currency;
+  for (const line of guest.items) {
+    const p = line.product;
+    const variant = p.findVariant(line.variant);
+    if (!p.isActive || (p.variants.length > 0 && !variant?.isActive)) continue;
+    if (p.unitPrice(variant, cart.currency) === null) continue;
+
+    const stock = p.stockFor(variant);
+    const mine = cart.items.find((i) => sameLine(i, p._id, line.variant));
+    const qty = Math.min((mine ? mine.qty : 0) + line.qty, stock);
+    if (qty < 1) continue; // sold out
+    if (mine) mine.qty = qty;
+    else cart.items.push({ product: p._id, variant: line.variant, qty });
+  }
+  if (!cart.coupon && guest.coupon) cart.coupon = guest.coupon;
+
+  cart.updatedAt = new Date();
+  await cart.save();
+  await guest.deleteOne();
+  await releaseSession(userId); // the cart changed under any open checkout
+  return cart;
+}
+
+/**
+ * Price each line using *current* product/variant prices in the cart
+ * currency. A line whose product has no price in it (removed from the
+ * price list) has price null and `priced: false`; checkout rejects it.
+ */
+function priceLines(cart) {
+  return cart.items.map((i) => {
+    const variant = i.product.findVariant(i.variant);
+    const price = i.product.unitPrice(variant, cart.currency);
+    return {
+      slug: i.product.slug,
+      title: i.product.title,
+      sku: variant ? variant.sku : null,
+      options: variant ? Object.fromEntries(variant.options) : null,
+      price,
+      stock: i.product.stockFor(variant),
+      qty: i.qty,
+      lineTotal: (price ?? 0) * i.qty,
+      priced: price !== null,
+    };
+  });
+}
+
+/** Priced lines → coupon lines (product + categories with ancestors) */
+function couponLines(cart, items) {
+  return withCategoryAncestors(
+    cart.items.map((i, idx) => toCouponLine(i.product, items[idx].lineTotal)),
+  );
+}
+
+/**
+ * Compute totals for the cart.
+ * An applied coupon is re-checked each time; if it no longer applies the
+ * response says why and the discount is 0.
+ */
+async function computeTotals(cart) {
+  const items = priceLines(cart);
+  const subtotal = items.reduce((s, i) => s + i.lineTotal, 0);
+
+  let discount = 0;
+  let freeShipping = false;
+  let coupon = null;
+  if (cart.coupon) {
+    const doc = await Coupon.findById(cart.coupon);
+    coupon = { code: doc ? doc.code : null, valid: true, reason: null };
+    try {
+      ({ discount, freeShipping } = await evaluateCoupon(
+        doc,
+        await couponLines(cart, items),
+        cart.user,
+        cart.currency,
+      ));
+    } catch (err) {
+      if (!err.status) throw err;
+      coupon.valid = false;
+      coupon.reason = err.message;
+    }
+  }
+
+  const total = subtotal - discount;
+  return {
+    currency: cart.currency,
+    items,
+    subtotal,
+    discount,
+    freeShipping,
+    coupon,
+    total,
+  };
+}
+
+/** Total cart weight in grams (variant weight overrides product weight) */
+function cartWeight(cart) {
+  return cart.items.reduce((sum, i) => {
+    const variant = i.product.findVariant(i.variant);
+    return sum + i.product.weightFor(variant) * i.qty;
+  }, 0);
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  sameLine,
+  getOrCreateCart,
+  findGuestCart,
+  createGuestCart,
+  mergeGuestCart,
+  priceLines,
+  couponLines,
+  computeTotals,
+  cartWeight,
+};
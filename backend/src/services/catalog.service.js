@@ -0,0 +1,520 @@
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const Product = require('../models/product.model');
+const {
+  productInput,
+  uniqueSlug,
+  resolveCategoryRefs,
+  mergeVariants,
+} = require('./product.service');
+const { adjustStock, recordInitialStock } = require('./inventory.service');
+const { prepareImages, imageUrls, releaseImages } = require('./image.service');
+const { ConflictError } = require('../errors');
+
+/**
+ * Bulk catalog import/export (admin).
+ *
+ * JSON: an array of products shaped like POST /api/products (+ isActive).
+ * CSV: one row per variant (or one row for a product without variants).
+ * Rows sharing a slug form one product; product columns are read from its
+ * first row. List cells use "|", option cells use "Name=a|b;Other=c", price
+ * lists "EUR=1799;PKR=550000". Prices are integer minor units.
+ *
+ * Products are matched by slug, else by any of their SKUs, and updated;
+ * everything else is created. Validation runs for every product before
+ * anything is written, and the writes share one transaction, so a failed
+ * import changes nothing.
+ */
+
+const CSV_COLUMNS = [
+  'slug',
+  'title',
+  'description',
+  'price',
+  'currency',
+  'prices',
+  'stock',
+  'weight',
+  'taxClass',
+  'lowStockThreshold',
+  'isActive',
+  'categorySlug',
+  'subcategorySlug',
+  'images',
+  'options',
+  'sku',
+  'variantOptions',
+  'variantPrice',
+  'variantPrices',
+  'variantStock',
+  'variantWeight',
+  'variantImages',
+  'variantIsActive',
+];
+
+const importInput = productInput.extend({ isActive: z.boolean().optional() });
+
+/* ---------- CSV cells <-> values ---------- */
+
+const blank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+function num(v) {
+  if (blank(v)) return undefined;
+  const n = Number(v);
+  return Number.isNaN(n) ? v : n; // leave bad input for zod to report
+}
+
+function bool(v) {
+  if (blank(v)) return undefined;
+  const s = String(v).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(s)) return true;
+  if (['false', '0', 'no'].includes(s)) return false;
+  return v;
+}
+
+function list(v) {
+  if (blank(v)) return undefined;
+  return String(v)
+    .split('|')
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+/** "Size=S|M;Colour=Black" -> [{ name: 'Size', values: ['S', 'M'] }, ...] */
+function parseOptions(v) {
+  if (blank(v)) return undefined;
+  return String(v)
+    .split(';')
+    .filter((part) => part.trim())
+    .map((part) => {
+      const [name, values = ''] = part.split('=');
+      return { name: name.trim(), values: list(values) ?? [] };
+    });
+}
+
+/** "Size=S;Colour=Black" -> { Size: 'S', Colour: 'Black' } */
+function parseVariantOptions(v) {
+  if (blank(v)) return {};
+  return Object.fromEntries(
+    String(v)
+      .split(';')
+      .filter((part) => part.trim())
+      .map((part) => part.split('=').map((x) => x.trim())),
+  );
+}
+
+/** "EUR=1799;PKR=550000" -> { EUR: 1799, PKR: 550000 } */
+function parsePrices(v) {
+  if (blank(v)) return undefined;
+  return Object.fromEntries(
+    Object.entries(parseVariantOptions(v)).map(([c, amount]) => [
+      c.toUpperCase(),
+      num(amount),
+    ]),
+  );
+}
+
+function formatOptions(options) {
+  return options.map((o) => `${o.name}=${o.values.join('|')}`).join(';');
+}
+
+function formatVariantOptions(options) {
+  return Object.entries(options || {})
+    .map(([k, v]) => `${k}=${v}`)
+    .join(';');
+}
+
+const formatPrices = formatVariantOptions;
+
+/** Drop undefined keys so zod optional() and defaults apply */
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v !== undefined),
+  );
+}
+
+/* ---------- input -> entries ---------- */
+
+/**
+ * CSV text -> entries [{ rows: [rowNumber], data }].
+ * Row numbers match the spreadsheet (header is row 1).
+ */
+function entriesFromCsv(text) {
+  const records = parse(text, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+
+  const entries = [];
+  const bySlug = new Map();
+  records.forEach((r, idx) => {
+    const row = idx + 2;
+    const key = r.slug || (r.sku ? `sku:${r.sku}` : `row:${row}`);
+    let entry = bySlug.get(key);
+    if (!entry) {
+      entry = {
+        rows: [],
+        data: compact({
+          slug: r.slug || undefined,
+          title: r.title,
+          description: r.description || undefined,
+          price: num(r.price),
+          currency: r.currency || undefined,
+          prices: parsePrices(r.prices),
+          stock: num(r.stock),
+          weight: num(r.weight),
+          taxClass: r.taxClass || undefined,
+          lowStockThreshold: num(r.lowStockThreshold),
+          isActive: bool(r.isActive),
+          categorySlug: r.categorySlug || undefined,
+          subcategorySlug: r.subcategorySlug || undefined,
+          images: list(r.images),
+          options: parseOptions(r.options),
+        }),
+      };
+      bySlug.set(key, entry);
+      entries.push(entry);
+    }
+    entry.rows.push(row);
+
+    if (r.sku) {
+      entry.data.variants = entry.data.variants ?? [];
+      entry.data.variants.push(
+        compact({
+          sku: r.sku,
+          options: parseVariantOptions(r.variantOptions),
+          price: num(r.variantPrice),
+          prices: parsePrices(r.variantPrices),
+          stock: num(r.variantStock),
+          weight: num(r.variantWeight),
+          images: list(r.variantImages),
+          isActive: bool(r.variantIsActive),
+        }),
+      );
+    }
+  });
+  return entries;
+}
+
+/** JSON body (array, or { products: [...] }) -> entries */
+function entriesFromJson(body) {
+  const items = Array.isArray(body) ? body : body?.products;
+  if (!Array.isArray(items)) return null;
+  return items.map((data, idx) => ({ rows: [idx + 1], data }));
+}
+
+/* ---------- validation ---------- */
+
+/** Existing product for an entry: by slug, else by one of its SKUs */
+async function findExisting(data) {
+  if (data.slug) return Product.findOne({ slug: data.slug });
+  const skus = (data.variants ?? []).map((v) => v.sku);
+  return skus.length
+    ? Product.findOne({ 'variants.sku': { $in: skus } })
+    : null;
+}
+
+/**
+ * Stock held by SKUs an update drops, or by a product that gains variants,
+ * would vanish without a ledger entry.
+ */
+function stockLossError(product, data) {
+  const incoming = data.variants ?? [];
+  if (product.variants.length === 0 && product.stock > 0 && incoming.length)
+    return 'Set stock to 0 before adding variants to this product';
+  const keep = new Set(incoming.map((v) => v.sku));
+  const dropped = product.variants.find((v) => !keep.has(v.sku) && v.stock);
+  return dropped ? `Set ${dropped.sku} stock to 0 before removing it` : null;
+}
+
+/**
+ * Apply validated input onto a (new or existing) product document.
+ * `images` is the prepared gallery (prepareImages), or undefined to keep it.
+ */
+function assign(doc, data, refs, images) {
+  doc.set({
+    title: data.title,
+    description: data.description ?? doc.description,
+    price: data.price,
+    currency: data.currency ?? doc.currency,
+    prices: data.prices ?? doc.prices,
+    weight: data.weight ?? doc.weight ?? 0,
+    taxClass: data.taxClass ?? doc.taxClass,
+    lowStockThreshold:
+      data.lowStockThreshold !== undefined
+        ? data.lowStockThreshold
+        : doc.lowStockThreshold,
+    images: images ?? doc.images,
+    options: data.options ?? [],
+    variants: mergeVariants(doc.variants ?? [], data.variants ?? []),
+    category: refs.categoryId,
+    subcategory: refs.subcategoryId,
+  });
+  if (data.isActive !== undefined) doc.isActive = data.isActive;
+  if (doc.isNew && doc.variants.length === 0) doc.stock = data.stock ?? 0;
+}
+
+/**
+ * Check every entry without writing. Each result:
+ * { rows, slug, action: 'create'|'update', errors, plan } — plan is what
+ * applyImport() needs and is stripped from the response.
+ */
+async function validateImport(entries) {
+  const results = [];
+  const seenSkus = new Map(); // sku -> first row, across the whole file
+  const seenSlugs = new Set();
+
+  for (const entry of entries) {
+    const result = {
+      rows: entry.rows,
+      slug: entry.data?.slug ?? null,
+      action: null,
+      errors: [],
+    };
+    results.push(result);
+
+    const parsed = importInput.safeParse(entry.data);
+    if (!parsed.success) {
+      result.errors = parsed.error.issues.map(
+        (i) => `${i.path.join('.') || 'row'}: ${i.message}`,
+      );
+      continue;
+    }
+    const data = parsed.data;
+
+    for (const v of data.variants ?? []) {
+      if (seenSkus.has(v.sku))
+        result.errors.push(
+          `SKU ${v.sku} also appears in row ${seenSkus.get(v.sku)}`,
+        );
+      else seenSkus.set(v.sku, entry.rows[0]);
+    }
+    if (data.slug && seenSlugs.has(data.slug))
+      result.errors.push(`Slug ${data.slug} appears more than once`);
+    if (data.slug) seenSlugs.add(data.slug);
+
+    let refs;
+    try {
+      refs = await resolveCategoryRefs(data.categorySlug, data.subcategorySlug);
+    } catch (e) {
+      result.errors.push(e.message);
+    }
+
+    const existing = await findExisting(data);
+    result.action = existing ? 'update' : 'create';
+    if (existing) result.slug = existing.slug;
+
+    if (existing) {
+      const lossError = stockLossError(existing, data);
+      if (lossError) result.errors.push(lossError);
+    }
+
+    // Other products already using these SKUs?
+    const skus = (data.variants ?? []).map((v) => v.sku);
+    if (skus.length) {
+      const q = { 'variants.sku': { $in: skus } };
+      if (existing) q._id = { $ne: existing._id };
+      const other = await Product.findOne(q).lean();
+      if (other) result.errors.push(`SKU already used by ${other.slug}`);
+    }
+
+    if (result.errors.length || !refs) continue;
+
+    // Model rules (option combinations etc.) on an unsaved copy
+    const previousImages = existing ? imageUrls(existing) : [];
+    const images = data.images && (await prepareImages(data.images));
+    const doc = existing ?? new Product({ slug: data.slug ?? 'pending' });
+    assign(doc, data, refs, images);
+    try {
+      await doc.validate();
+    } catch (e) {
+      if (e.name !== 'ValidationError') throw e;
+      result.errors.push(...Object.values(e.errors).map((err) => err.message));
+      continue;
+    }
+    result.plan = { doc, data, refs, images, previousImages };
+  }
+  return results;
+}
+
+/** Target stock per variant (or product) from the import data */
+function stockTargets(doc, data) {
+  if (doc.variants.length === 0)
+    return data.stock === undefined ? [] : [{ variant: null, to: data.stock }];
+  return (data.variants ?? [])
+    .filter((v) => v.stock !== undefined)
+    .map((v) => ({ variant: doc.findVariant(v.sku), to: v.stock }));
+}
+
+/**
+ * Write validated results in one transaction: anything failing only at
+ * write time (a slug or SKU taken meanwhile, a stock guard) rolls back the
+ * whole import. New products record their opening stock; existing ones are
+ * re-read inside the transaction, so stock sold since validation is kept,
+ * and their stock changes go through the ledger as 'import'.
+ */
+async function applyImport(results, userId) {
+  const ctx = { user: userId, note: 'Catalog import' };
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const result of results) {
+      const { doc, data } = result.plan;
+      if (doc.isNew) {
+        doc.slug = await uniqueSlug(data.slug ?? data.title);
+        await doc.save({ session });
+        await recordInitialStock(
+          doc,
+          doc.variants.length > 0 ? doc.variants : null,
+          ctx,
+          session,
+        );
+      } else {
+        const fresh = await Product.findById(doc._id).session(session);
+        if (!fresh)
+          throw new ConflictError(`${doc.slug} was deleted during the import`);
+        const lossError = stockLossError(fresh, data);
+        if (lossError) throw new ConflictError(`${doc.slug}: ${lossError}`);
+
+        const known = new Set(fresh.variants.map((v) => v.sku));
+        const added = (data.variants ?? [])
+          .map((v) => v.sku)
+          .filter((sku) => !known.has(sku));
+        result.plan.previousImages = imageUrls(fresh);
+        assign(fresh, data, result.plan.refs, result.plan.images);
+        const targets = stockTargets(fresh, data).filter(
+          (t) => !added.includes(t.variant?.sku),
+        );
+        await fresh.save({ session }); // existing SKUs keep their stock (mergeVariants)
+        await recordInitialStock(
+          fresh,
+          fresh.variants.filter((v) => added.includes(v.sku)),
+          ctx,
+          session,
+        );
+        for (const { variant, to } of targets) {
+          const from = variant ? variant.stock : fresh.stock;
+          if (to === from) continue;
+          await adjustStock(
+            { product: fresh._id, variant: variant?._id, delta: to - from },
+            { ...ctx, reason: 'import' },
+            session,
+          );
+        }
+        result.plan.doc = fresh;
+      }
+      result.slug = result.plan.doc.slug;
+    }
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  // Only once the products no longer point at them
+  for (const { plan } of results)
+    releaseImages(plan.previousImages, imageUrls(plan.doc)).catch((err) =>
+      console.error('Image cleanup failed:', err.message),
+    );
+}
+
+/* ---------- export ---------- */
+
+/** Catalog in the same JSON shape import accepts */
+async function exportJson() {
+  const products = await Product.find()
+    .sort({ slug: 1 })
+    .populate('category', 'slug')
+    .populate('subcategory', 'slug');
+  return products.map((p) =>
+    compact({
+      slug: p.slug,
+      title: p.title,
+      description: p.description || undefined,
+      price: p.price,
+      currency: p.currency,
+      prices: Object.fromEntries(p.prices),
+      stock: p.variants.length === 0 ? p.stock : undefined,
+      weight: p.weight,
+      taxClass: p.taxClass,
+      lowStockThreshold: p.lowStockThreshold,
+      isActive: p.isActive,
+      categorySlug: p.category?.slug,
+      subcategorySlug: p.subcategory?.slug,
+      images: p.images.map((i) => ({
+        url: i.url,
+        alt: i.alt || undefined,
+        sortOrder: i.sortOrder,
+        isPrimary: i.isPrimary,
+      })),
+      options: p.options.map((o) => ({ name: o.name, values: o.values })),
+      variants: p.variants.map((v) => ({
+        sku: v.sku,
+        options: Object.fromEntries(v.options),
+        price: v.price,
+        prices: Object.fromEntries(v.prices),
+        stock: v.stock,
+        weight: v.weight,
+        images: v.images,
+        isActive: v.isActive,
+      })),
+    }),
+  );
+}
+
+/** Catalog as CSV (one row per variant) */
+async function exportCsv() {
+  const rows = [];
+  for (const p of await exportJson()) {
+    const base = {
+      slug: p.slug,
+      title: p.title,
+      description: p.description,
+      price: p.price,
+      currency: p.currency,
+      prices: formatPrices(p.prices),
+      stock: p.stock,
+      weight: p.weight,
+      taxClass: p.taxClass,
+      lowStockThreshold: p.lowStockThreshold,
+      isActive: p.isActive,
+      categorySlug: p.categorySlug,
+      subcategorySlug: p.subcategorySlug,
+      images: p.images.map((i) => i.url).join('|'),
+      options: formatOptions(p.options),
+    };
+    if (p.variants.length === 0) {
+      rows.push(base);
+      continue;
+    }
+    for (const v of p.variants) {
+      rows.push({
+        ...base,
+        sku: v.sku,
+        variantOptions: formatVariantOptions(v.options),
+        variantPrice: v.price,
+        variantPrices: formatPrices(v.prices),
+        variantStock: v.stock,
+        variantWeight: v.weight,
+        variantImages: v.images.join('|'),
+        variantIsActive: v.isActive,
+      });
+    }
+  }
+  return stringify(rows, { header: true, columns: CSV_COLUMNS });
+}
+
+module.exports = {
+  entriesFromCsv,
+  entriesFromJson,
+  validateImport,
+  applyImport,
+  exportJson,
+  exportCsv,
+};
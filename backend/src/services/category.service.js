@@ -0,0 +1,119 @@
+const { BadRequestError, ConflictError } = require('../errors');
+const Category = require('../models/category.model');
+
+/**
+ * Category tree helpers. Each category stores its `ancestors` path
+ * (root first); moving a category rewrites the path of its whole subtree.
+ */
+
+/** Path for a child of `parent` (null = top-level) */
+function pathUnder(parent) {
+  return parent ? [...parent.ancestors, parent._id] : [];
+}
+
+/**
+ * True if `parent` is `category` itself or one of its descendants.
+ * Walks the parent links (the source of truth) rather than trusting paths.
+ */
+async function wouldCycle(category, parent) {
+  const seen = new Set();
+  let node = parent;
+  while (node) {
+    const id = String(node._id);
+    if (id === String(category._id)) return true;
+    if (seen.has(id)) return true; // existing loop in bad data
+    seen.add(id);
+    node = node.parent ? await Category.findById(node.parent) : null;
+  }
+  return false;
+}
+
+/** Ids of the category and all its descendants */
+async function subtreeIds(category, { activeOnly = true } = {}) {
+  const filter = { ancestors: category._id };
+  if (activeOnly) filter.isActive = true;
+  const rows = await Category.find(filter).select('_id').lean();
+  return [category._id, ...rows.map((r) => r._id)];
+}
+
+/** [{ name, slug }] from the root down to the category itself */
+async function breadcrumbs(category) {
+  const rows = await Category.find({ _id: { $in: category.ancestors } })
+    .select('name slug')
+    .lean();
+  const byId = new Map(rows.map((r) => [String(r._id), r]));
+  return [...category.ancestors.map((id) => byId.get(String(id))), category]
+    .filter(Boolean)
+    .map((c) => ({ name: c.name, slug: c.slug }));
+}
+
+/**
+ * Move `category` under `parent` (null = top-level) and fix the paths of
+ * every descendant. Throws 400 if that would create a cycle.
+ * Saves the category.
+ */
+async function moveCategory(category, parent) {
+  if (parent && (await wouldCycle(category, parent)))
+    throw new BadRequestError(
+      'A category cannot be moved under itself or one of its descendants',
+    );
+
+  const oldPath = category.ancestors.map(String);
+  category.parent = parent ? parent._id : null;
+  category.ancestors = pathUnder(parent);
+  await category.save();
+
+  // Descendants keep the part of their path below `category`
+  const descendants = await Category.find({ ancestors: category._id });
+  if (descendants.length === 0) return category;
+  await Category.bulkWrite(
+    descendants.map((d) => ({
+      updateOne: {
+        filter: { _id: d._id },
+        update: {
+          ancestors: [
+            ...category.ancestors,
+            ...d.ancestors.slice(oldPath.length),
+          ],
+        },
+      },
+    })),
+  );
+  return category;
+}
+
+/**
+ * Deactivate a category. Active children must be handled explicitly:
+ * - 'cascade': deactivate the whole subtree
+ * - 'reparent': move the children up to the category's parent
+ * Throws 409 if there are active children and no strategy was given.
+ */
+async function deactivateCategory(category, children) {
+  const kids = await Category.find({ parent: category._id, isActive: true });
+  if (kids.length > 0 && !children)
+    throw new ConflictError(
+      'Category has active subcategories; choose children=cascade or children=reparent',
+    );
+
+  if (kids.length > 0 && children === 'cascade') {
+    await Category.updateMany({ ancestors: category._id }, { isActive: false });
+  } else if (kids.length > 0 && children === 'reparent') {
+    const parent = category.parent
+      ? await Category.findById(category.parent)
+      : null;
+    for (const kid of kids) await moveCategory(kid, parent);
+  }
+
+  category.isActive = false;
+  await category.save();
+  return category;
+}
+
+module.exports = {
+  pathUnder,
+  wouldCycle,
+  subtreeIds,
+  breadcrumbs,
+  moveCategory,
+  deactivateCategory,
+};
@@ -0,0 +1,59 @@
+const { z } = require('zod');
+
+/**
+ * Countries are stored as ISO 3166-1 alpha-2 codes ("PK", "DE"): shipping
+ * zones and tax rates match addresses on the code, so free text such as
+ * "Pakistan" would silently match nothing.
+ */
+
+// ISO 3166-1 alpha-2, officially assigned codes
+const COUNTRY_CODES = `
+AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL
+BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV
+CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD
+GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM
+IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK
+LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW
+MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR
+PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS
+ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY
+UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+`
+  .trim()
+  .split(/\s+/);
+
+const CODES = new Set(COUNTRY_CODES);
+
+// English names ("pakistan", "united kingdom") -> code
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+const BY_NAME = new Map(
+  COUNTRY_CODES.map((code) => [regionNames.of(code).toLowerCase(), code]),
+);
+
+/** ISO alpha-2 code for a code or English country name; null if unknown */
+function toCountryCode(value) {
+  const text = String(value ?? '').trim();
+  const code = text.toUpperCase();
+  if (CODES.has(code)) return code;
+  return BY_NAME.get(text.toLowerCase()) ?? null;
+}
+
+/** Zod: a country code or English name, normalised to the ISO alpha-2 code */
+const countryInput = z
+  .string()
+  .transform((value, ctx) => {
+    const code = toCountryCode(value);
+    if (code) return code;
+    ctx.addIssue({
+      code: 'custom',
+      message: 'Unknown country (use an ISO 3166-1 alpha-2 code, e.g. PK)',
+    });
+    return z.NEVER;
+  })
+  .describe('ISO 3166-1 alpha-2 code, e.g. PK (English names are converted)');
+
+module.exports = {
+  COUNTRY_CODES,
+  toCountryCode,
+  countryInput,
+};
@@ -0,0 +1,209 @@
+const { BadRequestError, ConflictError } = require('../errors');
+const Coupon = require('../models/coupon.model');
+const CouponUsage = require('../models/coupon-usage.model');
+const Category = require('../models/category.model');
+const { percentOf, allocate, formatMoney } = require('./money.service');
+
+/**
+ * Coupon rules shared by the cart (preview) and checkout (redemption).
+ * Lines look like { product, categories: [categoryId, subcategoryId], lineTotal }
+ * with lineTotal in minor units of the cart currency; pass them through
+ * withCategoryAncestors() so a coupon on a category covers its subtree.
+ */
+
+function isEligible(coupon, line) {
+  const scoped = coupon.products.length > 0 || coupon.categories.length > 0;
+  if (!scoped) return true;
+  const inProducts = coupon.products.some(
+    (id) => String(id) === String(line.product),
+  );
+  const inCategories = coupon.categories.some((id) =>
+    line.categories.some((c) => String(c) === String(id)),
+  );
+  return inProducts || inCategories;
+}
+
+/** Cart line → coupon line */
+function toCouponLine(product, lineTotal) {
+  return {
+    product: product._id,
+    categories: [product.category, product.subcategory].filter(Boolean),
+    lineTotal,
+  };
+}
+
+/**
+ * Add the ancestors of each line's categories to `categories`, so coupons
+ * scoped to a parent category match products anywhere beneath it.
+ */
+async function withCategoryAncestors(lines) {
+  const ids = [...new Set(lines.flatMap((l) => l.categories.map(String)))];
+  if (ids.length === 0) return lines;
+  const rows = await Category.find({ _id: { $in: ids } })
+    .select('ancestors')
+    .lean();
+  const ancestors = new Map(rows.map((r) => [String(r._id), r.ancestors]));
+  return lines.map((l) => ({
+    ...l,
+    categories: [
+      ...l.categories,
+      ...l.categories.flatMap((c) => ancestors.get(String(c)) ?? []),
+    ],
+  }));
+}
+
+/**
+ * Check a coupon against a cart in `currency` and work out the discount
+ * (minor units). Throws a 400 with a customer-facing reason when it
+ * doesn't apply. Returns { discount, freeShipping }.
+ */
+async function evaluateCoupon(
+  coupon,
+  lines,
+  userId,
+  currency,
+  now = new Date(),
+) {
+  if (!coupon || !coupon.isActive)
+    throw new BadRequestError('Coupon is not active', 'COUPON_NOT_APPLICABLE');
+  if (coupon.usesAmounts() && coupon.currency !== currency)
+    throw new BadRequestError(
+      `Coupon is only valid for ${coupon.currency} orders`,
+      'COUPON_NOT_APPLICABLE',
+    );
+  if (coupon.startsAt && coupon.startsAt > now)
+    throw new BadRequestError(
+      'Coupon is not valid yet',
+      'COUPON_NOT_APPLICABLE',
+    );
+  if (coupon.endsAt && coupon.endsAt < now)
+    throw new BadRequestError('Coupon has expired', 'COUPON_NOT_APPLICABLE');
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit)
+    throw new BadRequestError(
+      'Coupon usage limit reached',
+      'COUPON_NOT_APPLICABLE',
+    );
+
+  if (coupon.perUserLimit != null && userId) {
+    const usage = await CouponUsage.findOne({
+      coupon: coupon._id,
+      user: userId,
+    });
+    if (usage && usage.count >= coupon.perUserLimit)
+      throw new BadRequestError(
+        'You have already used this coupon',
+        'COUPON_NOT_APPLICABLE',
+      );
+  }
+
+  const subtotal = lines.reduce((s, l) => s + l.lineTotal, 0);
+  if (subtotal < coupon.minSubtotal)
+    throw new BadRequestError(
+      `Coupon requires a minimum subtotal of ${formatMoney(coupon.minSubtotal, currency)}`,
+      'COUPON_NOT_APPLICABLE',
+    );
+
+  const eligible = lines
+    .filter((l) => isEligible(coupon, l))
+    .reduce((s, l) => s + l.lineTotal, 0);
+  if (eligible <= 0)
+    throw new BadRequestError(
+      'Coupon does not apply to items in your cart',
+      'COUPON_NOT_APPLICABLE',
+    );
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = percentOf(eligible, coupon.value);
+    if (coupon.maxDiscount != null)
+      discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === 'fixed') {
+    discount = Math.min(coupon.value, eligible);
+  }
+
+  return {
+    discount,
+    freeShipping: coupon.type === 'free_shipping',
+  };
+}
+
+/**
+ * Split an order-level discount across the eligible lines, in proportion to
+ * their totals (used for per-line tax). Returns one amount per line, in
+ * whole minor units that add up to exactly `discount`.
+ */
+function allocateDiscount(coupon, lines, discount) {
+  const shares = lines.map(() => 0);
+  if (!coupon || !(discount > 0)) return shares;
+
+  const eligible = lines
+    .map((l, idx) => (isEligible(coupon, l) ? idx : -1))
+    .filter((idx) => idx >= 0);
+  const parts = allocate(
+    discount,
+    eligible.map((idx) => lines[idx].lineTotal),
+  );
+  eligible.forEach((idx, n) => (shares[idx] = parts[n]));
+  return shares;
+}
+
+/**
+ * Count one use of the coupon, atomically, inside the checkout transaction.
+ * Both the global and the per-user limit are enforced by the update filters.
+ */
+async function redeemCoupon(coupon, userId, orderId, session) {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit != null) filter.usedCount = { $lt: coupon.usageLimit };
+  const res = await Coupon.updateOne(
+    filter,
+    { $inc: { usedCount: 1 } },
+    { session },
+  );
+  if (res.modifiedCount !== 1)
+    throw new ConflictError(
+      'Coupon usage limit reached',
+      'COUPON_NOT_APPLICABLE',
+    );
+
+  const usageFilter = { coupon: coupon._id, user: userId };
+  if (coupon.perUserLimit != null)
+    usageFilter.count = { $lt: coupon.perUserLimit };
+  try {
+    // At the limit the filter misses, the upsert hits the unique index → 11000
+    await CouponUsage.updateOne(
+      usageFilter,
+      { $inc: { count: 1 }, $push: { orders: orderId } },
+      { upsert: true, session },
+    );
+  } catch (err) {
+    if (err.code === 11000)
+      throw new ConflictError(
+        'You have already used this coupon',
+        'COUPON_NOT_APPLICABLE',
+      );
+    throw err;
+  }
+}
+
+/** Give a use back (order cancelled) */
+async function releaseCoupon(couponId, userId, orderId, session) {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session },
+  );
+  await CouponUsage.updateOne(
+    { coupon: couponId, user: userId, orders: orderId },
+    { $inc: { count: -1 }, $pull: { orders: orderId } },
+    { session },
+  );
+}
+
+module.exports = {
+  toCouponLine,
+  withCategoryAncestors,
+  evaluateCoupon,
+  allocateDiscount,
+  redeemCoupon,
+  releaseCoupon,
+};
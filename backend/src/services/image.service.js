@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { BadRequestError } = require('../errors');
+const sharp = require('sharp');
+const Image = require('../models/image.model');
+const Product = require('../models/product.model');
+const { putObject, removeObject } = require('./storage');
+
+/**
+ * Product image uploads. The original is stored as uploaded; thumbnails
+ * are WebP, resized to fit inside THUMBNAILS[name] px (never enlarged).
+ */
+const FORMATS = {
+  jpeg: { ext: 'jpg', contentType: 'image/jpeg' },
+  png: { ext: 'png', contentType: 'image/png' },
+  webp: { ext: 'webp', contentType: 'image/webp' },
+  avif: { ext: 'avif', contentType: 'image/avif' },
+};
+
+const THUMBNAILS = { small: 200, medium: 600 };
+
+/**
+ * Validate and store one uploaded file ({ buffer, size } from multer).
+ * The format is read from the bytes, not the client's Content-Type.
+ */
+async function storeImage(file, userId) {
+  let meta;
+  try {
+    meta = await sharp(file.buffer).metadata();
+  } catch {
+    throw new BadRequestError('File is not a readable image');
+  }
+  // sharp reports AVIF (and HEIC) as 'heif'
+  const format = meta.format === 'heif' ? meta.compression : meta.format;
+  const type = FORMATS[format];
+  if (!type)
+    throw new BadRequestError(
+      `Unsupported image type; use ${Object.keys(FORMATS).join(', ')}`,
+    );
+
+  const month = new Date().toISOString().slice(0, 7).replace('-', '/');
+  const base = `products/${month}/${crypto.randomBytes(12).toString('hex')}`;
+  const key = `${base}.${type.ext}`;
+  const stored = [];
+
+  try {
+    const url = await putObject(key, file.buffer, type.contentType);
+    stored.push(key);
+
+    const thumbnails = [];
+    for (const [name, size] of Object.entries(THUMBNAILS)) {
+      const { data, info } = await sharp(file.buffer)
+        .rotate() // honour EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      const thumbKey = `${base}-${name}.webp`;
+      const thumbUrl = await putObject(thumbKey, data, 'image/webp');
+      stored.push(thumbKey);
+      thumbnails.push({
+        name,
+        key: thumbKey,
+        url: thumbUrl,
+        width: info.width,
+        height: info.height,
+      });
+    }
+
+    return await Image.create({
+      key,
+      url,
+      contentType: type.contentType,
+      size: file.size,
+      width: meta.width,
+      height: meta.height,
+      thumbnails,
+      uploadedBy: userId,
+    });
+  } catch (err) {
+    await Promise.all(stored.map((k) => removeObject(k).catch(() => {})));
+    throw err;
+  }
+}
+
+/** Every image URL a product uses (gallery + variant images) */
+function imageUrls(product) {
+  return [
+    ...product.images.map((i) => i.url),
+    ...product.variants.flatMap((v) => v.images),
+  ];
+}
+
+/**
+ * Normalise an images payload: order by sortOrder (then list order),
+ * renumber 0..n-1, keep exactly one primary (the first flagged, else the
+ * first image) and attach thumbnail URLs for uploaded images.
+ */
+async function prepareImages(images) {
+  const sorted = images
+    .map((img, idx) => ({ ...img, idx }))
+    .sort(
+      (a, b) =>
+        (a.sortOrder ?? a.idx) - (b.sortOrder ?? b.idx) || a.idx - b.idx,
+    );
+  const primary = Math.max(
+    sorted.findIndex((img) => img.isPrimary),
+    0,
+  );
+  const uploaded = await Image.find({ url: { $in: sorted.map((i) => i.url) } });
+  const byUrl = new Map(uploaded.map((u) => [u.url, u]));
+
+  return sorted.map((img, i) => ({
+    url: img.url,
+    alt: img.alt ?? '',
+    sortOrder: i,
+    isPrimary: i === primary,
+    thumbnails: byUrl.get(img.url)?.thumbnailUrls() ?? {},
+  }));
+}
+
+/** Delete an image's files and record */
+async function destroyImage(image) {
+  await Promise.all(
+    [image.key, ...image.thumbnails.map((t) => t.key)].map(removeObject),
+  );
+  await image.deleteOne();
+}
+
+/** Is any product still using this URL? */
+function isReferenced(url) {
+  return Product.exists({
+    $or: [{ 'images.url': url }, { 'variants.images': url }],
+  });
+}
+
+/**
+ * After a product's images change: delete uploads whose URL was dropped
+ * and that no other product uses. External URLs are ignored.
+ */
+async function releaseImages(before, after) {
+  const kept = new Set(after);
+  const dropped = [...new Set(before)].filter((url) => !kept.has(url));
+  if (dropped.length === 0) return;
+
+  const images = await Image.find({ url: { $in: dropped } });
+  for (const image of images) {
+    if (!(await isReferenced(image.url))) await destroyImage(image);
+  }
+}
+
+/**
+ * Delete uploads older than `olderThan` that no product uses
+ * (uploaded but never attached, or left behind by a failed release).
+ */
+async function pruneOrphanImages(olderThan) {
+  let removed = 0;
+  const cursor = Image.find({ createdAt: { $lt: olderThan } }).cursor();
+  for await (const image of cursor) {
+    if (await isReferenced(image.url)) continue;
+    await destroyImage(image);
+    removed++;
+  }
+  return removed;
+}
+
+module.exports = {
+  FORMATS,
+  storeImage,
+  imageUrls,
+  prepareImages,
+  destroyImage,
+  isReferenced,
+  releaseImages,
+  pruneOrphanImages,
+};
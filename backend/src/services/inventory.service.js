@@ -0,0 +1,186 @@
+const { ConflictError } = require('../errors');
+const Product = require('../models/product.model');
+const StockMovement = require('../models/stock-movement.model');
+const StockAlert = require('../models/stock-alert.model');
+const User = require('../models/user.model');
+const env = require('../config/env');
+const { rolesWith } = require('../config/roles');
+const { sendMail } = require('./mailer');
+const { lowStockEmail } = require('./mailer/templates');
+
+/**
+ * Stock moves for order lines ({ product, variant, qty }) and admin
+ * adjustments. Variant lines update the variant and the product-level total
+ * together. Every move is written to the StockMovement ledger; `ctx` carries
+ * { reason, order, user, note } for it.
+ */
+
+function thresholdFor(product) {
+  return product.lowStockThreshold ?? env.LOW_STOCK_THRESHOLD;
+}
+
+/** Open or resolve the low-stock alert after a move */
+async function checkLowStock(product, variant, level, delta, session) {
+  const threshold = thresholdFor(product);
+  const key = { product: product._id, variant: variant ? variant._id : null };
+
+  if (delta < 0 && level <= threshold) {
+    await StockAlert.updateOne(
+      { ...key, status: 'open' },
+      {
+        $setOnInsert: {
+          sku: variant ? variant.sku : null,
+          level,
+          threshold,
+        },
+      },
+      { upsert: true, session },
+    );
+  } else if (delta > 0 && level > threshold) {
+    await StockAlert.updateMany(
+      { ...key, status: 'open' },
+      { status: 'resolved', resolvedAt: new Date() },
+      { session },
+    );
+  }
+}
+
+/**
+ * Apply a signed delta atomically and record it.
+ * guard: only move if the stock covers it; activeOnly: variant must be active.
+ * Returns the movement, or null when the product/variant didn't match.
+ */
+async function moveStock(
+  { product, variant, delta },
+  session,
+  ctx = {},
+  { guard = false, activeOnly = false } = {},
+) {
+  const cond = {};
+  if (guard) cond.stock = { $gte: -delta };
+  if (activeOnly) cond.isActive = true;
+  const filter = variant
+    ? { _id: product, variants: { $elemMatch: { _id: variant, ...cond } } }
+    : { _id: product, ...(guard && { stock: cond.stock }) };
+  const update = variant
+    ? { $inc: { 'variants.$.stock': delta, stock: delta } }
+    : { $inc: { stock: delta } };
+
+  const doc = await Product.findOneAndUpdate(filter, update, {
+    session,
+    new: true,
+    projection: { stock: 1, variants: 1, lowStockThreshold: 1 },
+  });
+  if (!doc) return null;
+
+  const v = variant ? doc.findVariant(variant) : null;
+  const level = v ? v.stock : doc.stock;
+  const [movement] = await StockMovement.create(
+    [
+      {
+        product: doc._id,
+        variant: v ? v._id : null,
+        sku: v ? v.sku : null,
+        reason: ctx.reason,
+        delta,
+        level,
+        order: ctx.order ?? null,
+        user: ctx.user ?? null,
+        note: ctx.note ?? null,
+      },
+    ],
+    { session },
+  );
+  await checkLowStock(doc, v, level, delta, session);
+  return movement;
+}
+
+/** Atomically take stock; returns false if there isn't enough */
+async function decrementStock({ product, variant, qty }, session, ctx = {}) {
+  const moved = await moveStock(
+    { product, variant, delta: -qty },
+    session,
+    { reason: 'order', ...ctx },
+    { guard: true, activeOnly: true },
+  );
+  return moved !== null;
+}
+
+/** Put stock back (cancellations, returns) */
+async function restoreStock({ product, variant, qty }, session, ctx = {}) {
+  await moveStock({ product, variant, delta: qty }, session, ctx);
+}
+
+/**
+ * Admin adjustment by a signed delta. Throws 409 if it would take the
+ * stock below zero.
+ */
+async function adjustStock({ product, variant, delta }, ctx, session) {
+  const movement = await moveStock({ product, variant, delta }, session, ctx, {
+    guard: delta < 0,
+  });
+  if (!movement)
+    throw new ConflictError(
+      'Adjustment would take stock below zero',
+      'OUT_OF_STOCK',
+    );
+  return movement;
+}
+
+/**
+ * Ledger entries for stock a product starts with (creation, new variants).
+ * The stock is already on the document; this only records it.
+ */
+async function recordInitialStock(product, variants, ctx = {}, session) {
+  const rows = (variants ?? [null])
+    .map((v) => ({
+      product: product._id,
+      variant: v ? v._id : null,
+      sku: v ? v.sku : null,
+      reason: 'initial',
+      delta: v ? v.stock : product.stock,
+      level: v ? v.stock : product.stock,
+      user: ctx.user ?? null,
+      note: ctx.note ?? null,
+    }))
+    .filter((r) => r.delta !== 0);
+  if (rows.length > 0) await StockMovement.insertMany(rows, { session });
+}
+
+/**
+ * Email inventory staff about alerts not yet notified. Call after the transaction
+ * that opened them commits; failures leave them for the next call.
+ */
+async function sendLowStockAlerts() {
+  const alerts = await StockAlert.find({
+    status: 'open',
+    notifiedAt: null,
+  }).populate('product', 'title slug');
+  if (alerts.length === 0) return;
+
+  const to = env.LOW_STOCK_ALERT_EMAIL
+    ? env.LOW_STOCK_ALERT_EMAIL
+    : (
+        await User.find({
+          role: { $in: rolesWith('inventory:write') },
+          isDisabled: { $ne: true },
+        }).select('email')
+      )
+        .map((u) => u.email)
+        .join(', ');
+  if (!to) return;
+
+  await sendMail(lowStockEmail(to, alerts));
+  await StockAlert.updateMany(
+    { _id: { $in: alerts.map((a) => a._id) } },
+    { notifiedAt: new Date() },
+  );
+}
+
+module.exports = {
+  decrementStock,
+  restoreStock,
+  adjustStock,
+  recordInitialStock,
+  sendLowStockAlerts,
+};
@@ -0,0 +1,48 @@
+const env = require('../config/env');
+const { LOGIN_LOCKOUT } = require('../config/rate-limits');
+const store = require('./rate-limit');
+
+/**
+ * Progressive lockout for sign-in (see LOGIN_LOCKOUT). Accounts are keyed
+ * by email whether or not they exist, so locks don't reveal which emails
+ * are registered.
+ */
+
+const subjects = (email, ip) => [
+  { key: `account:${email.trim().toLowerCase()}`, ...LOGIN_LOCKOUT.account },
+  { key: `ip:${ip}`, ...LOGIN_LOCKOUT.ip },
+];
+
+/** When the account or IP may try again, or null if neither is locked */
+async function loginLockedUntil(email, ip) {
+  if (!env.RATE_LIMIT_ENABLED) return null;
+  let until = null;
+  for (const { key } of subjects(email, ip)) {
+    const lock = await store.get(`login:lock:${key}`);
+    if (lock && (!until || lock.resetAt > until)) until = lock.resetAt;
+  }
+  return until;
+}
+
+/** Count a failed sign-in; locks the account / IP once past its threshold */
+async function recordLoginFailure(email, ip) {
+  if (!env.RATE_LIMIT_ENABLED) return;
+  const { failureWindowMs, baseLockMs, maxLockMs } = LOGIN_LOCKOUT;
+  for (const { key, threshold } of subjects(email, ip)) {
+    const { count } = await store.increment(
+      `login:fail:${key}`,
+      failureWindowMs,
+    );
+    if (count < threshold) continue;
+    const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+    await store.increment(`login:lock:${key}`, lockMs);
+  }
+}
+
+/** A successful sign-in forgives the account's earlier failures */
+async function clearLoginFailures(email) {
+  const [account] = subjects(email, '');
+  await store.reset(`login:fail:${account.key}`);
+}
+
+module.exports = { loginLockedUntil, recordLoginFailure, clearLoginFailures };
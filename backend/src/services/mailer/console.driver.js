@@ -0,0 +1,9 @@
+/** Print messages to stdout instead of sending them (local development) */
+async function send(message) {
+  console.log(
+    `📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`,
+  );
+  return { logged: true };
+}
+
+module.exports = { send };
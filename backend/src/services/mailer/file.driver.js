@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const path = require('path');
+const env = require('../../config/env');
+
+/**
+ * Write each message as a JSON file into MAIL_FILE_DIR (dev + tests).
+ * Files are named <timestamp>-<recipient>.json so the newest sorts last.
+ */
+async function send(message) {
+  await fs.mkdir(env.MAIL_FILE_DIR, { recursive: true });
+  const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(env.MAIL_FILE_DIR, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(
+    file,
+    JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+  );
+  return { file };
+}
+
+module.exports = { send };
@@ -0,0 +1,29 @@
+const env = require('../../config/env');
+
+/**
+ * Mail transport abstraction.
+ * Every driver exposes send({ from, to, subject, text, html }).
+ * MAIL_DRIVER picks one: smtp | file | console (default outside production).
+ */
+const drivers = {
+  smtp: () => require('./smtp.driver'),
+  file: () => require('./file.driver'),
+  console: () => require('./console.driver'),
+};
+
+let driver = null;
+
+function getDriver() {
+  if (!driver) {
+    const load = drivers[env.MAIL_DRIVER];
+    if (!load) throw new Error(`Unknown MAIL_DRIVER "${env.MAIL_DRIVER}"`);
+    driver = load();
+  }
+  return driver;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getDriver().send({ from: env.MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = { sendMail };
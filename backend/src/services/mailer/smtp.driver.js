@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+const env = require('../../config/env');
+
+const transport = nodemailer.createTransport({
+  host: env.SMTP_HOST,
+  port: env.SMTP_PORT,
+  secure: env.SMTP_SECURE,
+  auth: env.SMTP_USER
+    ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+    : undefined,
+});
+
+/** Deliver through a real SMTP server */
+function send(message) {
+  return transport.sendMail(message);
+}
+
+module.exports = { send };
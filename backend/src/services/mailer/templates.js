@@ -0,0 +1,50 @@
+const env = require('../../config/env');
+
+/** Plain-text + HTML bodies for account emails */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/** Every value interpolated into an HTML body goes through this */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
+
+function passwordResetEmail(user, token) {
+  const link = `${env.APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nReset your password here (valid for ${env.PASSWORD_RESET_TTL_MINUTES} minutes):\n${link}\n\nIf you didn't ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${escapeHtml(link)}">Reset your password</a> (valid for ${env.PASSWORD_RESET_TTL_MINUTES} minutes).</p><p>If you didn't ask for this, ignore this email.</p>`,
+  };
+}
+
+function verifyEmailEmail(user, token) {
+  const link = `${env.APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address here:\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${escapeHtml(link)}">Confirm your email address</a>.</p>`,
+  };
+}
+
+function lowStockEmail(to, alerts) {
+  const lines = alerts.map(
+    (a) =>
+      `${a.product ? a.product.title : 'Deleted product'} ${a.sku ? `(${a.sku}) ` : ''}— ${a.level} left (threshold ${a.threshold})`,
+  );
+  return {
+    to,
+    subject: `Low stock: ${alerts.length} item${alerts.length === 1 ? '' : 's'}`,
+    text: `These items are running low:\n\n${lines.join('\n')}`,
+    html: `<p>These items are running low:</p><ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`,
+  };
+}
+
+module.exports = { passwordResetEmail, verifyEmailEmail, lowStockEmail };
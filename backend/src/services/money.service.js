@@ -0,0 +1,74 @@
+const { z } = require('zod');
+const env = require('../config/env');
+
+/**
+ * Money is stored and calculated as integer minor units (cents, paisa)
+ * alongside an ISO 4217 currency code; 1999 USD means $19.99. Anything that
+ * divides (percentages, discount splits, tax) rounds to a whole unit here,
+ * so totals always add up exactly.
+ */
+
+// The base currency is always sellable
+const CURRENCIES = [...new Set([env.CURRENCY, ...env.CURRENCIES])];
+
+/** Zod: a supported currency code (case-insensitive) */
+const currencyInput = z
+  .string()
+  .transform((c) => c.trim().toUpperCase())
+  .pipe(z.enum(CURRENCIES));
+
+/** Zod: a non-negative amount in minor units */
+const amountInput = z.number().int().nonnegative();
+
+/** `percent`% of an amount, rounded half up to a whole minor unit */
+function percentOf(amount, percent) {
+  return Math.round((amount * percent) / 100);
+}
+
+/**
+ * Split `total` over `weights` in proportion, in whole units (largest
+ * remainder), so the parts always sum to exactly `total`.
+ */
+function allocate(total, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (!(sum > 0) || total === 0) return weights.map(() => 0);
+
+  const exact = weights.map((w) => (total * w) / sum);
+  const parts = exact.map(Math.floor);
+  let left = total - parts.reduce((s, p) => s + p, 0);
+  const byRemainder = exact
+    .map((x, idx) => ({ idx, rem: x - parts[idx] }))
+    .sort((a, b) => b.rem - a.rem || a.idx - b.idx);
+  for (const { idx } of byRemainder) {
+    if (left <= 0) break;
+    parts[idx] += 1;
+    left -= 1;
+  }
+  return parts;
+}
+
+/** Minor units per major unit (100 for USD/EUR/PKR) */
+function minorFactor(currency) {
+  const digits = new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+  return 10 ** digits;
+}
+
+/** 1999, 'USD' -> '$19.99' (emails, messages) */
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).format(
+    amount / minorFactor(currency),
+  );
+}
+
+module.exports = {
+  CURRENCIES,
+  currencyInput,
+  amountInput,
+  percentOf,
+  allocate,
+  minorFactor,
+  formatMoney,
+};
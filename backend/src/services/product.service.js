@@ -0,0 +1,205 @@
+const { z } = require('zod');
+const slugify = require('slugify');
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const { CURRENCIES, currencyInput, amountInput } = require('./money.service');
+
+/**
+ * Product helpers shared by the product endpoints and catalog import.
+ */
+
+/**
+ * Convert text to a clean slug.
+ */
+function toSlug(input) {
+  return slugify(input, { lower: true, strict: true, trim: true });
+}
+
+/**
+ * Ensure slug uniqueness in Product collection.
+ * Will suffix with -2, -3 if needed.
+ */
+async function uniqueSlug(baseText, excludeId = null) {
+  const base = toSlug(baseText);
+  let candidate = base;
+  let n = 2;
+
+  // try base, then base-2, base-3, ...
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const q = { slug: candidate };
+    if (excludeId) q._id = { $ne: excludeId };
+    const exists = await Product.findOne(q).lean();
+    if (!exists) return candidate;
+    candidate = `${base}-${n++}`;
+  }
+}
+
+/**
+ * Helper: resolve category & subcategory by slug.
+ * Validates that subcategory has a parent and, when both are given, sits
+ * somewhere below the category (any depth).
+ * Returns ObjectId(s) or nulls.
+ */
+async function resolveCategoryRefs(categorySlug, subcategorySlug) {
+  let category = null;
+  let subcategory = null;
+
+  if (categorySlug) {
+    category = await Category.findOne({ slug: categorySlug, isActive: true });
+    if (!category) throw new Error('categorySlug not found');
+  }
+
+  if (subcategorySlug) {
+    subcategory = await Category.findOne({
+      slug: subcategorySlug,
+      isActive: true,
+    });
+    if (!subcategory) throw new Error('subcategorySlug not found');
+    if (!subcategory.parent)
+      throw new Error('subcategorySlug is not a subcategory');
+  }
+
+  // If both provided, ensure subcategory is a descendant of category
+  if (
+    subcategory &&
+    category &&
+    !subcategory.ancestors.some((id) => String(id) === String(category._id))
+  ) {
+    throw new Error('subcategory does not belong to the given category');
+  }
+
+  return {
+    categoryId: category ? category._id : null,
+    subcategoryId: subcategory ? subcategory._id : null,
+  };
+}
+
+/**
+ * Gallery image: { url, alt?, sortOrder?, isPrimary? }, or just the URL.
+ * URLs come from POST /api/uploads/images or any external host.
+ */
+const imageInput = z.union([
+  z
+    .string()
+    .url()
+    .transform((url) => ({ url })),
+  z.object({
+    url: z.string().url(),
+    alt: z.string().max(200).optional(),
+    sortOrder: z.number().int().optional(),
+    isPrimary: z.boolean().optional(),
+  }),
+]);
+
+/** Price list: { EUR: 1799, PKR: 550000 } (minor units per currency) */
+const pricesInput = z.partialRecord(z.enum(CURRENCIES), amountInput);
+
+/** Variant option definitions + SKUs (see product.model.js) */
+const optionInput = z.object({
+  name: z.string().min(1),
+  values: z.array(z.string().min(1)).min(1),
+});
+
+const variantInput = z.object({
+  sku: z.string().min(1),
+  options: z.record(z.string(), z.string()),
+  price: amountInput.nullable().optional(), // null = use product price
+  prices: pricesInput.optional(), // other currencies; missing = product's
+  stock: z.number().int().nonnegative().optional(),
+  weight: z.number().nonnegative().nullable().optional(), // grams
+  images: z.array(z.string().url()).optional(),
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Reject SKUs already used by another product.
+ * (The unique index is the final guard; this gives a friendly error.)
+ */
+async function findSkuConflict(variants, excludeId = null) {
+  if (!variants || variants.length === 0) return null;
+  const q = { 'variants.sku': { $in: variants.map((v) => v.sku) } };
+  if (excludeId) q._id = { $ne: excludeId };
+  const other = await Product.findOne(q).lean();
+  if (!other) return null;
+  const taken = new Set(other.variants.map((v) => v.sku));
+  return variants.find((v) => taken.has(v.sku)).sku;
+}
+
+/**
+ * Stock only changes through the ledger (POST /api/inventory/:slug/adjustments),
+ * so a variant list update may not change or drop stock it already holds.
+ */
+function variantStockError(product, incoming) {
+  if (product.variants.length === 0 && product.stock > 0 && incoming.length)
+    return 'Adjust product stock to 0 before adding variants';
+  const bySku = new Map(incoming.map((v) => [v.sku, v]));
+  for (const v of product.variants) {
+    const next = bySku.get(v.sku);
+    if (!next && v.stock > 0)
+      return `Adjust ${v.sku} stock to 0 before removing it`;
+    if (next && next.stock !== undefined && next.stock !== v.stock)
+      return `Use stock adjustments to change ${v.sku} stock`;
+  }
+  return null;
+}
+
+/**
+ * Map incoming variants onto the product, keeping the _id of variants whose
+ * SKU already exists so carts pointing at them stay valid. Existing SKUs
+ * keep their stock; new ones start with the given stock.
+ */
+function mergeVariants(existing, incoming) {
+  const bySku = new Map(existing.map((v) => [v.sku, v]));
+  return incoming.map((v) => ({
+    _id: bySku.get(v.sku)?._id,
+    sku: v.sku,
+    options: v.options,
+    price: v.price ?? null,
+    prices: v.prices ?? {},
+    stock: bySku.has(v.sku) ? bySku.get(v.sku).stock : (v.stock ?? 0),
+    weight: v.weight ?? null,
+    images: v.images ?? [],
+    isActive: v.isActive ?? true,
+  }));
+}
+
+/**
+ * Product payload for POST /api/products and catalog import.
+ * - slug is optional — will be generated from title if not provided.
+ * - categorySlug / subcategorySlug are optional and validated if present.
+ * - options/variants are optional; with variants, stock is per variant.
+ * - price is integer minor units (1999 = 19.99) of `currency`; `prices` adds
+ *   optional prices in the other storefront currencies.
+ */
+const productInput = z.object({
+  title: z.string().min(2),
+  slug: z.string().min(2).optional(),
+  description: z.string().optional(),
+  price: amountInput, // minor units of `currency`
+  currency: currencyInput.optional(), // default: base currency (CURRENCY)
+  prices: pricesInput.optional(),
+  stock: z.number().int().nonnegative().optional(),
+  weight: z.number().nonnegative().optional(), // grams
+  lowStockThreshold: z.number().int().nonnegative().nullable().optional(),
+  taxClass: z.enum(['standard', 'reduced', 'exempt']).optional(),
+  images: z.array(imageInput).optional(),
+  options: z.array(optionInput).optional(),
+  variants: z.array(variantInput).optional(),
+  categorySlug: z.string().optional(),
+  subcategorySlug: z.string().optional(),
+});
+
+module.exports = {
+  imageInput,
+  pricesInput,
+  optionInput,
+  variantInput,
+  productInput,
+  toSlug,
+  uniqueSlug,
+  resolveCategoryRefs,
+  findSkuConflict,
+  variantStockError,
+  mergeVariants,
+};
@@ -0,0 +1,40 @@
+const env = require('../../config/env');
+
+/**
+ * Counter store for rate limiting and login lockout.
+ * Every store exposes increment(key, windowMs) -> { count, resetAt },
+ * get(key) -> { count, resetAt } | null and reset(key). A counter's window
+ * starts at its first increment and it disappears once `resetAt` passes.
+ * RATE_LIMIT_STORE picks one: memory (default, per process) | mongo
+ * (shared by every API instance).
+ */
+const stores = {
+  memory: () => require('./memory.store'),
+  mongo: () => require('./mongo.store'),
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const load = stores[env.RATE_LIMIT_STORE];
+    if (!load)
+      throw new Error(`Unknown RATE_LIMIT_STORE "${env.RATE_LIMIT_STORE}"`);
+    store = load();
+  }
+  return store;
+}
+
+async function increment(key, windowMs) {
+  return getStore().increment(key, windowMs);
+}
+
+async function get(key) {
+  return getStore().get(key);
+}
+
+async function reset(key) {
+  return getStore().reset(key);
+}
+
+module.exports = { increment, get, reset };
@@ -0,0 +1,40 @@
+/**
+ * Counters in this process's memory. Each API instance counts on its own,
+ * so behind a load balancer use the mongo store instead.
+ */
+const counters = new Map();
+
+function live(key, now = Date.now()) {
+  const counter = counters.get(key);
+  if (counter && counter.resetAt.getTime() > now) return counter;
+  counters.delete(key);
+  return null;
+}
+
+async function increment(key, windowMs) {
+  const now = Date.now();
+  let counter = live(key, now);
+  if (!counter) {
+    counter = { count: 0, resetAt: new Date(now + windowMs) };
+    counters.set(key, counter);
+  }
+  counter.count += 1;
+  return { ...counter };
+}
+
+async function get(key) {
+  const counter = live(key);
+  return counter ? { ...counter } : null;
+}
+
+async function reset(key) {
+  counters.delete(key);
+}
+
+// Drop expired counters now and then so the map doesn't grow unbounded
+setInterval(() => {
+  const now = Date.now();
+  for (const key of counters.keys()) live(key, now);
+}, 60 * 1000).unref();
+
+module.exports = { increment, get, reset };
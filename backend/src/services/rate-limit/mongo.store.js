@@ -0,0 +1,40 @@
+const RateLimit = require('../../models/rate-limit.model');
+
+/**
+ * Counters in the RateLimit collection, shared by every API instance.
+ * Increments are a single atomic upsert: an expired counter restarts at 1
+ * with a new window.
+ */
+async function increment(key, windowMs) {
+  const now = new Date();
+  const active = { $gt: ['$expiresAt', now] };
+  const doc = await RateLimit.collection.findOneAndUpdate(
+    { _id: key },
+    [
+      {
+        $set: {
+          count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+          expiresAt: {
+            $cond: [active, '$expiresAt', new Date(now.getTime() + windowMs)],
+          },
+        },
+      },
+    ],
+    { upsert: true, returnDocument: 'after' },
+  );
+  return { count: doc.count, resetAt: doc.expiresAt };
+}
+
+async function get(key) {
+  const doc = await RateLimit.findOne({
+    _id: key,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  return doc ? { count: doc.count, resetAt: doc.expiresAt } : null;
+}
+
+async function reset(key) {
+  await RateLimit.deleteOne({ _id: key });
+}
+
+module.exports = { increment, get, reset };
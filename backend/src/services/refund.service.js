@@ -0,0 +1,57 @@
+const Payment = require('../models/payment.model');
+const { getStripe } = require('../config/stripe');
+const { AppError } = require('../errors');
+
+/**
+ * Give money back on an order (returns, cancelling a paid order). Card
+ * orders are refunded through Stripe; COD refunds are recorded as manual.
+ * Updates the payment, order.refundedTotal and order.paymentStatus; the
+ * caller saves the order. Callers check `orders:refund`.
+ * `key` makes the Stripe call idempotent (e.g. `return_<id>`).
+ * Returns the refund record: { amount, method, providerRefundId?, at }.
+ */
+async function refundOrder(order, amount, { key, metadata = {}, by }) {
+  let refund = { amount, method: 'manual', at: new Date() };
+  const payment = order.payment ? await Payment.findById(order.payment) : null;
+  if (payment) {
+    try {
+      const stripeRefund = await getStripe().refunds.create(
+        {
+          payment_intent: payment.intentId,
+          amount,
+          metadata: { orderId: String(order._id), ...metadata },
+        },
+        { idempotencyKey: key },
+      );
+      refund = {
+        ...refund,
+        method: 'stripe',
+        providerRefundId: stripeRefund.id,
+      };
+    } catch (err) {
+      throw new AppError(
+        502,
+        'PAYMENT_PROVIDER_ERROR',
+        `Payment provider error: ${err.message}`,
+      );
+    }
+    payment.amountRefunded += amount;
+    payment.status =
+      payment.amountRefunded >= payment.amount
+        ? 'refunded'
+        : 'partially_refunded';
+    await payment.save();
+  }
+
+  // Card refunds: the same total the charge.refunded webhook writes
+  order.refundedTotal = payment
+    ? payment.amountRefunded
+    : order.refundedTotal + amount;
+  order.setPaymentStatus(
+    order.refundedTotal >= order.grandTotal ? 'refunded' : 'partially_refunded',
+    by,
+  );
+  return refund;
+}
+
+module.exports = { refundOrder };
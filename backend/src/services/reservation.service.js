@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { ConflictError } = require('../errors');
+const CheckoutSession = require('../models/checkout-session.model');
+const Product = require('../models/product.model');
+const env = require('../config/env');
+
+/**
+ * Stock reservations held by checkout sessions.
+ * Available = stock - quantities held by *other* users' unexpired sessions.
+ */
+
+function lineKey(product, variant) {
+  return `${product}:${variant || ''}`;
+}
+
+/**
+ * Reserved qty per product/variant (Map keyed by lineKey).
+ * excludeUser: ignore that user's own session.
+ * upTo: only count sessions created up to (and including) this session id.
+ */
+async function reservedQuantities(productIds, { excludeUser, upTo } = {}) {
+  const ids = productIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const match = {
+    expiresAt: { $gt: new Date() },
+    'items.product': { $in: ids },
+  };
+  if (excludeUser)
+    match.user = { $ne: new mongoose.Types.ObjectId(String(excludeUser)) };
+  if (upTo) match._id = { $lte: upTo };
+
+  const rows = await CheckoutSession.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: ids } } },
+    {
+      $group: {
+        _id: { product: '$items.product', variant: '$items.variant' },
+        qty: { $sum: '$items.qty' },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((r) => [lineKey(r._id.product, r._id.variant), r.qty]),
+  );
+}
+
+/** Stock left for a product/variant once reservations are taken out */
+function availableQty(product, variant, reserved) {
+  const held = reserved.get(lineKey(product._id, variant?._id)) || 0;
+  return Math.max(0, product.stockFor(variant) - held);
+}
+
+/** Units of a product (over its active variants) not held by checkouts */
+function totalAvailable(product, reserved) {
+  if (product.variants.length === 0)
+    return availableQty(product, null, reserved);
+  return product.variants.reduce(
+    (sum, v) => sum + availableQty(product, v, reserved),
+    0,
+  );
+}
+
+/**
+ * Ids of products that have stock but none of it available: every unit is
+ * held by unexpired checkout sessions (for the catalog's inStock filter).
+ */
+async function heldOutProductIds() {
+  const ids = await CheckoutSession.distinct('items.product', {
+    expiresAt: { $gt: new Date() },
+  });
+  if (ids.length === 0) return [];
+  const [reserved, products] = await Promise.all([
+    reservedQuantities(ids),
+    Product.find({ _id: { $in: ids }, stock: { $gt: 0 } }).select(
+      'stock variants',
+    ),
+  ]);
+  return products
+    .filter((p) => totalAvailable(p, reserved) === 0)
+    .map((p) => p._id);
+}
+
+/**
+ * Plain product objects with `available` on the product and each variant
+ * (for the public catalog endpoints).
+ */
+async function withAvailability(products) {
+  if (products.length === 0) return [];
+  const reserved = await reservedQuantities(products.map((p) => p._id));
+
+  return products.map((p) => {
+    const obj = p.toJSON(); // flattens variant option Maps
+    if (p.variants.length === 0) {
+      obj.available = availableQty(p, null, reserved);
+      return obj;
+    }
+    obj.variants = p.variants.map((v, idx) => ({
+      ...obj.variants[idx],
+      available: availableQty(p, v, reserved),
+    }));
+    obj.available = obj.variants.reduce((s, v) => s + v.available, 0);
+    return obj;
+  });
+}
+
+/** The user's unexpired checkout session, if any */
+function getActiveSession(userId) {
+  return CheckoutSession.findOne({
+    user: userId,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/** Drop the user's checkout session(s), giving the stock back.
+ * `session` is an optional MongoDB transaction session. */
+async function releaseSession(userId, session) {
+  await CheckoutSession.deleteMany({ user: userId }, { session });
+}
+
+/**
+ * Start (or restart) a checkout: hold every line of the populated cart for
+ * CHECKOUT_RESERVATION_TTL_MINUTES. Throws 409 naming the first line that
+ * can't be held.
+ *
+ * Insert-then-verify: the new session only keeps its hold if the stock
+ * covers it plus every session created before it. Of two shoppers racing
+ * for the last unit, the later session is the one that backs out.
+ */
+async function reserveCart(userId, cart) {
+  await releaseSession(userId);
+
+  const items = cart.items.map((i) => ({
+    product: i.product._id,
+    variant: i.variant || null,
+    qty: i.qty,
+  }));
+  const expiresAt = new Date(
+    Date.now() + env.CHECKOUT_RESERVATION_TTL_MINUTES * 60 * 1000,
+  );
+  const checkout = await CheckoutSession.create({
+    user: userId,
+    items,
+    expiresAt,
+  });
+
+  const reserved = await reservedQuantities(
+    items.map((i) => i.product),
+    { upTo: checkout._id },
+  );
+  for (const i of cart.items) {
+    const variant = i.product.findVariant(i.variant);
+    const held = reserved.get(lineKey(i.product._id, i.variant)) || 0;
+    if (held > i.product.stockFor(variant)) {
+      await checkout.deleteOne();
+      throw new ConflictError(
+        `Not enough stock to reserve ${variant ? variant.sku : i.product.slug}`,
+        'OUT_OF_STOCK',
+      );
+    }
+  }
+  return checkout;
+}
+
+module.exports = {
+  lineKey,
+  reservedQuantities,
+  availableQty,
+  heldOutProductIds,
+  withAvailability,
+  getActiveSession,
+  releaseSession,
+  reserveCart,
+};
@@ -0,0 +1,159 @@
+const { BadRequestError } = require('../errors');
+const ShippingZone = require('../models/shipping-zone.model');
+
+/**
+ * Shipping rates: pick the zone for an address and cart currency, then
+ * price its methods for a cart (discounted subtotal in minor units +
+ * weight in grams).
+ */
+
+/** How specifically a zone matches the address (-1 = no match) */
+function matchScore(zone, address) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toLowerCase();
+  const postal = String(address.postalCode || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+
+  const byCountry = zone.countries.includes(country);
+  if (!byCountry && !zone.countries.includes('*')) return -1;
+  if (
+    zone.states.length > 0 &&
+    !zone.states.some((s) => s.toLowerCase() === state)
+  )
+    return -1;
+  if (
+    zone.postalPrefixes.length > 0 &&
+    !zone.postalPrefixes.some((p) => postal.startsWith(p.replace(/\s+/g, '')))
+  )
+    return -1;
+
+  if (zone.postalPrefixes.length > 0) return 3;
+  if (zone.states.length > 0) return 2;
+  return byCountry ? 1 : 0;
+}
+
+/**
+ * Stand-in zone while no zones are defined at all, so a store keeps
+ * shipping for free (as before zones existed) until an admin sets rates.
+ */
+const FREE_SHIPPING_ZONE = {
+  _id: null,
+  name: 'Free shipping',
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard',
+      rateType: 'flat',
+      flatRate: 0,
+      tiers: [],
+      freeShippingThreshold: null,
+      estimatedDays: { min: null, max: null },
+      isActive: true,
+    },
+  ],
+};
+
+/**
+ * Best active zone for an address in `currency`, or null when nobody ships
+ * there (in that currency). With no zones configured, FREE_SHIPPING_ZONE.
+ */
+async function findZone(address, currency) {
+  const country = String(address.country || '').toUpperCase();
+  const zones = await ShippingZone.find({
+    isActive: true,
+    currency,
+    countries: { $in: [country, '*'] },
+  });
+  if (zones.length === 0 && !(await ShippingZone.exists({})))
+    return FREE_SHIPPING_ZONE;
+
+  let best = null;
+  let bestScore = -1;
+  for (const zone of zones) {
+    const score = matchScore(zone, address);
+    if (
+      score > bestScore ||
+      (score === bestScore && score >= 0 && zone.priority > best.priority)
+    ) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Rate of the highest tier whose `min` is <= value (0 if none) */
+function tierRate(tiers, value) {
+  let rate = 0;
+  let floor = -1;
+  for (const t of tiers) {
+    if (t.min <= value && t.min > floor) {
+      rate = t.rate;
+      floor = t.min;
+    }
+  }
+  return rate;
+}
+
+/** Fee for one method; `freeShipping` comes from a coupon */
+function methodFee(method, { subtotal, weight, freeShipping = false }) {
+  if (freeShipping) return 0;
+  if (
+    method.freeShippingThreshold !== null &&
+    method.freeShippingThreshold !== undefined &&
+    subtotal >= method.freeShippingThreshold
+  )
+    return 0;
+  if (method.rateType === 'weight') return tierRate(method.tiers, weight);
+  if (method.rateType === 'subtotal') return tierRate(method.tiers, subtotal);
+  return method.flatRate;
+}
+
+/** Priced list of the zone's active methods, cheapest first */
+function quoteMethods(zone, cart) {
+  return zone.methods
+    .filter((m) => m.isActive)
+    .map((m) => ({
+      code: m.code,
+      name: m.name || m.code,
+      fee: methodFee(m, cart),
+      estimatedDays: {
+        min: m.estimatedDays?.min ?? null,
+        max: m.estimatedDays?.max ?? null,
+      },
+    }))
+    .sort((a, b) => a.fee - b.fee);
+}
+
+/**
+ * Resolve the shipping method for checkout and return the order snapshot.
+ * `cart` is { subtotal, weight, freeShipping, currency }; `code` defaults to
+ * the cheapest method. Throws 400 when the address can't be shipped to or
+ * the method isn't offered there.
+ */
+async function selectShipping(address, cart, code) {
+  const zone = await findZone(address, cart.currency);
+  if (!zone) throw new BadRequestError('We do not ship to this address');
+
+  const methods = quoteMethods(zone, cart);
+  if (methods.length === 0)
+    throw new BadRequestError('No shipping methods available for this address');
+  const method = code ? methods.find((m) => m.code === code) : methods[0];
+  if (!method)
+    throw new BadRequestError(
+      `Shipping method ${code} is not available for this address`,
+    );
+
+  return {
+    zone: zone._id,
+    zoneName: zone.name,
+    method: method.code,
+    name: method.name,
+    fee: method.fee,
+    estimatedDays: method.estimatedDays,
+    weight: cart.weight,
+  };
+}
+
+module.exports = { findZone, quoteMethods, selectShipping };
@@ -0,0 +1,34 @@
+const env = require('../../config/env');
+
+/**
+ * File storage abstraction (uploaded images).
+ * Every driver exposes put(key, body, contentType), remove(key) and url(key).
+ * STORAGE_DRIVER picks one: local (default) | s3.
+ */
+const drivers = {
+  local: () => require('./local.driver'),
+  s3: () => require('./s3.driver'),
+};
+
+let driver = null;
+
+function getDriver() {
+  if (!driver) {
+    const load = drivers[env.STORAGE_DRIVER];
+    if (!load)
+      throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}"`);
+    driver = load();
+  }
+  return driver;
+}
+
+async function putObject(key, body, contentType) {
+  await getDriver().put(key, body, contentType);
+  return getDriver().url(key);
+}
+
+async function removeObject(key) {
+  return getDriver().remove(key);
+}
+
+module.exports = { putObject, removeObject };
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+const env = require('../../config/env');
+
+/**
+ * Files under UPLOAD_DIR (dev + tests), served by app.js at /uploads.
+ */
+function fileFor(key) {
+  return path.join(env.UPLOAD_DIR, ...key.split('/'));
+}
+
+async function put(key, body) {
+  const file = fileFor(key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, body);
+}
+
+async function remove(key) {
+  await fs.rm(fileFor(key), { force: true });
+}
+
+function url(key) {
+  return `${env.UPLOAD_PUBLIC_URL}/${key}`;
+}
+
+module.exports = { put, remove, url };
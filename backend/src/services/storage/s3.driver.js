@@ -0,0 +1,51 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const env = require('../../config/env');
+
+/**
+ * S3 or any S3-compatible store (set S3_ENDPOINT, and usually
+ * S3_FORCE_PATH_STYLE=true, for MinIO and friends). The bucket, or a CDN
+ * at S3_PUBLIC_URL, must allow public reads. Keys are never reused, so
+ * objects are cached forever.
+ */
+const client = new S3Client({
+  region: env.S3_REGION,
+  endpoint: env.S3_ENDPOINT || undefined,
+  forcePathStyle: env.S3_FORCE_PATH_STYLE,
+  credentials: env.S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      }
+    : undefined, // fall back to the SDK's default chain (IAM role, ...)
+});
+
+async function put(key, body, contentType) {
+  await client.send(
+    new PutObjectCommand({
+      Bucket: env.S3_BUCKET,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable',
+    }),
+  );
+}
+
+async function remove(key) {
+  await client.send(
+    new DeleteObjectCommand({ Bucket: env.S3_BUCKET, Key: key }),
+  );
+}
+
+function url(key) {
+  const base =
+    env.S3_PUBLIC_URL ||
+    `https://${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
+  return `${base.replace(/\/$/, '')}/${key}`;
+}
+
+module.exports = { put, remove, url };
@@ -0,0 +1,67 @@
+const TaxRate = require('../models/tax-rate.model');
+const env = require('../config/env');
+
+/**
+ * Tax for checkout: find the rate for the shipping address, then tax each
+ * line (after its share of the discount) by the product's tax class.
+ * With PRICES_INCLUDE_TAX the tax is extracted from the amounts instead of
+ * added on top.
+ */
+
+/** Active rate for an address: state-specific first, then country-wide */
+async function findTaxRate(address) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toLowerCase();
+  const rates = await TaxRate.find({ country, isActive: true });
+  return (
+    rates.find((r) => r.state && r.state.toLowerCase() === state) ||
+    rates.find((r) => !r.state) ||
+    null
+  );
+}
+
+/**
+ * Tax contained in (inclusive) or owed on top of (exclusive) an amount,
+ * rounded to a whole minor unit.
+ */
+function taxOn(amount, percent, inclusive) {
+  if (!(amount > 0) || !(percent > 0)) return 0;
+  const tax = inclusive
+    ? (amount * percent) / (100 + percent)
+    : (amount * percent) / 100;
+  return Math.round(tax);
+}
+
+/**
+ * lines: [{ taxClass, lineTotal, discount }] in cart order.
+ * Returns per-line { taxClass, rate, taxable, tax }, the shipping tax and
+ * the total. No rate (region not configured) means no tax.
+ */
+function computeTax(
+  rate,
+  { lines, shippingFee = 0 },
+  inclusive = env.PRICES_INCLUDE_TAX,
+) {
+  const taxedLines = lines.map((l) => {
+    const percent = rate ? rate.percentFor(l.taxClass) : 0;
+    const taxable = l.lineTotal - (l.discount || 0);
+    return {
+      taxClass: l.taxClass,
+      rate: percent,
+      taxable,
+      tax: taxOn(taxable, percent, inclusive),
+    };
+  });
+
+  const shippingRate = rate && rate.taxShipping ? rate.rates.standard : 0;
+  const shipping = {
+    rate: shippingRate,
+    taxable: shippingFee,
+    tax: taxOn(shippingFee, shippingRate, inclusive),
+  };
+
+  const total = taxedLines.reduce((s, l) => s + l.tax, 0) + shipping.tax;
+  return { lines: taxedLines, shipping, total, inclusive };
+}
+
+module.exports = { findTaxRate, computeTax };
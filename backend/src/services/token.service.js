@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthenticationError, ForbiddenError } = require('../errors');
+const env = require('../config/env');
+const RefreshToken = require('../models/refresh-token.model');
+const User = require('../models/user.model');
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * Short-lived access token.
+ * sid = refresh-token family (the login session), tv = user.tokenVersion;
+ * requireAuth checks both so logout / logout-all take effect immediately.
+ */
+function signAccessToken(user, family) {
+  return jwt.sign(
+    {
+      id: String(user._id),
+      role: user.role,
+      sid: family,
+      tv: user.tokenVersion,
+    },
+    env.JWT_SECRET,
+    { expiresIn: env.ACCESS_TOKEN_TTL },
+  );
+}
+
+async function issueRefreshToken(user, family, req) {
+  const raw = crypto.randomBytes(48).toString('base64url');
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(
+      Date.now() + env.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    ),
+    createdByIp: req?.ip,
+    userAgent: req?.headers['user-agent'],
+  });
+  return { raw, doc };
+}
+
+/** Start a new login session: returns { token, refreshToken } */
+async function createSession(user, req) {
+  const family = crypto.randomUUID();
+  const { raw } = await issueRefreshToken(user, family, req);
+  return { token: signAccessToken(user, family), refreshToken: raw };
+}
+
+function revokeFamily(family, reason) {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+}
+
+/**
+ * Kill every session of a user: revoke all refresh tokens and bump
+ * tokenVersion so outstanding access tokens stop working too.
+ */
+async function revokeAllSessions(userId, reason) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+/**
+ * Exchange a refresh token for a new pair (rotation).
+ * Reusing a rotated token revokes the whole family.
+ */
+async function rotateRefreshToken(raw, req) {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if (!current)
+    throw new AuthenticationError('Invalid refresh token', 'INVALID_TOKEN');
+
+  if (current.revokedAt) {
+    if (current.revokedReason === 'rotated') {
+      await revokeFamily(current.family, 'reuse_detected');
+      throw new AuthenticationError(
+        'Refresh token reuse detected',
+        'INVALID_TOKEN',
+      );
+    }
+    throw new AuthenticationError('Refresh token revoked', 'INVALID_TOKEN');
+  }
+  if (current.expiresAt <= new Date())
+    throw new AuthenticationError('Refresh token expired', 'INVALID_TOKEN');
+
+  const user = await User.findById(current.user);
+  if (!user)
+    throw new AuthenticationError('Account not found', 'INVALID_TOKEN');
+  if (user.isDisabled)
+    throw new ForbiddenError('Account disabled', 'ACCOUNT_DISABLED');
+
+  const { raw: nextRaw, doc: next } = await issueRefreshToken(
+    user,
+    current.family,
+    req,
+  );
+
+  // Only one concurrent refresh may win; the loser counts as reuse
+  const res = await RefreshToken.updateOne(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: next._id },
+  );
+  if (res.modifiedCount !== 1) {
+    await revokeFamily(current.family, 'reuse_detected');
+    throw new AuthenticationError(
+      'Refresh token reuse detected',
+      'INVALID_TOKEN',
+    );
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, current.family),
+    refreshToken: nextRaw,
+  };
+}
+
+/** Revoke the session a refresh token belongs to (logout). */
+async function revokeRefreshToken(raw) {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if (current) await revokeFamily(current.family, 'logout');
+}
+
+/** Is the login session (refresh family) behind an access token still live? */
+async function isSessionActive(family) {
+  const found = await RefreshToken.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(found);
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const UserToken = require('../models/user-token.model');
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * Issue a new token of `type` for a user, valid for `ttlMs`.
+ * Any earlier unused token of the same type stops working.
+ */
+async function createUserToken(userId, type, ttlMs) {
+  await UserToken.updateMany(
+    { user: userId, type, usedAt: null },
+    { usedAt: new Date() },
+  );
+  const raw = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return raw;
+}
+
+/** Atomically mark a token used; returns the token doc or null */
+function consumeUserToken(raw, type) {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(raw),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true },
+  );
+}
+
+module.exports = { createUserToken, consumeUserToken };